@@ -0,0 +1,284 @@
+// Başarımlar ve görev panosu (quest): sunucudaki olaylar (cevap, görev, tekrar,
+// deneme) öğrencinin sayaçlarını ilerletir. Rozetler ömür boyu sayaçlardan açılır,
+// günlük/haftalık görevler her dönem öğrenciye göre dönüşümlü seçilir ve bonus puan verir.
+
+const exams = require('./exams');
+const streaks = require('./streaks');
+
+// MSÜ deneme şablonundaki dersler (ders rozetleri ve ders görevleri için)
+const SUBJECTS = [...new Set(exams.BLUEPRINTS.msu.sections.flatMap(s => Object.keys(s.subjects)))];
+
+const SUBJECT_ICONS = {
+    'Türkçe': '📖', 'Tarih': '🏛️', 'Coğrafya': '🌍', 'Felsefe': '🤔', 'Din Kültürü': '🕌',
+    'Matematik': '📐', 'Fizik': '⚛️', 'Kimya': '🧪', 'Biyoloji': '🧬'
+};
+
+// Görevlerde sayılabilecek ölçüler (answered/correct derse özel olabilir)
+const METRICS = {
+    answered: 'soru çöz',
+    correct: 'doğru cevap ver',
+    tasks: 'görev tamamla',
+    minutes: 'dakika çalış',
+    reviews: 'tekrar kartı çöz'
+};
+const SUBJECT_METRICS = ['answered', 'correct'];
+
+const PERIODS = { daily: 'Bugün', weekly: 'Bu hafta' };
+
+// Rozet: sayaç hedefe ulaşınca bir kez açılır
+const BADGES = [
+    { key: 'first-task', icon: '🎯', name: 'İlk Adım', description: 'İlk görevini tamamla', counter: 'tasks', target: 1, points: 10 },
+    { key: 'tasks-25', icon: '📋', name: 'Görev Avcısı', description: '25 görev tamamla', counter: 'tasks', target: 25, points: 50 },
+    { key: 'tasks-100', icon: '🏅', name: 'Disiplin', description: '100 görev tamamla', counter: 'tasks', target: 100, points: 150 },
+    { key: 'streak-3', icon: '🔥', name: 'Isınma Turu', description: '3 gün üst üste çalış', counter: 'bestStreak', target: 3, points: 15 },
+    { key: 'streak-7', icon: '🔥', name: 'Haftalık Seri', description: '7 gün üst üste çalış', counter: 'bestStreak', target: 7, points: 50 },
+    { key: 'streak-30', icon: '🌋', name: 'Demir İrade', description: '30 gün üst üste çalış', counter: 'bestStreak', target: 30, points: 200 },
+    { key: 'correct-100', icon: '✅', name: 'Yüzlük', description: '100 doğru cevap', counter: 'correct', target: 100, points: 30 },
+    { key: 'correct-1000', icon: '💯', name: 'Soru Canavarı', description: '1000 doğru cevap', counter: 'correct', target: 1000, points: 200 },
+    { key: 'reviews-100', icon: '🔁', name: 'Tekrar Ustası', description: '100 tekrar kartı çöz', counter: 'reviews', target: 100, points: 50 },
+    { key: 'minutes-6000', icon: '⏱️', name: '100 Saat', description: 'Toplam 100 saat çalış', counter: 'minutes', target: 6000, points: 200 },
+    { key: 'weak-cleared-1', icon: '💪', name: 'Zayıf Halka', description: 'Bir zayıf konuyu kapat', counter: 'weakCleared', target: 1, points: 30 },
+    { key: 'weak-cleared-10', icon: '🛡️', name: 'Açık Kalmasın', description: '10 zayıf konuyu kapat', counter: 'weakCleared', target: 10, points: 150 },
+    { key: 'exam-net-60', icon: '📈', name: '60 Net', description: 'Bir denemede 60 net ve üstü yap', counter: 'bestNet', target: 60, points: 100 },
+    { key: 'exam-net-90', icon: '🚀', name: '90 Net', description: 'Bir denemede 90 net ve üstü yap', counter: 'bestNet', target: 90, points: 250 },
+    ...SUBJECTS.map(subject => ({
+        key: `correct-${subject}-100`,
+        icon: SUBJECT_ICONS[subject] || '📚',
+        name: `${subject} Ustası`,
+        description: `${subject} dersinde 100 doğru cevap`,
+        counter: `correct:${subject}`,
+        target: 100,
+        points: 50
+    }))
+];
+
+// Dönüşümlü görev şablonları; subject: '*' seçim sırasında bir derse bağlanır
+const QUEST_TEMPLATES = {
+    daily: [
+        { metric: 'correct', target: 20, points: 20 },
+        { metric: 'answered', subject: '*', target: 20, points: 25 },
+        { metric: 'tasks', target: 2, points: 20 },
+        { metric: 'minutes', target: 60, points: 20 },
+        { metric: 'reviews', target: 10, points: 15 }
+    ],
+    weekly: [
+        { metric: 'correct', target: 150, points: 100 },
+        { metric: 'answered', subject: '*', target: 80, points: 100 },
+        { metric: 'tasks', target: 10, points: 100 },
+        { metric: 'minutes', target: 600, points: 120 },
+        { metric: 'reviews', target: 50, points: 80 }
+    ]
+};
+
+const QUESTS_PER_PERIOD = { daily: 3, weekly: 2 };
+
+// Dönem başı ve sonu seri ile aynı gün anahtarından (öğrencinin saat dilimi):
+// gün gece yarısı, hafta pazartesi başlar
+function periodRange(period, now = new Date(), timezone) {
+    const today = streaks.localDay(now, timezone);
+    const weekday = (new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7;
+    const first = period === 'weekly' ? streaks.addDays(today, -weekday) : today;
+    const next = streaks.addDays(first, period === 'weekly' ? 7 : 1);
+    return { key: `${period}:${first}`, start: streaks.startOfDay(first, timezone), end: streaks.startOfDay(next, timezone) };
+}
+
+// Öğrenci + dönem için sabit sıra (dönem boyunca aynı görevler gelir)
+function seededRandom(seed) {
+    let h = 2166136261;
+    for (const ch of seed) h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+    return () => {
+        h ^= h << 13;
+        h ^= h >>> 17;
+        h ^= h << 5;
+        return (h >>> 0) / 4294967296;
+    };
+}
+
+function questTitle({ period, metric, subject, target }) {
+    return `${PERIODS[period]} ${subject ? `${subject} dersinde ` : ''}${target} ${METRICS[metric]}`;
+}
+
+function metricKey({ metric, subject }) {
+    return subject ? `${metric}:${subject}` : metric;
+}
+
+function newProfile(studentId, now = new Date()) {
+    return { id: studentId, studentId, counters: {}, badges: [], createdAt: now.toISOString() };
+}
+
+// Olayın sayaçlara katkısı
+function deltasOf(event) {
+    switch (event.type) {
+    case 'answer': {
+        // Aynı soruyu tekrar tekrar çözmek rozet/görev ilerletmez
+        if (!event.firstAttempt) return {};
+        const correct = event.correct ? 1 : 0;
+        return {
+            answered: 1,
+            correct,
+            [`answered:${event.subject}`]: 1,
+            [`correct:${event.subject}`]: correct,
+            weakCleared: event.clearedWeak ? 1 : 0
+        };
+    }
+    case 'task':
+        return { tasks: 1, minutes: event.minutes || 0 };
+    case 'review':
+        return { reviews: 1 };
+    case 'study':
+        return { minutes: event.minutes || 0 };
+    case 'exam':
+        return { exams: 1 };
+    default:
+        return {};
+    }
+}
+
+// Olayı profile işle (yerinde değiştirir); yeni açılan rozetleri döner
+function record(profile, event, now = new Date()) {
+    Object.entries(deltasOf(event)).forEach(([key, amount]) => {
+        profile.counters[key] = (profile.counters[key] || 0) + amount;
+    });
+    // En iyi değer tutulan sayaçlar
+    if (event.type === 'streak') profile.counters.bestStreak = Math.max(profile.counters.bestStreak || 0, event.streak);
+    if (event.type === 'exam') profile.counters.bestNet = Math.max(profile.counters.bestNet || 0, event.totalNet);
+
+    return unlockBadges(profile, now);
+}
+
+function unlockBadges(profile, now = new Date()) {
+    const owned = new Set(profile.badges.map(b => b.key));
+    const unlocked = BADGES.filter(b => !owned.has(b.key) && (profile.counters[b.counter] || 0) >= b.target);
+    unlocked.forEach(b => profile.badges.push({ key: b.key, unlockedAt: now.toISOString() }));
+    return unlocked;
+}
+
+// Dönemin görevleri: şablonlardan öğrenciye göre seçilenler + velinin tanımladığı görevler
+// customQuests: öğrenciye açık, aktif veli görevleri
+function activeQuests(student, customQuests = [], now = new Date()) {
+    return Object.keys(QUEST_TEMPLATES).flatMap(period => {
+        const range = periodRange(period, now, student.timezone);
+        const random = seededRandom(`${student.id}:${range.key}`);
+
+        const rotated = QUEST_TEMPLATES[period]
+            .map(template => ({ template, order: random() }))
+            .sort((a, b) => a.order - b.order)
+            .slice(0, QUESTS_PER_PERIOD[period])
+            .map(({ template }) => {
+                const subject = template.subject === '*' ? SUBJECTS[Math.floor(random() * SUBJECTS.length)] : null;
+                const quest = { ...template, period, subject };
+                return { ...quest, key: `${period}-${metricKey(quest)}-${quest.target}`, title: questTitle(quest), custom: false };
+            });
+
+        const custom = customQuests
+            .filter(q => q.period === period)
+            .map(q => ({
+                key: `custom-${q.id}`,
+                period,
+                metric: q.metric,
+                subject: q.subject || null,
+                target: q.target,
+                points: q.points,
+                title: q.title || questTitle(q),
+                custom: true
+            }));
+
+        return [...rotated, ...custom].map(quest => ({
+            ...quest,
+            periodKey: range.key,
+            endsAt: range.end.toISOString()
+        }));
+    });
+}
+
+function progressId(studentId, quest) {
+    return `${studentId}:${quest.key}:${quest.periodKey}`;
+}
+
+// Olayın katkısını dönem görevlerine işle; repo: questProgress deposu. Yeni biten görevleri döner
+function advanceQuests(repo, studentId, quests, event, now = new Date()) {
+    const deltas = deltasOf(event);
+    const completed = [];
+
+    quests.forEach(quest => {
+        const amount = deltas[metricKey(quest)] || 0;
+        if (amount <= 0) return;
+
+        const id = progressId(studentId, quest);
+        const entry = repo.findById(id) || repo.insert({
+            id,
+            studentId,
+            questKey: quest.key,
+            periodKey: quest.periodKey,
+            title: quest.title,
+            target: quest.target,
+            points: quest.points,
+            progress: 0,
+            completedAt: null
+        });
+        if (entry.completedAt) return;
+
+        entry.progress = Math.min(entry.target, entry.progress + amount);
+        if (entry.progress >= entry.target) {
+            entry.completedAt = now.toISOString();
+            completed.push(quest);
+        }
+    });
+
+    return completed;
+}
+
+// Görev panosu: dönem görevleri + ilerleme
+function questBoard(studentId, quests, progressEntries) {
+    return quests.map(quest => {
+        const entry = progressEntries.find(p => p.id === progressId(studentId, quest));
+        return {
+            ...quest,
+            progress: entry ? entry.progress : 0,
+            completedAt: entry ? entry.completedAt : null
+        };
+    });
+}
+
+// Kupa odası: tüm rozetler, açılanlar tarihli, kilitliler ilerlemeli
+function trophyRoom(profile) {
+    const counters = profile ? profile.counters : {};
+    const owned = profile ? profile.badges : [];
+    return BADGES.map(badge => {
+        const unlocked = owned.find(b => b.key === badge.key);
+        return {
+            ...badge,
+            unlockedAt: unlocked ? unlocked.unlockedAt : null,
+            progress: Math.min(badge.target, Math.floor(counters[badge.counter] || 0))
+        };
+    });
+}
+
+// Veli görevi doğrulama; hata listesi döner
+function validateQuest(quest) {
+    const errors = [];
+    if (!PERIODS[quest.period]) errors.push('Dönem günlük veya haftalık olmalı');
+    if (!METRICS[quest.metric]) errors.push('Geçersiz ölçü');
+    if (quest.subject && !SUBJECT_METRICS.includes(quest.metric)) errors.push('Ders sadece soru/doğru görevlerinde seçilebilir');
+    if (!Number.isInteger(quest.target) || quest.target < 1) errors.push('Hedef pozitif tam sayı olmalı');
+    if (!Number.isInteger(quest.points) || quest.points < 0) errors.push('Puan 0 veya üstü tam sayı olmalı');
+    if (!Array.isArray(quest.studentIds) || !quest.studentIds.every(id => typeof id === 'string')) {
+        errors.push('Öğrenci seçimi öğrenci kimliklerinden oluşan bir liste olmalı');
+    }
+    return errors;
+}
+
+module.exports = {
+    SUBJECTS,
+    METRICS,
+    PERIODS,
+    BADGES,
+    newProfile,
+    record,
+    unlockBadges,
+    activeQuests,
+    advanceQuests,
+    questBoard,
+    trophyRoom,
+    validateQuest
+};
@@ -0,0 +1,12 @@
+// AI katmanı hataları; code ile yeniden denenebilir olup olmadığı anlaşılır
+class AIError extends Error {
+    constructor(message, code, { retryable = false, details } = {}) {
+        super(message);
+        this.name = 'AIError';
+        this.code = code;
+        this.retryable = retryable;
+        this.details = details;
+    }
+}
+
+module.exports = { AIError };
@@ -0,0 +1,129 @@
+const { AIError } = require('./errors');
+const { validate } = require('./validate');
+const schemas = require('./schemas');
+const { createGeminiProvider } = require('./providers/gemini');
+const { createOpenAIProvider } = require('./providers/openai');
+const { createMockProvider } = require('./providers/mock');
+
+const DEFAULTS = {
+    temperature: 0.7,
+    maxTokens: 2000,
+    timeoutMs: 20000,
+    retries: 2,
+    backoffMs: 500
+};
+
+// AI_PROVIDER: gemini | openai | mock. Verilmezse GEMINI_API_KEY varsa gemini, yoksa AI kapalıdır (null).
+// Mock sadece açıkça seçilince kullanılır: fixture'lar konuya uymayan sabit metinlerdir
+function createProviderFromEnv(env) {
+    const name = env.AI_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : null);
+    if (!name) return null;
+
+    switch (name) {
+        case 'gemini':
+            return createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model: env.AI_MODEL || 'gemini-pro' });
+        case 'openai':
+            return createOpenAIProvider({
+                baseUrl: env.OPENAI_BASE_URL,
+                apiKey: env.OPENAI_API_KEY,
+                model: env.AI_MODEL
+            });
+        case 'mock':
+            return createMockProvider();
+        default:
+            throw new AIError(`Bilinmeyen AI sağlayıcısı: ${name}`, 'config');
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Kod bloklarını ve çevresindeki metni temizleyip ilk JSON nesnesini al
+function extractJSON(text) {
+    const cleaned = text.replace(/```(?:json)?/gi, '').trim();
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end < start) throw new Error('JSON nesnesi bulunamadı');
+    return JSON.parse(cleaned.slice(start, end + 1));
+}
+
+function parseAndValidate(text, schema) {
+    let value;
+    try {
+        value = extractJSON(text);
+    } catch (error) {
+        return { errors: [`JSON okunamadı: ${error.message}`] };
+    }
+    return { value, errors: validate(value, schema) };
+}
+
+function createAIClient(options = {}) {
+    const config = {
+        ...DEFAULTS,
+        timeoutMs: parseInt(process.env.AI_TIMEOUT_MS) || DEFAULTS.timeoutMs,
+        retries: process.env.AI_MAX_RETRIES !== undefined ? parseInt(process.env.AI_MAX_RETRIES) : DEFAULTS.retries,
+        ...options
+    };
+    const provider = options.provider || createProviderFromEnv(process.env);
+
+    // Zaman aşımı, ağ hatası, 429/5xx için üstel bekleme ile yeniden dene
+    async function generateText(prompt, callOptions = {}) {
+        if (!provider) throw new AIError('AI sağlayıcısı yapılandırılmamış (GEMINI_API_KEY veya AI_PROVIDER)', 'config');
+        const { retries = config.retries, ...rest } = callOptions;
+        const opts = {
+            temperature: config.temperature,
+            maxTokens: config.maxTokens,
+            timeoutMs: config.timeoutMs,
+            ...rest
+        };
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await provider.complete(prompt, opts);
+            } catch (error) {
+                const aiError = error instanceof AIError ? error : new AIError(error.message, 'provider');
+                if (!aiError.retryable || attempt >= retries) throw aiError;
+
+                const delay = config.backoffMs * 2 ** attempt + Math.random() * config.backoffMs;
+                console.warn(`AI isteği başarısız (${aiError.code}), ${Math.round(delay)} ms sonra tekrar denenecek`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    // Çıktı şemaya uymazsa hataları modele gösterip bir kez düzeltme ister
+    async function generateJSON(prompt, schema, callOptions = {}) {
+        const first = await generateText(prompt, callOptions);
+        let result = parseAndValidate(first, schema);
+        if (result.errors.length === 0) return result.value;
+
+        console.warn('AI çıktısı şemaya uymadı, düzeltme isteniyor:', result.errors.slice(0, 5));
+
+        const repairPrompt = `${prompt}
+
+ÖNCEKİ CEVABIN GEÇERSİZDİ:
+${first}
+
+HATALAR:
+${result.errors.map(e => `- ${e}`).join('\n')}
+
+Sadece istenen formatta, geçerli JSON döndür. Açıklama veya kod bloğu ekleme.`;
+
+        const second = await generateText(repairPrompt, { ...callOptions, temperature: 0 });
+        result = parseAndValidate(second, schema);
+        if (result.errors.length === 0) return result.value;
+
+        throw new AIError('AI çıktısı şemaya uymuyor', 'validation', { details: result.errors });
+    }
+
+    return {
+        enabled: Boolean(provider),
+        provider: provider ? provider.name : null,
+        model: provider ? provider.defaultModel : null,
+        generateText,
+        generateJSON
+    };
+}
+
+module.exports = { createAIClient, createProviderFromEnv, AIError, schemas, validate, extractJSON };
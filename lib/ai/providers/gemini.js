@@ -0,0 +1,32 @@
+const { postJSON } = require('./http');
+const { AIError } = require('../errors');
+
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+function createGeminiProvider({ apiKey, model = 'gemini-pro' }) {
+    if (!apiKey) throw new AIError('GEMINI_API_KEY tanımlı değil', 'config');
+
+    return {
+        name: 'gemini',
+        defaultModel: model,
+
+        async complete(prompt, { model: callModel, temperature, maxTokens, timeoutMs }) {
+            const url = `${BASE_URL}/${callModel || model}:generateContent?key=${apiKey}`;
+            const data = await postJSON(url, {
+                contents: [{ parts: [{ text: prompt }] }],
+                generationConfig: {
+                    temperature,
+                    maxOutputTokens: maxTokens
+                }
+            }, { timeoutMs });
+
+            const text = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+            if (typeof text !== 'string') {
+                throw new AIError('Gemini boş yanıt döndü', 'empty', { retryable: true });
+            }
+            return text;
+        }
+    };
+}
+
+module.exports = { createGeminiProvider };
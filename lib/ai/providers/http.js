@@ -0,0 +1,41 @@
+const { AIError } = require('../errors');
+
+// Zaman aşımlı JSON POST; ağ hatası, 429 ve 5xx yeniden denenebilir sayılır
+async function postJSON(url, body, { headers = {}, timeoutMs }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new AIError(`İstek ${timeoutMs} ms içinde yanıtlanmadı`, 'timeout', { retryable: true });
+        }
+        throw new AIError(`Ağ hatası: ${error.message}`, 'network', { retryable: true });
+    } finally {
+        clearTimeout(timer);
+    }
+
+    let data;
+    try {
+        data = await response.json();
+    } catch {
+        data = null;
+    }
+
+    if (!response.ok) {
+        const message = data?.error?.message || `HTTP ${response.status}`;
+        const retryable = response.status === 429 || response.status >= 500;
+        throw new AIError(message, 'http', { retryable, details: { status: response.status } });
+    }
+
+    return data;
+}
+
+module.exports = { postJSON };
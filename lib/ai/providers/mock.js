@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { AIError } = require('../errors');
+
+// Ağ gerektirmeyen, aynı prompt için hep aynı cevabı veren sahte sağlayıcı.
+// Fixture'lar lib/ai/fixtures/<task>.json altında; {{alan}} yer tutucuları
+// çağrıdaki context ile doldurulur.
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures');
+
+function loadFixture(task) {
+    const file = path.join(FIXTURE_DIR, `${task}.json`);
+    if (!fs.existsSync(file)) throw new AIError(`Mock fixture bulunamadı: ${task}`, 'config');
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function pick(items, prompt) {
+    const hash = crypto.createHash('sha1').update(prompt).digest();
+    return items[hash.readUInt32BE(0) % items.length];
+}
+
+// JSON metne yerleştirilen değerler kaçış karakterleriyle eklenir
+function fill(text, context = {}, escape = false) {
+    return text.replace(/\{\{(\w+)\}\}/g, (_, key) => {
+        const value = context[key] !== undefined ? String(context[key]) : '';
+        return escape ? JSON.stringify(value).slice(1, -1) : value;
+    });
+}
+
+function createMockProvider() {
+    return {
+        name: 'mock',
+        defaultModel: 'fixture',
+
+        async complete(prompt, { task = 'motivation', context }) {
+            const fixture = loadFixture(task);
+            const value = Array.isArray(fixture) ? pick(fixture, prompt) : fixture;
+            if (typeof value === 'string') return fill(value, context);
+            return fill(JSON.stringify(value), context, true);
+        }
+    };
+}
+
+module.exports = { createMockProvider };
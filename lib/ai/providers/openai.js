@@ -0,0 +1,32 @@
+const { postJSON } = require('./http');
+const { AIError } = require('../errors');
+
+// OpenAI uyumlu /chat/completions uç noktası (Ollama, LM Studio, vLLM vb.)
+function createOpenAIProvider({ baseUrl = 'http://localhost:11434/v1', apiKey, model = 'llama3' }) {
+    const url = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+
+    return {
+        name: 'openai',
+        defaultModel: model,
+
+        async complete(prompt, { model: callModel, temperature, maxTokens, timeoutMs }) {
+            const data = await postJSON(url, {
+                model: callModel || model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature,
+                max_tokens: maxTokens
+            }, {
+                timeoutMs,
+                headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+            });
+
+            const text = data?.choices?.[0]?.message?.content;
+            if (typeof text !== 'string') {
+                throw new AIError('Model boş yanıt döndü', 'empty', { retryable: true });
+            }
+            return text;
+        }
+    };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,63 @@
+// AI çıktıları için şemalar (bkz. validate.js)
+const question = {
+    type: 'object',
+    required: ['question', 'options', 'correctIndex', 'explanation'],
+    properties: {
+        question: { type: 'string', minLength: 5 },
+        options: { type: 'array', minItems: 4, maxItems: 4, items: { type: 'string', minLength: 1 } },
+        correctIndex: { type: 'integer', minimum: 0, maximum: 3 },
+        explanation: { type: 'string', minLength: 1 },
+        formula: { type: 'string' },
+        msuTip: { type: 'string' }
+    }
+};
+
+const programTask = {
+    type: 'object',
+    required: ['title', 'type', 'duration', 'topic', 'points'],
+    properties: {
+        title: { type: 'string', minLength: 1 },
+        type: { type: 'string', enum: ['video', 'question', 'theory'] },
+        duration: { type: 'integer', minimum: 5, maximum: 480 },
+        topic: { type: 'string', minLength: 1 },
+        points: { type: 'integer', minimum: 0, maximum: 1000 },
+        resource: { type: 'string' }
+    }
+};
+
+const scheduleDay = {
+    type: 'object',
+    required: ['day', 'tasks'],
+    properties: {
+        day: { type: 'string', minLength: 1 },
+        focus: { type: 'string' },
+        tasks: { type: 'array', minItems: 1, items: programTask }
+    }
+};
+
+const program = {
+    type: 'object',
+    required: ['programName', 'schedule'],
+    properties: {
+        programName: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        strategy: { type: 'string' },
+        schedule: { type: 'array', minItems: 1, items: scheduleDay },
+        dailyPoints: { type: 'number', minimum: 0 },
+        totalPoints: { type: 'number', minimum: 0 },
+        examTips: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+// Haftalık yeniden planlama: sadece önümüzdeki günlerin yeni görevleri
+const replan = {
+    type: 'object',
+    required: ['summary', 'schedule'],
+    properties: {
+        summary: { type: 'string', minLength: 1 },
+        adjustments: { type: 'array', items: { type: 'string' } },
+        schedule: { type: 'array', minItems: 1, items: scheduleDay }
+    }
+};
+
+module.exports = { question, program, replan };
@@ -0,0 +1,62 @@
+// JSON Schema'nın ihtiyacımız olan küçük bir alt kümesi:
+// type, required, properties, items, enum, minItems, maxItems,
+// minimum, maximum, minLength. Hata listesini döner (boşsa geçerli).
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function validate(value, schema, at = '$') {
+    const errors = [];
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push(`${at}: ${schema.type} bekleniyordu, ${typeOf(value)} geldi`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: ${schema.enum.join('/')} değerlerinden biri olmalı`);
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${at}: en az ${schema.minLength} karakter olmalı`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: en az ${schema.minimum} olmalı`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: en fazla ${schema.maximum} olmalı`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${at}: en az ${schema.minItems} eleman olmalı`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${at}: en fazla ${schema.maxItems} eleman olmalı`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validate(item, schema.items, `${at}[${i}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${at}.${key}: zorunlu alan eksik`);
+        }
+        for (const [key, sub] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) errors.push(...validate(value[key], sub, `${at}.${key}`));
+        }
+    }
+
+    return errors;
+}
+
+module.exports = { validate };
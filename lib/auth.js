@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+// Şifreler scrypt ile tuzlanıp saklanır: "scrypt$<salt>$<hash>"
+const KEY_LENGTH = 64;
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 24 * 7;
+const MIN_PASSWORD_LENGTH = 6;
+
+function scrypt(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, KEY_LENGTH, (err, key) => {
+            if (err) reject(err);
+            else resolve(key);
+        });
+    });
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(password, salt);
+    return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+    const [scheme, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const key = await scrypt(password, salt);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+}
+
+function createSession(userId) {
+    const now = Date.now();
+    return {
+        token: crypto.randomBytes(32).toString('hex'),
+        userId,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString()
+    };
+}
+
+function isSessionExpired(session) {
+    return new Date(session.expiresAt) <= new Date();
+}
+
+// "Authorization: Bearer <token>" başlığından token'ı çıkar
+// allowQuery: başlık gönderemeyen istemciler (EventSource) için ?token= kabul edilir
+function getTokenFromRequest(req, { allowQuery = false } = {}) {
+    const header = req.headers.authorization || '';
+    const [type, token] = header.split(' ');
+    if (type === 'Bearer' && token) return token;
+    return allowQuery && typeof req.query.token === 'string' && req.query.token ? req.query.token : null;
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Şifre en az ${MIN_PASSWORD_LENGTH} karakter olmalı`;
+    }
+    return null;
+}
+
+// İstemciye dönen kullanıcı nesnesinden gizli alanları temizle
+function publicUser(user) {
+    const { password, passwordHash, ...rest } = user;
+    return rest;
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    createSession,
+    isSessionExpired,
+    getTokenFromRequest,
+    validatePassword,
+    publicUser
+};
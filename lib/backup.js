@@ -0,0 +1,219 @@
+// Yedekleme: tüm koleksiyonların (oturumlar hariç) tek dosyalık, sürümlü arşivi; tek öğrencinin
+// verisini başka kuruluma taşımak için öğrenci arşivi ve data/snapshots altında dönen otomatik
+// anlık görüntüler. Arşivler gzip'li JSON'dur; eski şema sürümleri dönüşte migration'lardan geçer.
+// Sorularda kullanılan şekil dosyaları arşive base64 olarak girer.
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const questionBank = require('./questions');
+const { isFigureName } = require('./figures');
+
+const FORMAT = 'msu-study-rpg-backup';
+const ARCHIVE_VERSION = 1;
+const KINDS = { full: 'Tam yedek', student: 'Öğrenci' };
+
+// Oturum token'ları yedeğe girmez
+const EXCLUDED_COLLECTIONS = ['sessions'];
+
+// Zamanlanmış görüntü günde bir alınır; zamanlanmışlardan son SCHEDULED_KEEP, işlem öncesi/elle
+// alınanlardan son OPERATION_KEEP tutulur
+const SCHEDULE_HOURS = 24;
+const SCHEDULED_KEEP = 7;
+const OPERATION_KEEP = 20;
+const SNAPSHOT_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)--([a-z-]+)\.json\.gz$/;
+
+// Öğrenciye ait kayıtlar (silme, dışa/içe aktarma): koleksiyon → kayıt öğrencinin mi?
+// programIds: öğrencinin programları (görevler programa bağlıdır)
+const STUDENT_RECORDS = {
+    users: (r, id) => r.id === id,
+    programs: (r, id) => r.studentId === id,
+    tasks: (r, id, programIds) => programIds.has(r.programId),
+    enrollments: (r, id, programIds) => r.studentId === id || programIds.has(r.programId),
+    claims: (r, id) => r.userId === id,
+    sessions: (r, id) => r.userId === id,
+    achievements: (r, id) => r.id === id,
+    ...Object.fromEntries([
+        'exams', 'attempts', 'reviews', 'completions', 'mastery', 'replans', 'ledger', 'questProgress',
+        'studyDays', 'books', 'bookSessions', 'studySessions', 'notifications'
+    ].map(name => [name, (r, id) => r.studentId === id]))
+};
+
+function programIdsOf(programs, studentId) {
+    return new Set(programs.filter(p => p.studentId === studentId).map(p => p.id));
+}
+
+// tx: STUDENT_RECORDS koleksiyonlarını içeren transaction
+function removeStudent(tx, studentId) {
+    const programIds = programIdsOf(tx.programs.all(), studentId);
+    Object.entries(STUDENT_RECORDS).forEach(([name, belongs]) => tx[name].remove(r => belongs(r, studentId, programIds)));
+}
+
+// data: { schemaVersion, collections } (storage.dump) ve sorulardaki şekiller { figures: ad → base64 }
+function fullArchive(data, now = new Date()) {
+    const collections = Object.fromEntries(Object.entries(data.collections)
+        .filter(([name]) => !EXCLUDED_COLLECTIONS.includes(name)));
+    return {
+        format: FORMAT,
+        version: ARCHIVE_VERSION,
+        kind: 'full',
+        schemaVersion: data.schemaVersion,
+        createdAt: now.toISOString(),
+        collections,
+        figures: data.figures || {}
+    };
+}
+
+// Öğrencinin kayıtları; cevapladığı sorular (AI üretimi olabilir) hedef kurulumda yoksa eklensin diye yanında gelir
+function studentArchive(data, studentId, now = new Date()) {
+    const programIds = programIdsOf(data.collections.programs, studentId);
+    const collections = {};
+    Object.entries(STUDENT_RECORDS)
+        .filter(([name]) => !EXCLUDED_COLLECTIONS.includes(name))
+        .forEach(([name, belongs]) => { collections[name] = data.collections[name].filter(r => belongs(r, studentId, programIds)); });
+
+    const questionIds = new Set([
+        ...collections.attempts.map(a => a.questionId),
+        ...collections.reviews.map(r => r.questionId),
+        ...collections.exams.flatMap(e => e.items.map(item => item.questionId))
+    ]);
+    const questions = data.collections.questions.filter(q => questionIds.has(q.id));
+    const figureNames = new Set(questions.flatMap(questionBank.figuresOf));
+    return {
+        format: FORMAT,
+        version: ARCHIVE_VERSION,
+        kind: 'student',
+        schemaVersion: data.schemaVersion,
+        createdAt: now.toISOString(),
+        studentId,
+        collections,
+        shared: { questions },
+        figures: Object.fromEntries(Object.entries(data.figures || {}).filter(([name]) => figureNames.has(name)))
+    };
+}
+
+function encode(archive) {
+    return zlib.gzipSync(JSON.stringify(archive));
+}
+
+// Gzip'li ya da düz JSON; { archive } veya { error }
+function decode(buffer) {
+    try {
+        const raw = buffer[0] === 0x1f && buffer[1] === 0x8b ? zlib.gunzipSync(buffer) : buffer;
+        return { archive: JSON.parse(raw.toString('utf8')) };
+    } catch (error) {
+        return { error: 'Yedek dosyası okunamadı' };
+    }
+}
+
+const isRecord = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// kind: beklenen arşiv türü; names: kurulumdaki koleksiyonlar; schemaVersion: kurulumun şema sürümü.
+// Hata mesajı veya null
+function validate(archive, kind, { names, schemaVersion }) {
+    if (!isRecord(archive) || archive.format !== FORMAT) return 'Bu dosya bir yedek arşivi değil';
+    if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) return 'Arşiv biçimi desteklenmiyor';
+    if (archive.kind !== kind) return `${KINDS[kind]} arşivi bekleniyordu`;
+    if (!Number.isInteger(archive.schemaVersion) || archive.schemaVersion < 0) return 'Arşivin şema sürümü geçersiz';
+    if (archive.schemaVersion > schemaVersion) return 'Arşiv bu kurulumdan daha yeni bir sürümle alınmış';
+    if (!isRecord(archive.collections)) return 'Arşivde koleksiyon yok';
+
+    const unknown = Object.keys(archive.collections).find(name => !names.includes(name) || EXCLUDED_COLLECTIONS.includes(name));
+    if (unknown) return `Bilinmeyen koleksiyon: ${unknown}`;
+    const broken = Object.entries(archive.collections).find(([, records]) => !Array.isArray(records) || !records.every(isRecord));
+    if (broken) return `${broken[0]} koleksiyonu bozuk`;
+
+    if (archive.figures !== undefined && !(isRecord(archive.figures)
+        && Object.entries(archive.figures).every(([name, data]) => isFigureName(name) && typeof data === 'string'))) {
+        return 'Arşivdeki şekiller bozuk';
+    }
+
+    const users = archive.collections.users || [];
+    if (kind === 'full' && !users.some(u => u.role === 'admin')) return 'Arşivde veli hesabı yok';
+    if (kind === 'student') {
+        if (users.length !== 1 || users[0].role !== 'student' || users[0].id !== archive.studentId) {
+            return 'Öğrenci arşivi tek bir öğrenci içermeli';
+        }
+        if (archive.shared !== undefined && !(isRecord(archive.shared) && Array.isArray(archive.shared.questions))) {
+            return 'Arşivdeki ortak sorular bozuk';
+        }
+    }
+    return null;
+}
+
+// ==================== ANLIK GÖRÜNTÜLER ====================
+
+function snapshotName(reason, now = new Date()) {
+    return `${now.toISOString().replace(/[:.]/g, '-')}--${reason}.json.gz`;
+}
+
+function parseSnapshotName(name) {
+    const match = SNAPSHOT_PATTERN.exec(name);
+    if (!match) return null;
+    const [date, time] = match[1].split('T');
+    return { name, reason: match[2], createdAt: `${date}T${time.replace(/^(\d{2})-(\d{2})-(\d{2})-/, '$1:$2:$3.')}` };
+}
+
+// snapshots: list() sonucu (yeniden eskiye)
+function isScheduleDue(snapshots, now = new Date()) {
+    const last = snapshots.find(s => s.reason === 'scheduled');
+    return !last || now - new Date(last.createdAt) >= SCHEDULE_HOURS * 60 * 60 * 1000;
+}
+
+// dir: görüntü klasörü (data/snapshots)
+function createSnapshotStore(dir) {
+    async function list() {
+        let files = [];
+        try {
+            files = await fs.readdir(dir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        const snapshots = files.map(parseSnapshotName).filter(Boolean);
+        for (const snapshot of snapshots) snapshot.size = (await fs.stat(path.join(dir, snapshot.name))).size;
+        return snapshots.sort((a, b) => b.name.localeCompare(a.name));
+    }
+
+    async function prune() {
+        const snapshots = await list();
+        const scheduled = snapshots.filter(s => s.reason === 'scheduled').slice(SCHEDULED_KEEP);
+        const others = snapshots.filter(s => s.reason !== 'scheduled').slice(OPERATION_KEEP);
+        for (const snapshot of [...scheduled, ...others]) await fs.unlink(path.join(dir, snapshot.name));
+    }
+
+    // Geçici dosyaya yazıp rename: yarım kalan görüntü listede görünmez
+    async function save(archive, reason, now = new Date()) {
+        await fs.mkdir(dir, { recursive: true });
+        const name = snapshotName(reason, now);
+        const tmp = path.join(dir, `${name}.tmp`);
+        await fs.writeFile(tmp, encode(archive));
+        await fs.rename(tmp, path.join(dir, name));
+        await prune();
+        return parseSnapshotName(name);
+    }
+
+    // Sadece listedeki adlar okunur (klasör dışına çıkılamaz); yoksa null
+    async function read(name) {
+        if (!parseSnapshotName(name)) return null;
+        try {
+            return await fs.readFile(path.join(dir, name));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    return { list, save, read };
+}
+
+module.exports = {
+    STUDENT_RECORDS,
+    removeStudent,
+    fullArchive,
+    studentArchive,
+    encode,
+    decode,
+    validate,
+    isScheduleDue,
+    createSnapshotStore
+};
@@ -0,0 +1,193 @@
+// Kitap takibi: soru bankaları ve konu kitapları öğrenciye atanır, her oturumda okunan
+// sayfa ve çözülen testler kaydedilir. İlerleme sunucuda tutulur; puan sadece kitapta
+// yeni ilerlenen sayfa/test için verilir (aynı aralığı tekrar kaydetmek puan getirmez).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bitiş tahmini için son kaç günün hızına bakılır
+const PROJECTION_WINDOW_DAYS = 14;
+
+const UNITS = { page: 'sayfa', test: 'test' };
+
+// Yeni kitap alanlarının varsayılanları (toplamlardan en az biri verilmeli)
+const DEFAULT_FIELDS = {
+    studentId: null,
+    author: '',
+    publisher: '',
+    subject: '',
+    totalPages: null,
+    totalTests: null,
+    currentPage: 0,
+    testsDone: 0,
+    finishedAt: null
+};
+
+const EDITABLE_FIELDS = ['title', 'author', 'publisher', 'subject', 'studentId', 'totalPages', 'totalTests', 'currentPage', 'testsDone'];
+
+function formatDay(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const optionalNumber = value => (value === null || value === '' ? null : Number(value));
+
+// İstekten düzenlenebilir alanları al (gönderilmeyen alan dokunulmaz)
+function pick(body) {
+    const changes = {};
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).forEach(field => { changes[field] = body[field]; });
+
+    ['title', 'author', 'publisher', 'subject'].filter(f => changes[f] !== undefined)
+        .forEach(field => { changes[field] = String(changes[field] || '').trim(); });
+    ['totalPages', 'totalTests'].filter(f => changes[f] !== undefined)
+        .forEach(field => { changes[field] = optionalNumber(changes[field]); });
+    ['currentPage', 'testsDone'].filter(f => changes[f] !== undefined)
+        .forEach(field => { changes[field] = Number(changes[field]) || 0; });
+    return changes;
+}
+
+// Hata listesi döner
+function validateBook(book) {
+    const errors = [];
+    const positive = value => Number.isInteger(value) && value > 0;
+
+    if (!book.title) errors.push('Kitap adı gerekli');
+    if (book.totalPages === null && book.totalTests === null) errors.push('Sayfa ya da test sayısı gerekli');
+    if (book.totalPages !== null && !positive(book.totalPages)) errors.push('Sayfa sayısı pozitif tam sayı olmalı');
+    if (book.totalTests !== null && !positive(book.totalTests)) errors.push('Test sayısı pozitif tam sayı olmalı');
+    if (!Number.isInteger(book.currentPage) || book.currentPage < 0 || book.currentPage > (book.totalPages || 0)) {
+        errors.push('Okunan sayfa 0 ile sayfa sayısı arasında olmalı');
+    }
+    if (!Number.isInteger(book.testsDone) || book.testsDone < 0 || book.testsDone > (book.totalTests || 0)) {
+        errors.push('Çözülen test 0 ile test sayısı arasında olmalı');
+    }
+    return errors;
+}
+
+// Görev/oturumdaki aralık: { unit: 'page' | 'test', from, to } (uçlar dahil); hata mesajı veya null
+function validateRange(book, range) {
+    if (!UNITS[range.unit]) return 'Aralık birimi sayfa veya test olmalı';
+    const total = range.unit === 'page' ? book.totalPages : book.totalTests;
+    if (!total) return `Bu kitapta ${UNITS[range.unit]} takibi yok`;
+    if (!Number.isInteger(range.from) || !Number.isInteger(range.to) || range.from < 1 || range.to < range.from) {
+        return 'Aralık başlangıcı 1 veya üstü, bitişi başlangıçtan büyük olmalı';
+    }
+    if (range.to > total) return `Kitapta ${total} ${UNITS[range.unit]} var`;
+    return null;
+}
+
+// Birim için girilen aralık ({ unit, from, to }) veya null
+function rangeOf(unit, from, to) {
+    return from !== undefined && from !== null && from !== ''
+        ? { unit, from: Number(from), to: Number(to) }
+        : null;
+}
+
+// Oturum girdisi: sayfa/test aralığı (fromPage-toPage, fromTest-toTest) ya da adedi (pages, tests).
+// Süre beyan edilmez, bağlı çalışma oturumundan gelir. { session, error } döner; session henüz kitaba işlenmemiştir
+function parseSession(book, { pages, fromPage, toPage, tests, fromTest, toTest, note }) {
+    const pageRange = rangeOf('page', fromPage, toPage);
+    const testRange = rangeOf('test', fromTest, toTest);
+    for (const range of [pageRange, testRange].filter(Boolean)) {
+        const error = validateRange(book, range);
+        if (error) return { error };
+    }
+
+    const count = (range, value) => (range ? range.to - range.from + 1 : Number(value) || 0);
+    const session = {
+        pages: count(pageRange, pages),
+        fromPage: pageRange ? pageRange.from : null,
+        toPage: pageRange ? pageRange.to : null,
+        tests: count(testRange, tests),
+        fromTest: testRange ? testRange.from : null,
+        toTest: testRange ? testRange.to : null,
+        note: note ? String(note).trim() : ''
+    };
+
+    if (!Number.isInteger(session.pages) || session.pages < 0 || !Number.isInteger(session.tests) || session.tests < 0) {
+        return { error: 'Sayfa ve test sayısı 0 veya üstü tam sayı olmalı' };
+    }
+    if (session.pages === 0 && session.tests === 0) return { error: 'Okunan sayfa ya da çözülen test girilmeli' };
+    if (session.pages > 0 && !book.totalPages) return { error: 'Bu kitapta sayfa takibi yok' };
+    if (session.tests > 0 && !book.totalTests) return { error: 'Bu kitapta test takibi yok' };
+    return { session };
+}
+
+// Görevdeki kitap aralığından oturum girdisi
+function sessionInput(range) {
+    return range.unit === 'page' ? { fromPage: range.from, toPage: range.to } : { fromTest: range.from, toTest: range.to };
+}
+
+// Oturumu kitaba işle (yerinde değiştirir); kitapta yeni ilerlenen { pages, tests } döner.
+// Aralıkla girilen kısım zaten geçilmişse ilerleme sayılmaz
+function applySession(book, session, now = new Date()) {
+    const advance = (done, total, amount, to) => Math.min(total || 0, to !== null ? Math.max(done, to) : done + amount);
+    const currentPage = advance(book.currentPage, book.totalPages, session.pages, session.toPage);
+    const testsDone = advance(book.testsDone, book.totalTests, session.tests, session.toTest);
+
+    const gained = { pages: currentPage - book.currentPage, tests: testsDone - book.testsDone };
+    book.currentPage = currentPage;
+    book.testsDone = testsDone;
+    updateFinished(book, now);
+    return gained;
+}
+
+// Bitiş tarihini ilerlemeye göre güncelle (veli ilerlemeyi geri alırsa kitap yeniden açılır)
+function updateFinished(book, now = new Date()) {
+    book.finishedAt = percentOf(book) >= 100 ? book.finishedAt || now.toISOString() : null;
+}
+
+// Soru bankalarında ilerleme testten, diğerlerinde sayfadan
+function primaryUnit(book) {
+    return book.totalTests ? 'test' : 'page';
+}
+
+function percentOf(book) {
+    return primaryUnit(book) === 'test'
+        ? Math.floor(book.testsDone / book.totalTests * 100)
+        : Math.floor(book.currentPage / book.totalPages * 100);
+}
+
+// Son PROJECTION_WINDOW_DAYS gündeki hıza göre tahmini bitiş günü (hız yoksa null)
+function projectFinish(book, sessions, now = new Date()) {
+    if (book.finishedAt) return null;
+    const unit = primaryUnit(book);
+    const windowStart = now.getTime() - PROJECTION_WINDOW_DAYS * DAY_MS;
+    const recent = sessions.filter(s => new Date(s.loggedAt).getTime() >= windowStart);
+    if (recent.length === 0) return null;
+
+    // Kitaba yeni başlandıysa hız ilk oturumdan bu yana hesaplanır
+    const firstAt = Math.min(...sessions.map(s => new Date(s.loggedAt).getTime()));
+    const days = Math.max(1, Math.ceil((now.getTime() - Math.max(windowStart, firstAt)) / DAY_MS));
+    const done = recent.reduce((sum, s) => sum + (unit === 'test' ? s.gained.tests : s.gained.pages), 0);
+    if (done <= 0) return null;
+
+    const remaining = unit === 'test' ? book.totalTests - book.testsDone : book.totalPages - book.currentPage;
+    return formatDay(new Date(now.getTime() + Math.ceil(remaining / (done / days)) * DAY_MS));
+}
+
+// Listeleme için ilerleme özeti
+function progress(book, sessions, now = new Date()) {
+    const last = sessions.reduce((latest, s) => (!latest || s.loggedAt > latest ? s.loggedAt : latest), null);
+    return {
+        unit: primaryUnit(book),
+        percent: percentOf(book),
+        pagePercent: book.totalPages ? Math.floor(book.currentPage / book.totalPages * 100) : null,
+        testPercent: book.totalTests ? Math.floor(book.testsDone / book.totalTests * 100) : null,
+        sessionCount: sessions.length,
+        lastSessionAt: last,
+        projectedFinish: projectFinish(book, sessions, now)
+    };
+}
+
+module.exports = {
+    UNITS,
+    DEFAULT_FIELDS,
+    pick,
+    validateBook,
+    validateRange,
+    parseSession,
+    sessionInput,
+    applySession,
+    updateFinished,
+    progress
+};
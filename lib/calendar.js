@@ -0,0 +1,119 @@
+// Sınav takvimi: sınav türü + yıl başına başvuru tarihleri ve sınav günü.
+// Kalan gün ve hazırlık dönemi hep buradan hesaplanır; istemcinin gönderdiği gün sayısına güvenilmez.
+// "Bugün" öğrencinin saat dilimindeki takvim günüdür (verilmezse varsayılan saat dilimi).
+
+const streaks = require('./streaks');
+
+const EXAM_TYPES = ['MSÜ', 'TYT', 'AYT', 'LGS', 'KPSS'];
+
+// Kalan güne göre hazırlık dönemleri (büyükten küçüğe)
+const PHASES = [
+    { key: 'foundation', label: 'Temel hazırlık', minDays: 181 },
+    { key: 'coverage', label: 'Konu tamamlama', minDays: 91 },
+    { key: 'practice', label: 'Soru çözüm dönemi', minDays: 31 },
+    { key: 'final30', label: 'Son 30 gün', minDays: 8 },
+    { key: 'finalWeek', label: 'Son hafta', minDays: 1 },
+    { key: 'examDay', label: 'Sınav günü', minDays: 0 }
+];
+
+// İlk kurulum için takvim; tarihler tahminidir, ÖSYM/MEB takviminden doğrulanıp
+// veli panelinden düzeltilmelidir (tentative: true)
+const SEED_ENTRIES = [
+    { exam: 'MSÜ', year: 2026, examDate: '2026-03-01', applicationStart: '2026-01-06', applicationEnd: '2026-01-15' },
+    { exam: 'MSÜ', year: 2027, examDate: '2027-03-07', applicationStart: '2027-01-05', applicationEnd: '2027-01-14' },
+    { exam: 'TYT', year: 2027, examDate: '2027-06-19', applicationStart: '2027-02-03', applicationEnd: '2027-02-25' },
+    { exam: 'AYT', year: 2027, examDate: '2027-06-20', applicationStart: '2027-02-03', applicationEnd: '2027-02-25' },
+    { exam: 'LGS', year: 2027, examDate: '2027-06-13', applicationStart: null, applicationEnd: null }
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function daysUntil(value, now = new Date(), timezone) {
+    return streaks.daysBetween(streaks.localDay(now, timezone), value);
+}
+
+function phaseFor(daysLeft) {
+    if (daysLeft < 0) return { key: 'done', label: 'Sınav geçti' };
+    const { key, label } = PHASES.find(p => daysLeft >= p.minDays);
+    return { key, label };
+}
+
+function seedEntries(now = new Date()) {
+    return SEED_ENTRIES.map(entry => ({
+        id: `${entry.exam}-${entry.year}`,
+        name: `${entry.exam} ${entry.year}`,
+        ...entry,
+        tentative: true,
+        createdAt: now.toISOString()
+    }));
+}
+
+// Hata listesi döner
+function validateEntry(entry) {
+    const errors = [];
+    if (!EXAM_TYPES.includes(entry.exam)) errors.push('Geçersiz sınav türü');
+    if (!Number.isInteger(entry.year)) errors.push('Yıl gerekli');
+    if (!DATE_PATTERN.test(entry.examDate || '')) errors.push('Sınav tarihi YYYY-AA-GG olmalı');
+
+    ['applicationStart', 'applicationEnd'].forEach(field => {
+        if (entry[field] && !DATE_PATTERN.test(entry[field])) errors.push(`${field} YYYY-AA-GG olmalı`);
+    });
+    if (Boolean(entry.applicationStart) !== Boolean(entry.applicationEnd)) {
+        errors.push('Başvuru başlangıç ve bitişi birlikte girilmeli');
+    }
+    if (entry.applicationStart && entry.applicationEnd && entry.applicationStart > entry.applicationEnd) {
+        errors.push('Başvuru başlangıcı bitişten sonra olamaz');
+    }
+    if (entry.applicationEnd && entry.examDate && entry.applicationEnd > entry.examDate) {
+        errors.push('Başvuru sınav gününden sonra bitemez');
+    }
+    return errors;
+}
+
+// Sınav türünün bugünden sonraki ilk oturumu
+function nextEntry(entries, exam, now = new Date(), timezone) {
+    return entries
+        .filter(e => e.exam === exam && daysUntil(e.examDate, now, timezone) >= 0)
+        .sort((a, b) => a.examDate.localeCompare(b.examDate))[0] || null;
+}
+
+// Öğrencinin hedefi: veli belirli bir oturum seçtiyse o, yoksa hedef sınav türünün sıradaki oturumu
+function targetFor(entries, student, now = new Date()) {
+    const chosen = student.targetExamId && entries.find(e => e.id === student.targetExamId);
+    if (chosen && daysUntil(chosen.examDate, now, student.timezone) >= 0) return chosen;
+    return nextEntry(entries, student.targetExam || 'MSÜ', now, student.timezone);
+}
+
+function applicationStatus(entry, now = new Date(), timezone) {
+    if (!entry.applicationStart || !entry.applicationEnd) return null;
+    if (daysUntil(entry.applicationStart, now, timezone) > 0) return 'upcoming';
+    if (daysUntil(entry.applicationEnd, now, timezone) >= 0) return 'open';
+    return 'closed';
+}
+
+function countdown(entry, now = new Date(), timezone) {
+    const daysLeft = daysUntil(entry.examDate, now, timezone);
+    return {
+        examId: entry.id,
+        exam: entry.exam,
+        name: entry.name,
+        examDate: entry.examDate,
+        tentative: Boolean(entry.tentative),
+        daysLeft: Math.max(0, daysLeft),
+        phase: phaseFor(daysLeft),
+        applicationStart: entry.applicationStart,
+        applicationEnd: entry.applicationEnd,
+        applicationStatus: applicationStatus(entry, now, timezone),
+        daysToApplicationEnd: entry.applicationEnd ? daysUntil(entry.applicationEnd, now, timezone) : null
+    };
+}
+
+module.exports = {
+    EXAM_TYPES,
+    PHASES,
+    seedEntries,
+    validateEntry,
+    nextEntry,
+    targetFor,
+    countdown
+};
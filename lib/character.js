@@ -0,0 +1,85 @@
+// Karakter sayfası: genel seviye + ders bazında beceri seviyeleri.
+// XP puan defterindeki kazançlardan gelir; derse bağlı kazançlar (subject alanı)
+// o dersin becerisini de ilerletir. Seviye eğrileri scoring kurallarındadır.
+
+// Genel seviyeye göre açılan unvanlar (küçükten büyüğe)
+const TITLES = [
+    { level: 1, title: 'Aday' },
+    { level: 2, title: 'Er' },
+    { level: 3, title: 'Onbaşı' },
+    { level: 5, title: 'Çavuş' },
+    { level: 7, title: 'Astsubay' },
+    { level: 10, title: 'Asteğmen' },
+    { level: 13, title: 'Teğmen' },
+    { level: 16, title: 'Üsteğmen' },
+    { level: 20, title: 'Yüzbaşı' },
+    { level: 25, title: 'Binbaşı' }
+];
+
+function titleFor(level) {
+    return [...TITLES].reverse().find(t => level >= t.level).title;
+}
+
+function nextTitle(level) {
+    return TITLES.find(t => t.level > level) || null;
+}
+
+// Ders → kazanılan XP (sadece derse bağlı kazançlar)
+function subjectXp(entries) {
+    const xp = {};
+    entries
+        .filter(e => e.type === 'earn' && e.subject)
+        .forEach(e => { xp[e.subject] = (xp[e.subject] || 0) + e.amount; });
+    return xp;
+}
+
+// Kullanıcıda tutulan seviye özetini (level, title, skills) defterden yenile; kullanıcıyı yerinde değiştirir
+function refresh(user, entries, earned, scoring) {
+    user.level = scoring.levelFor(earned);
+    user.title = titleFor(user.level);
+    user.skills = Object.fromEntries(Object.entries(subjectXp(entries))
+        .map(([subject, xp]) => [subject, scoring.levelFor(xp, subject)]));
+}
+
+function snapshot(user) {
+    return { level: user.level || 1, title: user.title || titleFor(user.level || 1), skills: { ...user.skills } };
+}
+
+// İki özet arasındaki seviye atlamaları
+function levelUps(before, after) {
+    const ups = [];
+    if (after.level > before.level) {
+        ups.push({
+            type: 'character',
+            level: after.level,
+            title: after.title !== before.title ? after.title : null
+        });
+    }
+    Object.entries(after.skills).forEach(([subject, level]) => {
+        if (level > (before.skills[subject] || 1)) ups.push({ type: 'subject', subject, level });
+    });
+    return ups;
+}
+
+// subjects: gösterilecek dersler (müfredattaki sırayla); XP'si olan diğer dersler sona eklenir
+function sheet(entries, earned, subjects, scoring) {
+    const xp = subjectXp(entries);
+    const names = [...new Set([...subjects, ...Object.keys(xp)])];
+    const level = scoring.levelFor(earned);
+
+    return {
+        ...scoring.levelProgress(earned),
+        title: titleFor(level),
+        nextTitle: nextTitle(level),
+        skills: names.map(subject => ({ subject, ...scoring.levelProgress(xp[subject] || 0, subject) }))
+    };
+}
+
+module.exports = {
+    TITLES,
+    titleFor,
+    refresh,
+    snapshot,
+    levelUps,
+    sheet
+};
@@ -0,0 +1,10 @@
+// Veritabanı koleksiyonları (data/<ad>.json). Yeni koleksiyon sadece buraya eklenir;
+// sunucu ve testler aynı listeyi kullanır
+const COLLECTIONS = [
+    'users', 'programs', 'tasks', 'rewards', 'books', 'questions', 'claims', 'sessions', 'exams',
+    'attempts', 'reviews', 'completions', 'mastery', 'syllabus', 'calendar',
+    'enrollments', 'replans', 'ledger', 'achievements', 'quests', 'questProgress', 'studyDays', 'bookSessions',
+    'studySessions', 'notifications'
+];
+
+module.exports = { COLLECTIONS };
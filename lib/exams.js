@@ -0,0 +1,204 @@
+// Deneme sınavı: bankadan MSÜ bölüm/ders ağırlıklarına göre test kurma,
+// sunucu tarafı süre, soru başına süre takibi ve MSÜ usulü net hesabı.
+
+// MSÜ (TYT formatı): 120 soru, 165 dakika. Katsayılar tahmini puan içindir.
+const MSU_BLUEPRINT = {
+    key: 'msu',
+    name: 'MSÜ Denemesi',
+    durationMinutes: 165,
+    basePoints: 100,
+    sections: [
+        { key: 'turkce', name: 'Türkçe', coefficient: 3.3, subjects: { 'Türkçe': 40 } },
+        {
+            key: 'sosyal',
+            name: 'Sosyal Bilimler',
+            coefficient: 3.4,
+            subjects: { 'Tarih': 5, 'Coğrafya': 5, 'Felsefe': 5, 'Din Kültürü': 5 }
+        },
+        { key: 'matematik', name: 'Temel Matematik', coefficient: 3.3, subjects: { 'Matematik': 40 } },
+        {
+            key: 'fen',
+            name: 'Fen Bilimleri',
+            coefficient: 3.4,
+            subjects: { 'Fizik': 7, 'Kimya': 7, 'Biyoloji': 6 }
+        }
+    ]
+};
+
+const BLUEPRINTS = { msu: MSU_BLUEPRINT };
+
+// Mini deneme: soru sayısı ve süre ölçeklenir
+const SIZES = { full: 1, half: 0.5, mini: 0.25 };
+
+function shuffle(items, random = Math.random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// Konulara sırayla dağıtarak n soru seç; topicWeights verilirse ağırlıklı dağıt
+function pickByTopic(pool, count, { topicWeights = {}, preferIds = new Set(), random } = {}) {
+    const byTopic = new Map();
+    // Daha önce görülmemiş sorular öne
+    const ordered = shuffle(pool, random).sort((a, b) => preferIds.has(b.id) - preferIds.has(a.id));
+    ordered.forEach(q => {
+        if (!byTopic.has(q.topic)) byTopic.set(q.topic, []);
+        byTopic.get(q.topic).push(q);
+    });
+
+    const topics = [...byTopic.keys()];
+    const picked = [];
+    const credit = Object.fromEntries(topics.map(t => [t, 0]));
+
+    while (picked.length < count && topics.some(t => byTopic.get(t).length > 0)) {
+        // Ağırlığı en çok "alacaklı" konu sıradaki soruyu verir
+        topics.forEach(t => { credit[t] += topicWeights[t] || 1; });
+        const topic = topics
+            .filter(t => byTopic.get(t).length > 0)
+            .sort((a, b) => credit[b] - credit[a])[0];
+        credit[topic] -= topics.reduce((sum, t) => sum + (topicWeights[t] || 1), 0);
+        picked.push(byTopic.get(topic).shift());
+    }
+
+    return picked;
+}
+
+// bank: sunulabilir sorular; seenIds: öğrencinin önceki denemelerde gördüğü sorular
+function assembleExam(bank, blueprint, { size = 'full', seenIds = [], topicWeights = {}, random } = {}) {
+    const scale = SIZES[size] || 1;
+    const seen = new Set(seenIds);
+    const unseen = new Set(bank.filter(q => !seen.has(q.id)).map(q => q.id));
+
+    const sections = [];
+    const items = [];
+    const shortfall = [];
+
+    for (const section of blueprint.sections) {
+        const questionIds = [];
+
+        for (const [subject, fullCount] of Object.entries(section.subjects)) {
+            const count = Math.max(1, Math.round(fullCount * scale));
+            const pool = bank.filter(q => q.subject === subject);
+            const picked = pickByTopic(pool, count, {
+                topicWeights: topicWeights[subject] || {},
+                preferIds: unseen,
+                random
+            });
+
+            if (picked.length < count) shortfall.push({ subject, needed: count, available: picked.length });
+
+            picked.forEach(q => {
+                questionIds.push(q.id);
+                items.push({
+                    questionId: q.id,
+                    section: section.key,
+                    subject: q.subject,
+                    topic: q.topic,
+                    difficulty: q.difficulty,
+                    answer: null,
+                    flagged: false,
+                    timeSpentMs: 0,
+                    visits: 0
+                });
+            });
+        }
+
+        sections.push({ key: section.key, name: section.name, coefficient: section.coefficient, questionIds });
+    }
+
+    return {
+        sections,
+        items,
+        shortfall,
+        durationMinutes: Math.round(blueprint.durationMinutes * scale)
+    };
+}
+
+function remainingSeconds(attempt, now = new Date()) {
+    return Math.max(0, Math.floor((new Date(attempt.expiresAt) - now) / 1000));
+}
+
+function isExpired(attempt, now = new Date()) {
+    return remainingSeconds(attempt, now) === 0;
+}
+
+// Son etkinlikten bu yana geçen süreyi o an açık olan soruya yaz (süre dolduysa bitişe kadar)
+function recordActivity(attempt, now = new Date()) {
+    const end = Math.min(now.getTime(), new Date(attempt.expiresAt).getTime());
+    const last = new Date(attempt.lastActivityAt).getTime();
+    const item = attempt.items[attempt.currentIndex];
+
+    if (item && end > last) item.timeSpentMs += end - last;
+    attempt.lastActivityAt = new Date(Math.max(end, last)).toISOString();
+}
+
+function navigate(attempt, index, now = new Date()) {
+    recordActivity(attempt, now);
+    attempt.currentIndex = index;
+    attempt.items[index].visits++;
+}
+
+// MSÜ usulü: net = doğru - yanlış / 4; tahmini puan = taban + Σ net × katsayı
+function gradeExam(attempt, questionsById, blueprint) {
+    const sections = attempt.sections.map(section => {
+        const items = attempt.items.filter(i => i.section === section.key);
+        let correct = 0;
+        let wrong = 0;
+
+        items.forEach(item => {
+            const question = questionsById[item.questionId];
+            if (item.answer === null || item.answer === undefined) {
+                item.result = 'blank';
+                return;
+            }
+            item.result = question && item.answer === question.correctIndex ? 'correct' : 'wrong';
+            if (item.result === 'correct') correct++;
+            else wrong++;
+        });
+
+        const net = correct - wrong / 4;
+        return {
+            key: section.key,
+            name: section.name,
+            total: items.length,
+            correct,
+            wrong,
+            blank: items.length - correct - wrong,
+            net: Math.round(net * 100) / 100,
+            coefficient: section.coefficient
+        };
+    });
+
+    const totalNet = sections.reduce((sum, s) => sum + s.net, 0);
+    const estimatedScore = (blueprint.basePoints || 0)
+        + sections.reduce((sum, s) => sum + Math.max(0, s.net) * s.coefficient, 0);
+
+    const topics = {};
+    attempt.items.forEach(item => {
+        const key = `${item.subject}::${item.topic}`;
+        if (!topics[key]) topics[key] = { subject: item.subject, topic: item.topic, correct: 0, wrong: 0, blank: 0 };
+        topics[key][item.result]++;
+    });
+
+    return {
+        sections,
+        totalNet: Math.round(totalNet * 100) / 100,
+        estimatedScore: Math.round(estimatedScore * 100) / 100,
+        topics: Object.values(topics).map(t => ({ ...t, net: Math.round((t.correct - t.wrong / 4) * 100) / 100 })),
+        totalTimeMs: attempt.items.reduce((sum, i) => sum + i.timeSpentMs, 0)
+    };
+}
+
+module.exports = {
+    BLUEPRINTS,
+    SIZES,
+    assembleExam,
+    remainingSeconds,
+    isExpired,
+    recordActivity,
+    navigate,
+    gradeExam
+};
@@ -0,0 +1,118 @@
+// Soru şekilleri (grafik, geometri çizimi, deney düzeneği): data/figures altında içeriğin
+// özetiyle adlandırılan dosyalar. Aynı görsel iki kez yüklenirse tek dosya olur; sorular metin
+// içinde ![açıklama](ad) ile başvurur (bkz. notation.js). Tür dosya başlığından anlaşılır;
+// SVG kabul edilmez (içinde betik çalıştırılabilir).
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { FIGURE_PATTERN } = require('./notation');
+
+const MAX_BYTES = 2 * 1024 * 1024;
+
+// Sorularda kullanılmayan dosyalar bu kadar saat sonra silinir (yüklenip henüz kaydedilmemiş olabilir)
+const ORPHAN_HOURS = 24;
+
+const TYPES = {
+    png: { mimeType: 'image/png', magic: [0x89, 0x50, 0x4e, 0x47] },
+    jpg: { mimeType: 'image/jpeg', magic: [0xff, 0xd8, 0xff] },
+    gif: { mimeType: 'image/gif', magic: [0x47, 0x49, 0x46, 0x38] },
+    webp: { mimeType: 'image/webp', magic: [0x52, 0x49, 0x46, 0x46], offset: { at: 8, bytes: [0x57, 0x45, 0x42, 0x50] } }
+};
+
+// Dosya uzantısı ya da desteklenmeyen türse null
+function detectType(buffer) {
+    const startsWith = (bytes, at = 0) => bytes.every((byte, i) => buffer[at + i] === byte);
+    const ext = Object.keys(TYPES).find(key => {
+        const { magic, offset } = TYPES[key];
+        return startsWith(magic) && (!offset || startsWith(offset.bytes, offset.at));
+    });
+    return ext || null;
+}
+
+const isFigureName = name => FIGURE_PATTERN.test(name);
+
+function mimeTypeOf(name) {
+    return TYPES[path.extname(name).slice(1)].mimeType;
+}
+
+// dir: şekil klasörü (data/figures)
+function createFigureStore(dir) {
+    const fileOf = name => path.join(dir, name);
+
+    async function list() {
+        try {
+            return (await fs.readdir(dir)).filter(isFigureName);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    // { name, size } veya { error }
+    async function save(buffer) {
+        if (buffer.length === 0) return { error: 'Görsel dosyası gerekli' };
+        if (buffer.length > MAX_BYTES) return { error: `Görsel en fazla ${MAX_BYTES / 1024 / 1024} MB olabilir` };
+        const ext = detectType(buffer);
+        if (!ext) return { error: 'Sadece PNG, JPEG, GIF veya WebP yüklenebilir' };
+
+        const name = `${crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16)}.${ext}`;
+        await fs.mkdir(dir, { recursive: true });
+        // Geçici dosyaya yazıp rename: yarım dosya sunulmaz
+        const tmp = fileOf(`${name}.tmp`);
+        await fs.writeFile(tmp, buffer);
+        await fs.rename(tmp, fileOf(name));
+        return { name, size: buffer.length };
+    }
+
+    // Sadece geçerli adlar okunur (klasör dışına çıkılamaz); yoksa null
+    async function read(name) {
+        if (!isFigureName(name)) return null;
+        try {
+            return await fs.readFile(fileOf(name));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Yedeğe girecek şekiller: ad → base64 (diskte olmayanlar atlanır)
+    async function encodeAll(names) {
+        const encoded = {};
+        for (const name of names) {
+            const buffer = await read(name);
+            if (buffer) encoded[name] = buffer.toString('base64');
+        }
+        return encoded;
+    }
+
+    // Yedekten gelen şekilleri yaz; ad içerikten üretildiği için var olan dosyaya dokunulmaz.
+    // Türü adıyla uyuşmayan içerik yazılmaz
+    async function writeAll(encoded) {
+        const existing = new Set(await list());
+        for (const [name, data] of Object.entries(encoded)) {
+            const buffer = Buffer.from(data, 'base64');
+            if (existing.has(name) || !isFigureName(name) || detectType(buffer) !== path.extname(name).slice(1)) continue;
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(fileOf(name), buffer);
+        }
+    }
+
+    // referenced: sorularda kullanılan adlar
+    async function prune(referenced, now = new Date()) {
+        for (const name of await list()) {
+            if (referenced.has(name)) continue;
+            const { mtime } = await fs.stat(fileOf(name));
+            if (now - mtime >= ORPHAN_HOURS * 60 * 60 * 1000) await fs.unlink(fileOf(name));
+        }
+    }
+
+    return { list, save, read, encodeAll, writeAll, prune };
+}
+
+module.exports = {
+    MAX_BYTES,
+    isFigureName,
+    mimeTypeOf,
+    createFigureStore
+};
@@ -0,0 +1,67 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Puan defteri: her puan hareketi değişmez bir kayıt olarak eklenir, bakiye kayıtlardan hesaplanır.
+// Ödül talebi puanı bloke eder (hold); onayda harcanır (spend), redde serbest kalır (release).
+
+// Her hareketin bakiyeye, bloke puana ve kazanılan toplama (seviye) etkisi (tutar hep pozitif yazılır)
+const EFFECTS = {
+    opening: { balance: 1, held: 0, earned: 1 },   // defter öncesi bakiye (migration)
+    earn: { balance: 1, held: 0, earned: 1 },
+    bonus: { balance: 1, held: 0, earned: 1 },
+    penalty: { balance: -1, held: 0, earned: -1 },
+    hold: { balance: 0, held: 1, earned: 0 },
+    release: { balance: 0, held: -1, earned: 0 },
+    spend: { balance: -1, held: -1, earned: 0 },
+    purchase: { balance: -1, held: 0, earned: 0 }    // onaysız doğrudan alım (örn. seri dondurucu)
+};
+
+// Veli panelinden elle girilebilen hareketler
+const ADJUSTMENT_TYPES = ['bonus', 'penalty'];
+
+// subject: kazanç bir derse aitse o dersin beceri XP'sine de sayılır (bkz. character)
+function newEntry(studentId, type, amount, { reason, source = null, claimId = null, subject = null, createdBy = null } = {}, now = new Date()) {
+    if (!EFFECTS[type]) throw new Error(`Bilinmeyen puan hareketi: ${type}`);
+    return {
+        id: uuidv4(),
+        studentId,
+        type,
+        amount,
+        reason: reason || null,
+        source,
+        claimId,
+        subject,
+        createdBy,
+        createdAt: now.toISOString()
+    };
+}
+
+// balance: toplam bakiye, held: bekleyen taleplerde bloke, spendable: harcanabilir,
+// earned: harcama ve alımlardan bağımsız kazanılan toplam (seviye bununla hesaplanır)
+function summarize(entries) {
+    let balance = 0;
+    let held = 0;
+    let earned = 0;
+    entries.forEach(entry => {
+        const effect = EFFECTS[entry.type];
+        balance += effect.balance * entry.amount;
+        held += effect.held * entry.amount;
+        earned += effect.earned * entry.amount;
+    });
+    return { balance, held, spendable: balance - held, earned };
+}
+
+// Hata mesajı veya null döner
+function validateAdjustment({ type, amount, reason }) {
+    if (!ADJUSTMENT_TYPES.includes(type)) return 'Geçersiz işlem';
+    if (!Number.isInteger(amount) || amount <= 0) return 'Puan pozitif tam sayı olmalı';
+    if (!reason || !String(reason).trim()) return 'Açıklama gerekli';
+    return null;
+}
+
+module.exports = {
+    EFFECTS,
+    ADJUSTMENT_TYPES,
+    newEntry,
+    summarize,
+    validateAdjustment
+};
@@ -0,0 +1,152 @@
+// Konu hakimiyeti: her öğrenci/konu için Elo tarzı bir puan.
+// Her notlanan cevapta soru zorluğuna göre güncellenir, çalışılmayan konularda
+// zamanla başlangıç değerine doğru söner.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INITIAL_RATING = 1500;
+// Soru zorluğu (1 temel, 2 orta, 3 MSÜ zor) karşılığı puanlar
+const DIFFICULTY_RATINGS = { 1: 1250, 2: 1400, 3: 1550 };
+// Hakimiyet yüzdesi orta zorlukta bir soruyu doğru yapma olasılığıdır
+const REFERENCE_RATING = DIFFICULTY_RATINGS[2];
+
+const K_MAX = 40;
+const K_MIN = 12;
+const DECAY_HALF_LIFE_DAYS = 30;
+const HISTORY_DAYS = 30;
+
+const WEAK_THRESHOLD = 0.6;
+const MIN_WEAK_ATTEMPTS = 2;
+
+// Müfredattaki konu ID'si ile; katalogda karşılığı olmayan eski kayıtlarda ders/konu adıyla
+function keyOf(studentId, { topicId, subject, topic }) {
+    return topicId ? `${studentId}:${topicId}` : `${studentId}:${subject}::${topic}`;
+}
+
+function expected(rating, questionRating) {
+    return 1 / (1 + Math.pow(10, (questionRating - rating) / 400));
+}
+
+function questionRating(question) {
+    return DIFFICULTY_RATINGS[question.difficulty] || REFERENCE_RATING;
+}
+
+// Son çalışmadan bu yana geçen süreye göre sönümlenmiş puan
+function effectiveRating(record, now = new Date()) {
+    if (!record.lastAttemptAt) return record.rating;
+    const days = Math.max(0, (now - new Date(record.lastAttemptAt)) / DAY_MS);
+    const factor = Math.pow(0.5, days / DECAY_HALF_LIFE_DAYS);
+    return INITIAL_RATING + (record.rating - INITIAL_RATING) * factor;
+}
+
+function newRecord(studentId, { topicId, subject, topic }) {
+    return {
+        id: keyOf(studentId, { topicId, subject, topic }),
+        studentId,
+        topicId: topicId || null,
+        subject,
+        topic,
+        rating: INITIAL_RATING,
+        attempts: 0,
+        correct: 0,
+        lastAttemptAt: null,
+        history: []
+    };
+}
+
+// Kaydı bir cevapla güncelle (yerinde değiştirir); history günlük son puanı tutar
+function update(record, question, correct, now = new Date()) {
+    const rating = effectiveRating(record, now);
+    const k = Math.max(K_MIN, K_MAX / (1 + record.attempts / 10));
+    const delta = k * ((correct ? 1 : 0) - expected(rating, questionRating(question)));
+
+    record.rating = Math.round((rating + delta) * 10) / 10;
+    record.attempts++;
+    if (correct) record.correct++;
+    record.lastAttemptAt = now.toISOString();
+
+    const day = now.toISOString().slice(0, 10);
+    record.history = record.history.filter(h => h.date !== day);
+    record.history.push({ date: day, rating: record.rating });
+    record.history = record.history.slice(-HISTORY_DAYS);
+    return record;
+}
+
+// Repository üzerinde kaydı bul ya da oluştur, cevabı işle
+function apply(repo, studentId, question, correct, now = new Date()) {
+    const record = repo.findById(keyOf(studentId, question)) || repo.insert(newRecord(studentId, question));
+    return update(record, question, correct, now);
+}
+
+function masteryOf(rating) {
+    return expected(rating, REFERENCE_RATING);
+}
+
+// Deneme sayısı arttıkça artar, uzun süre çalışılmazsa düşer (0-1)
+function confidenceOf(record, now = new Date()) {
+    if (!record.lastAttemptAt) return 0;
+    const days = (now - new Date(record.lastAttemptAt)) / DAY_MS;
+    const recency = Math.pow(0.5, Math.max(0, days) / DECAY_HALF_LIFE_DAYS);
+    return (1 - Math.exp(-record.attempts / 8)) * recency;
+}
+
+// Bir hafta önceki puana göre değişim (yüzde puanı)
+function trendOf(record, now = new Date()) {
+    const weekAgo = new Date(now.getTime() - 7 * DAY_MS).toISOString().slice(0, 10);
+    const before = [...record.history].reverse().find(h => h.date <= weekAgo);
+    const baseline = before ? before.rating : INITIAL_RATING;
+    const change = Math.round((masteryOf(effectiveRating(record, now)) - masteryOf(baseline)) * 100);
+    return { change, direction: change > 2 ? 'up' : change < -2 ? 'down' : 'flat' };
+}
+
+function summarize(record, now = new Date()) {
+    const mastery = masteryOf(effectiveRating(record, now));
+    return {
+        topicId: record.topicId,
+        subject: record.subject,
+        topic: record.topic,
+        mastery: Math.round(mastery * 100),
+        confidence: Math.round(confidenceOf(record, now) * 100),
+        trend: trendOf(record, now),
+        attempts: record.attempts,
+        accuracy: record.attempts ? Math.round((record.correct / record.attempts) * 100) : null,
+        lastAttemptAt: record.lastAttemptAt,
+        weak: mastery < WEAK_THRESHOLD && record.attempts >= MIN_WEAK_ATTEMPTS
+    };
+}
+
+// Zayıftan güçlüye sıralı özet
+function summarizeAll(records, now = new Date()) {
+    return records
+        .map(r => summarize(r, now))
+        .sort((a, b) => a.mastery - b.mastery);
+}
+
+function weakTopics(records, { subject, now = new Date() } = {}) {
+    return summarizeAll(records.filter(r => !subject || r.subject === subject), now)
+        .filter(s => s.weak)
+        .map(s => s.topic);
+}
+
+// Soru seçimi / deneme için konu ağırlıkları: hakimiyet düştükçe ağırlık artar
+// (hiç çalışılmamış konu orta ağırlık alır)
+function topicWeights(records, now = new Date()) {
+    const weights = {};
+    records.forEach(record => {
+        const mastery = masteryOf(effectiveRating(record, now));
+        if (!weights[record.subject]) weights[record.subject] = {};
+        weights[record.subject][record.topic] = Math.round((0.5 + (1 - mastery) * 2) * 100) / 100;
+    });
+    return weights;
+}
+
+module.exports = {
+    keyOf,
+    newRecord,
+    update,
+    apply,
+    summarize,
+    summarizeAll,
+    weakTopics,
+    topicWeights
+};
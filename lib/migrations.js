@@ -0,0 +1,320 @@
+const auth = require('./auth');
+const { validateQuestion, AI_SOURCES } = require('./questions');
+const mastery = require('./mastery');
+const syllabus = require('./syllabus');
+const calendar = require('./calendar');
+const programs = require('./programs');
+const ledger = require('./ledger');
+const rewards = require('./rewards');
+const achievements = require('./achievements');
+const character = require('./character');
+const streaks = require('./streaks');
+const books = require('./books');
+const { createScoring } = require('./scoring');
+
+// Cevap geçmişini baştan oynatarak hakimiyet kayıtlarını yeniden kur
+function rebuildMastery(tx) {
+    tx.mastery.remove(() => true);
+    const attempts = [...tx.attempts.all()].sort((a, b) => a.answeredAt.localeCompare(b.answeredAt));
+
+    for (const attempt of attempts) {
+        const question = tx.questions.findById(attempt.questionId) || {};
+        const labels = { topicId: attempt.topicId, subject: attempt.subject, topic: attempt.topic };
+        mastery.apply(tx.mastery, attempt.studentId, { ...question, ...labels }, attempt.correct, new Date(attempt.answeredAt));
+    }
+}
+
+// Şema migration'ları: her biri bir kez, sürüm sırasıyla çalışır.
+// up(tx) tüm koleksiyonları içeren transaction üzerinde çalışır.
+module.exports = [
+    {
+        version: 1,
+        description: 'Düz metin şifreleri scrypt hash\'ine çevir',
+        async up(tx) {
+            for (const user of tx.users.all()) {
+                if (user.password === undefined) continue;
+                user.passwordHash = await auth.hashPassword(String(user.password));
+                user.mustChangePassword = ['admin123', '123456'].includes(user.password);
+                delete user.password;
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Öğrencileri veliye bağla, program ve ödülleri sahiplendir',
+        up(tx) {
+            const parent = tx.users.find(u => u.role === 'admin');
+            if (!parent) return;
+
+            for (const user of tx.users.filter(u => u.role === 'student')) {
+                if (!user.parentId) user.parentId = parent.id;
+                if (user.active === undefined) user.active = true;
+                if (!user.targetExam) user.targetExam = 'MSÜ';
+                if (!user.dailyHours) user.dailyHours = 4;
+            }
+
+            const firstChild = tx.users.find(u => u.role === 'student' && u.parentId === parent.id);
+            if (firstChild) {
+                tx.programs.all().forEach(p => { if (!p.studentId) p.studentId = firstChild.id; });
+            }
+
+            tx.rewards.all().forEach(r => {
+                if (!r.parentId) r.parentId = parent.id;
+                if (!r.studentIds) r.studentIds = [];
+            });
+        }
+    },
+    {
+        version: 3,
+        description: 'Sorulara inceleme durumu ekle, bozuk soruları reddet',
+        up(tx) {
+            for (const question of tx.questions.all()) {
+                if (!question.reports) question.reports = [];
+                if (question.status) continue;
+
+                const errors = validateQuestion(question);
+                question.status = errors.length > 0 ? 'rejected' : 'draft';
+                if (errors.length > 0) question.reviewNote = `Otomatik doğrulama: ${errors.join('; ')}`;
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Konu hakimiyetini mevcut cevap geçmişinden hesapla',
+        up(tx) {
+            rebuildMastery(tx);
+        }
+    },
+    {
+        version: 5,
+        description: 'MSÜ müfredat kataloğunu yükle, kayıtları konu ID\'lerine bağla',
+        up(tx) {
+            if (tx.syllabus.all().length === 0) syllabus.seedNodes().forEach(node => tx.syllabus.insert(node));
+            const nodes = tx.syllabus.all();
+
+            const link = (record, subject, fuzzy) => {
+                const topic = syllabus.resolveTopic(nodes, { subject, topic: record.topic }, { fuzzy });
+                record.topicId = topic ? topic.id : null;
+                if (topic) Object.assign(record, syllabus.labelsOf(nodes, topic));
+            };
+
+            tx.questions.all().forEach(q => link(q, q.subject, false));
+            tx.attempts.all().forEach(a => link(a, a.subject, false));
+            tx.reviews.all().forEach(r => link(r, r.subject, false));
+
+            for (const program of tx.programs.all()) {
+                const subject = syllabus.findSubject(nodes, program.subject);
+                program.subjectId = subject ? subject.id : null;
+                // AI görevlerinin konu adları serbest metin, yakın eşleşmeleri de kabul et
+                tx.tasks.filter(t => t.programId === program.id).forEach(t => link(t, program.subject, true));
+            }
+
+            // Tekrar kartı ID'leri soruya bağlı, değişmez; hakimiyet konu ID'sine göre yeniden kurulur
+            rebuildMastery(tx);
+        }
+    },
+    {
+        version: 6,
+        description: 'Sınav takvimini yükle, öğrencilere hedef oturum alanı ekle',
+        up(tx) {
+            if (tx.calendar.all().length === 0) calendar.seedEntries().forEach(entry => tx.calendar.insert(entry));
+            tx.users.filter(u => u.role === 'student' && u.targetExamId === undefined)
+                .forEach(u => { u.targetExamId = null; });
+        }
+    },
+    {
+        version: 7,
+        description: 'Programları öğrenci kayıtlarına (enrollment) taşı, tamamlanan görevlere program bağla',
+        up(tx) {
+            for (const program of tx.programs.all()) {
+                if (!program.studentId) continue;
+                const id = programs.enrollmentId(program.studentId, program.id);
+                if (!tx.enrollments.findById(id)) {
+                    const student = tx.users.findById(program.studentId);
+                    const enrollment = programs.newEnrollment(program.studentId, program.id, {
+                        now: new Date(program.createdAt),
+                        timezone: student && student.timezone
+                    });
+                    if (program.isActive === false) programs.transition(enrollment, 'archived');
+                    tx.enrollments.insert(enrollment);
+                }
+                delete program.isActive;
+            }
+
+            tx.users.filter(u => u.role === 'student').forEach(user => {
+                (user.completedTasks || []).filter(c => !c.programId).forEach(entry => {
+                    const task = tx.tasks.findById(entry.taskId);
+                    entry.programId = task ? task.programId : null;
+
+                    // Tamamlama kaydı tutulmadan önce biten görevler de ilerlemeye sayılsın
+                    const recorded = tx.completions.find(c =>
+                        c.taskId === entry.taskId && c.studentId === user.id && c.status === 'completed');
+                    if (task && !recorded) {
+                        tx.completions.insert({
+                            id: `legacy:${user.id}:${entry.taskId}:${entry.completedAt}`,
+                            taskId: entry.taskId,
+                            programId: task.programId,
+                            studentId: user.id,
+                            status: 'completed',
+                            startedAt: entry.completedAt,
+                            completedAt: entry.completedAt,
+                            minutes: entry.duration || 0,
+                            points: entry.points || 0,
+                            legacy: true
+                        });
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 8,
+        description: 'Puanları deftere (ledger) taşı, bekleyen talepler için puan bloke et',
+        up(tx) {
+            for (const user of tx.users.filter(u => u.role === 'student')) {
+                if (tx.ledger.find(e => e.studentId === user.id)) continue;
+
+                const points = user.points || 0;
+                if (points !== 0) {
+                    tx.ledger.insert(ledger.newEntry(user.id, points > 0 ? 'opening' : 'penalty', Math.abs(points), {
+                        reason: 'Defter öncesi bakiye'
+                    }));
+                }
+                tx.claims.filter(c => c.userId === user.id && c.status === 'pending').forEach(claim => {
+                    tx.ledger.insert(ledger.newEntry(user.id, 'hold', claim.cost, {
+                        reason: `Ödül talebi: ${claim.rewardName}`,
+                        claimId: claim.id
+                    }, new Date(claim.requestedAt)));
+                });
+
+                const summary = ledger.summarize(tx.ledger.filter(e => e.studentId === user.id));
+                user.points = summary.balance;
+                user.heldPoints = summary.held;
+                delete user.pendingRewards;
+            }
+        }
+    },
+    {
+        version: 9,
+        description: 'Ödüllere kural alanlarını (stok, bekleme, dönem sınırı, geçerlilik, seviye) ekle',
+        up(tx) {
+            tx.rewards.all().forEach(reward => {
+                Object.entries(rewards.DEFAULT_RULES)
+                    .filter(([field]) => reward[field] === undefined)
+                    .forEach(([field, value]) => { reward[field] = value; });
+            });
+        }
+    },
+    {
+        version: 10,
+        description: 'Başarım sayaçlarını geçmişten kur, hak edilen rozetleri puansız aç',
+        up(tx) {
+            const now = new Date();
+            for (const user of tx.users.filter(u => u.role === 'student')) {
+                if (tx.achievements.findById(user.id)) continue;
+                const profile = tx.achievements.insert(achievements.newProfile(user.id, now));
+
+                // Zayıf konu kapatma geçmişten çıkarılamaz, sayaç sıfırdan başlar.
+                // Her sorunun sadece ilk denemesi sayılır (bkz. recordAttempt)
+                const seen = new Set();
+                const isFirst = attempt => !seen.has(attempt.questionId) && Boolean(seen.add(attempt.questionId));
+                const events = [
+                    ...tx.attempts.filter(a => a.studentId === user.id)
+                        .map(a => ({ type: 'answer', subject: a.subject, correct: a.correct, firstAttempt: isFirst(a) })),
+                    ...tx.attempts.filter(a => a.studentId === user.id && a.source === 'review')
+                        .map(() => ({ type: 'review' })),
+                    ...tx.completions.filter(c => c.studentId === user.id && c.status === 'completed')
+                        .map(c => ({ type: 'task', minutes: c.minutes })),
+                    ...tx.exams.filter(e => e.studentId === user.id && e.results)
+                        .map(e => ({ type: 'exam', totalNet: e.results.totalNet })),
+                    { type: 'streak', streak: user.streak || 0 }
+                ];
+                events.forEach(event => achievements.record(profile, event, now));
+                profile.badges.forEach(badge => { badge.backfilled = true; });
+            }
+        }
+    },
+    {
+        version: 11,
+        description: 'Kazançları derslere bağla, seviyeleri yeni eğriyle ve ders becerileriyle yeniden hesapla',
+        up(tx) {
+            const scoring = createScoring();
+            const subjectOf = entry => {
+                const source = entry.source || {};
+                if (source.type === 'question') return (tx.questions.findById(source.id) || {}).subject;
+                if (source.type === 'review') return (tx.reviews.findById(source.id) || {}).subject;
+                if (source.type === 'task') {
+                    const task = tx.tasks.findById(source.id);
+                    return task && (tx.programs.findById(task.programId) || {}).subject;
+                }
+                return null;
+            };
+
+            // Günlük tekrar bonusu kartla aynı kaynağı taşır ama bir derse ait değildir
+            tx.ledger.filter(e => e.subject === undefined).forEach(entry => {
+                entry.subject = entry.type === 'earn' && entry.reason !== 'Günlük tekrar bonusu' ? subjectOf(entry) || null : null;
+            });
+
+            for (const user of tx.users.filter(u => u.role === 'student')) {
+                const entries = tx.ledger.filter(e => e.studentId === user.id);
+                character.refresh(user, entries, ledger.summarize(entries).earned, scoring);
+            }
+        }
+    },
+    {
+        version: 12,
+        description: 'Serileri öğrencinin saat dilimine göre çalışma günlerinden yeniden kur',
+        up(tx) {
+            const rules = createScoring().rules.streak;
+            for (const user of tx.users.filter(u => u.role === 'student')) {
+                if (tx.studyDays.find(d => d.studentId === user.id)) continue;
+                if (!user.timezone) user.timezone = streaks.DEFAULT_TIMEZONE;
+                if (user.streakFreezes === undefined) user.streakFreezes = 0;
+
+                const profile = tx.achievements.findById(user.id);
+                const previousBest = Math.max(user.streak || 0, profile ? profile.counters.bestStreak || 0 : 0);
+
+                // Eski seri sadece girişe/görev tamamlamaya bakıyordu; geçmiş çalışma eşiğiyle yeniden oynatılır
+                const activities = [
+                    ...tx.completions.filter(c => c.studentId === user.id && c.status === 'completed')
+                        .map(c => ({ at: c.completedAt, minutes: c.minutes || 0, questions: 0 })),
+                    ...tx.attempts.filter(a => a.studentId === user.id)
+                        .map(a => ({ at: a.answeredAt, minutes: 0, questions: 1 }))
+                ].filter(a => a.at).sort((a, b) => a.at.localeCompare(b.at));
+
+                user.streak = 0;
+                user.lastStudyDate = null;
+                activities.forEach(({ at, minutes, questions }) => {
+                    streaks.record(tx.studyDays, user, { minutes, questions }, rules, new Date(at));
+                });
+                user.bestStreak = Math.max(user.bestStreak || 0, previousBest);
+            }
+        }
+    },
+    {
+        version: 13,
+        description: 'Kitapları veliye ve ilk çocuğuna bağla, test ve ilerleme alanlarını ekle',
+        up(tx) {
+            const parent = tx.users.find(u => u.role === 'admin');
+            const firstChild = parent && tx.users.find(u => u.role === 'student' && u.parentId === parent.id);
+
+            tx.books.all().forEach(book => {
+                Object.entries(books.DEFAULT_FIELDS)
+                    .filter(([field]) => book[field] === undefined)
+                    .forEach(([field, value]) => { book[field] = value; });
+                if (!book.parentId && parent) book.parentId = parent.id;
+                if (!book.studentId && firstChild) book.studentId = firstChild.id;
+                if (!book.createdAt) book.createdAt = book.addedAt || new Date().toISOString();
+                delete book.addedAt;
+            });
+        }
+    },
+    {
+        version: 14,
+        description: 'AI sorularının kaynağını üreten sağlayıcıdan belirle (mock sorular ayrışsın)',
+        up(tx) {
+            tx.questions.filter(q => q.source === 'Gemini-AI' && AI_SOURCES[q.aiProvider])
+                .forEach(q => { q.source = AI_SOURCES[q.aiProvider]; });
+        }
+    }
+];
@@ -0,0 +1,215 @@
+// Soru işaretlemesi (LaTeX alt kümesi): $...$ satır içi, $$...$$ ayrı satırda matematik ve
+// ![açıklama](şekil) ile yüklenmiş şekil. Matematikte kesir, kök, üs/alt simge (kimyasal formüller
+// dahil: $H_2SO_4$, $Fe^{3+}$) ve sık kullanılan semboller vardır. Aynı dosya sunucuda doğrulama,
+// tarayıcıda (/notation.js, window.notation) gösterim için kullanılır; metindeki HTML her zaman kaçışlanır.
+
+(function (exports) {
+    const FIGURE_URL = '/figures/';
+    // Şekil adları içerik özetinden üretilir (bkz. figures.js)
+    const FIGURE_PATTERN = /^[a-f0-9]{16}\.(png|jpg|gif|webp)$/;
+
+    const SYMBOLS = {
+        cdot: '·', times: '×', div: '÷', pm: '±', mp: '∓', ast: '∗',
+        leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼', propto: '∝',
+        infty: '∞', partial: '∂', nabla: '∇', degree: '°', circ: '°', prime: '′',
+        alpha: 'α', beta: 'β', gamma: 'γ', Gamma: 'Γ', delta: 'δ', Delta: 'Δ', epsilon: 'ε', varepsilon: 'ε',
+        eta: 'η', theta: 'θ', Theta: 'Θ', lambda: 'λ', Lambda: 'Λ', mu: 'μ', nu: 'ν', pi: 'π', Pi: 'Π',
+        rho: 'ρ', sigma: 'σ', Sigma: 'Σ', tau: 'τ', phi: 'φ', varphi: 'φ', Phi: 'Φ', omega: 'ω', Omega: 'Ω',
+        to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔', Rightarrow: '⇒', Leftarrow: '⇐',
+        Leftrightarrow: '⇔', rightleftharpoons: '⇌', uparrow: '↑', downarrow: '↓',
+        angle: '∠', measuredangle: '∡', triangle: '△', perp: '⊥', parallel: '∥', cong: '≅', simeq: '≃',
+        in: '∈', notin: '∉', subset: '⊂', subseteq: '⊆', cup: '∪', cap: '∩', emptyset: '∅', varnothing: '∅',
+        forall: '∀', exists: '∃', neg: '¬', land: '∧', lor: '∨', setminus: '∖',
+        sum: '∑', prod: '∏', int: '∫', ldots: '…', cdots: '⋯', dots: '…'
+    };
+    // \mathbb{R} gibi sayı kümeleri
+    const NUMBER_SETS = { N: 'ℕ', Z: 'ℤ', Q: 'ℚ', R: 'ℝ', C: 'ℂ' };
+    const FUNCTIONS = ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'log', 'ln', 'lim', 'min', 'max', 'exp'];
+    const SPACES = { ',': '&thinsp;', ';': ' ', ':': ' ', ' ': ' ', '!': '', quad: '&emsp;', qquad: '&emsp;&emsp;' };
+    // Kaçışlı karakterler: \{ \} \$ \% ...
+    const LITERALS = ['{', '}', '$', '%', '#', '&', '_', '|'];
+    const CLOSERS = { '}': '{', ']': '[' };
+
+    const escape = text => String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+    // Matematikte eksi işareti tire değil
+    const char = ch => (ch === '-' ? '−' : escape(ch));
+
+    // state: { src, pos, errors }. stop karakterine kadar (onu tüketmeden) okur
+    function parseMath(state, stop) {
+        let html = '';
+        while (state.pos < state.src.length) {
+            const ch = state.src[state.pos];
+            if (ch === stop) return html;
+            state.pos++;
+            if (ch === '{') html += group(state);
+            else if (ch === '}') state.errors.push('Fazladan "}"');
+            else if (ch === '^') html += `<sup>${argument(state)}</sup>`;
+            else if (ch === '_') html += `<sub>${argument(state)}</sub>`;
+            else if (ch === '\\') html += command(state);
+            else html += char(ch);
+        }
+        if (stop) state.errors.push(`"${CLOSERS[stop]}" kapatılmamış`);
+        return html;
+    }
+
+    function group(state) {
+        const html = parseMath(state, '}');
+        state.pos++;
+        return html;
+    }
+
+    // Üs, alt simge ve komut argümanı: {grup}, tek komut ya da tek karakter
+    function argument(state) {
+        while (state.src[state.pos] === ' ') state.pos++;
+        const ch = state.src[state.pos];
+        if (ch === undefined || ch === '}') {
+            state.errors.push('Eksik argüman');
+            return '';
+        }
+        state.pos++;
+        if (ch === '{') return group(state);
+        if (ch === '\\') return command(state);
+        return char(ch);
+    }
+
+    // \text{...}: içerik olduğu gibi (matematik işlenmeden) yazılır
+    function rawText(state) {
+        if (state.src[state.pos] !== '{') {
+            state.errors.push('\\text sonrası { bekleniyordu');
+            return '';
+        }
+        const end = state.src.indexOf('}', state.pos);
+        if (end < 0) {
+            state.errors.push('"{" kapatılmamış');
+            state.pos = state.src.length;
+            return '';
+        }
+        const text = state.src.slice(state.pos + 1, end);
+        state.pos = end + 1;
+        return `<span class="nt-text">${escape(text)}</span>`;
+    }
+
+    function command(state) {
+        const match = /^[a-zA-Z]+/.exec(state.src.slice(state.pos));
+        const name = match ? match[0] : state.src[state.pos];
+        if (name === undefined) {
+            state.errors.push('Yarım komut: "\\"');
+            return '';
+        }
+        state.pos += name.length;
+
+        if (SYMBOLS[name]) return SYMBOLS[name];
+        if (SPACES[name] !== undefined) return SPACES[name];
+        if (LITERALS.includes(name)) return escape(name);
+        if (FUNCTIONS.includes(name)) return `<span class="nt-fn">${name}</span>`;
+
+        switch (name) {
+            case '\\':
+                return '<br>';
+            case 'frac':
+            case 'dfrac':
+            case 'tfrac':
+                return `<span class="nt-frac"><span class="nt-num">${argument(state)}</span><span class="nt-den">${argument(state)}</span></span>`;
+            case 'sqrt': {
+                let index = '';
+                if (state.src[state.pos] === '[') {
+                    state.pos++;
+                    index = parseMath(state, ']');
+                    state.pos++;
+                }
+                return `<span class="nt-root">${index ? `<sup class="nt-index">${index}</sup>` : ''}√<span class="nt-radicand">${argument(state)}</span></span>`;
+            }
+            case 'overline':
+            case 'bar':
+                return `<span class="nt-overline">${argument(state)}</span>`;
+            case 'vec':
+                return `<span class="nt-vec">${argument(state)}</span>`;
+            case 'mathbb': {
+                const set = argument(state);
+                return NUMBER_SETS[set] || set;
+            }
+            case 'text':
+            case 'mathrm':
+            case 'textrm':
+                return rawText(state);
+            case 'left':
+            case 'right':
+                // Sınırlayıcı olduğu gibi yazılır; \left. görünmez
+                if (state.src[state.pos] === '.') state.pos++;
+                return '';
+            default:
+                state.errors.push(`Bilinmeyen komut: \\${name}`);
+                return escape(`\\${name}`);
+        }
+    }
+
+    // Kaçışlanmamış kapanış $ / $$ konumu (yoksa -1)
+    function findClosing(src, from, delimiter) {
+        for (let i = src.indexOf(delimiter, from); i >= 0; i = src.indexOf(delimiter, i + 1)) {
+            if (src[i - 1] !== '\\') return i;
+        }
+        return -1;
+    }
+
+    // { html, errors, figures }; hatalı kısımlar düz metin olarak gösterilir
+    function render(text) {
+        const src = text === undefined || text === null ? '' : String(text);
+        const errors = [];
+        const figures = [];
+        let html = '';
+        let pos = 0;
+
+        while (pos < src.length) {
+            const ch = src[pos];
+            if (ch === '\\' && src[pos + 1] === '$') {
+                html += '$';
+                pos += 2;
+                continue;
+            }
+            if (ch === '$') {
+                const delimiter = src[pos + 1] === '$' ? '$$' : '$';
+                const end = findClosing(src, pos + delimiter.length, delimiter);
+                if (end < 0) {
+                    errors.push(`Kapatılmamış "${delimiter}"`);
+                    html += escape(src.slice(pos));
+                    break;
+                }
+                const state = { src: src.slice(pos + delimiter.length, end), pos: 0, errors };
+                html += `<span class="nt-math${delimiter === '$$' ? ' nt-display' : ''}">${parseMath(state, null)}</span>`;
+                pos = end + delimiter.length;
+                continue;
+            }
+            const figure = ch === '!' && /^!\[([^\]\n]*)\]\(([^)\s]*)\)/.exec(src.slice(pos));
+            if (figure) {
+                if (FIGURE_PATTERN.test(figure[2])) {
+                    figures.push(figure[2]);
+                    html += `<img class="nt-figure" src="${FIGURE_URL}${figure[2]}" alt="${escape(figure[1])}">`;
+                } else {
+                    errors.push(`Geçersiz şekil: ${figure[2]}`);
+                    html += escape(figure[0]);
+                }
+                pos += figure[0].length;
+                continue;
+            }
+            html += ch === '\n' ? '<br>' : escape(ch);
+            pos++;
+        }
+
+        return { html, errors: [...new Set(errors)], figures };
+    }
+
+    Object.assign(exports, {
+        FIGURE_URL,
+        FIGURE_PATTERN,
+        render,
+        toHtml: text => render(text).html,
+        validate: text => render(text).errors,
+        figuresOf: text => render(text).figures
+    });
+})(typeof module !== 'undefined' ? module.exports : (window.notation = {}));
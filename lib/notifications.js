@@ -0,0 +1,113 @@
+// Canlı bildirimler (Server-Sent Events): olaylar 'notifications' koleksiyonuna artan sıra
+// numarasıyla (seq) yazılır ve transaction yazıldıktan sonra bağlı istemcilere iletilir.
+// Kopan istemci son gördüğü seq'ten (Last-Event-ID) kaçırdıklarını alır. Olay öğrenciye
+// ve/veya velisine gider; olayı tetikleyen kişiye geri gönderilmez.
+
+const { v4: uuidv4 } = require('uuid');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Olaylar bu kadar gün saklanır; yeniden bağlanınca en fazla REPLAY_LIMIT olay tekrar gönderilir
+const RETENTION_DAYS = 7;
+const REPLAY_LIMIT = 100;
+
+// Bağlantıyı açık tutmak için boş yorum satırı aralığı ve istemcinin yeniden bağlanma gecikmesi
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 3000;
+
+const TYPES = {
+    'claim.requested': { label: 'Yeni ödül talebi', audience: ['parent'] },
+    'claim.approved': { label: 'Ödül onaylandı', audience: ['student'] },
+    'claim.rejected': { label: 'Ödül talebi reddedildi', audience: ['student'] },
+    'task.completed': { label: 'Görev tamamlandı', audience: ['parent'] },
+    'level.up': { label: 'Seviye atlandı', audience: ['student', 'parent'] },
+    'streak.at_risk': { label: 'Seri tehlikede', audience: ['student', 'parent'] },
+    'program.assigned': { label: 'Yeni program', audience: ['student', 'parent'] }
+};
+
+// student: öğrenci kaydı (parentId ile); actorId: olayı tetikleyen kullanıcı (ona gönderilmez)
+function newEvent(type, student, payload, { seq, actorId = null }, now = new Date()) {
+    const ids = { student: student.id, parent: student.parentId };
+    const recipients = TYPES[type].audience.map(role => ids[role]).filter(id => id && id !== actorId);
+
+    return {
+        id: uuidv4(),
+        seq,
+        type,
+        studentId: student.id,
+        studentName: student.name,
+        recipients,
+        actorId,
+        payload,
+        createdAt: now.toISOString()
+    };
+}
+
+// İstemciye giden görünüm (alıcı listesi gizli)
+function view(event) {
+    const { seq, type, studentId, studentName, payload, createdAt } = event;
+    return { seq, type, label: TYPES[type].label, studentId, studentName, payload, createdAt };
+}
+
+function isFor(event, userId) {
+    return event.recipients.includes(userId);
+}
+
+// Kullanıcının cursor'dan sonraki olayları (eskiden yeniye, en fazla REPLAY_LIMIT)
+function missed(events, userId, cursor) {
+    return events
+        .filter(e => e.seq > cursor && isFor(e, userId))
+        .sort((a, b) => a.seq - b.seq)
+        .slice(-REPLAY_LIMIT);
+}
+
+function isExpired(event, now = new Date()) {
+    return now - new Date(event.createdAt) > RETENTION_DAYS * DAY_MS;
+}
+
+// SSE mesajı: id satırı tarayıcının Last-Event-ID başlığına yazılır
+function format(event) {
+    return `id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(view(event))}\n\n`;
+}
+
+// Bağlı istemciler ve seq sayacı (sunucu belleğinde; sayaç açılışta kayıtlardan kurulur)
+function createHub() {
+    const clients = new Set();
+    let lastSeq = 0;
+
+    return {
+        // Sayaç geri gitmez (yedekten dönüşte istemcilerin cursor'ları geçerli kalır)
+        init(events) {
+            lastSeq = events.reduce((max, e) => Math.max(max, e.seq), lastSeq);
+        },
+
+        lastSeq: () => lastSeq,
+
+        nextSeq: () => ++lastSeq,
+
+        // send(event) kullanıcıya giden her olay için çağrılır; aboneliği kaldıran fonksiyon döner
+        subscribe(userId, send) {
+            const client = { userId, send };
+            clients.add(client);
+            return () => clients.delete(client);
+        },
+
+        publish(event) {
+            clients.forEach(client => {
+                if (isFor(event, client.userId)) client.send(event);
+            });
+        }
+    };
+}
+
+module.exports = {
+    TYPES,
+    HEARTBEAT_MS,
+    RETRY_MS,
+    newEvent,
+    view,
+    missed,
+    isExpired,
+    format,
+    createHub
+};
@@ -0,0 +1,111 @@
+// Program kaydı (enrollment): öğrenci + program + başlangıç tarihi.
+// "Gün N" görevleri başlangıç tarihinden itibaren her gün bir gün açılır;
+// duraklatılan programda günler ilerlemez, devam edilince takvim kaydırılır.
+// Günler öğrencinin saat dilimindeki takvim günüdür (timezone: öğrencinin saat dilimi).
+
+const streaks = require('./streaks');
+
+const STATUSES = ['active', 'paused', 'archived'];
+
+// Günü geçen görev bu kadar gün "gecikmiş" olarak yapılabilir, sonra "kaçırıldı" sayılır
+const OVERDUE_GRACE_DAYS = 2;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Takvimde gerçekten olan bir gün mü (2026-02-30 değil)
+function isDay(value) {
+    return typeof value === 'string' && DATE_PATTERN.test(value)
+        && !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) && streaks.addDays(value, 0) === value;
+}
+
+function enrollmentId(studentId, programId) {
+    return `${studentId}:${programId}`;
+}
+
+function newEnrollment(studentId, programId, { startDate, now = new Date(), timezone } = {}) {
+    return {
+        id: enrollmentId(studentId, programId),
+        studentId,
+        programId,
+        startDate: startDate || streaks.localDay(now, timezone),
+        status: 'active',
+        // Duraklatmalar yüzünden ileri kayan gün sayısı
+        shiftDays: 0,
+        pausedAt: null,
+        archivedAt: null,
+        createdAt: now.toISOString()
+    };
+}
+
+// Bugün programın kaçıncı günü (başlamadıysa 0 veya negatif)
+function currentDay(enrollment, now = new Date(), timezone) {
+    const reference = enrollment.status === 'paused' && enrollment.pausedAt ? new Date(enrollment.pausedAt) : now;
+    return streaks.daysBetween(enrollment.startDate, streaks.localDay(reference, timezone)) - enrollment.shiftDays + 1;
+}
+
+function dateOfDay(enrollment, dayNumber) {
+    return streaks.addDays(enrollment.startDate, enrollment.shiftDays + dayNumber - 1);
+}
+
+// completed | available | overdue | missed | locked (gün numarası olmayan görev her zaman açıktır)
+function taskStatus(task, enrollment, completedCount, now = new Date(), timezone) {
+    if (completedCount > 0) return 'completed';
+    if (!task.dayNumber) return 'available';
+
+    const late = currentDay(enrollment, now, timezone) - task.dayNumber;
+    if (late < 0) return 'locked';
+    if (late === 0) return 'available';
+    return late <= OVERDUE_GRACE_DAYS ? 'overdue' : 'missed';
+}
+
+function canStart(status) {
+    return status === 'available' || status === 'overdue' || status === 'completed';
+}
+
+// Durum değiştir (kaydı yerinde değiştirir); geçersiz geçişte hata mesajı döner
+function transition(enrollment, status, now = new Date(), timezone) {
+    if (!STATUSES.includes(status)) return 'Geçersiz durum';
+    if (enrollment.status === status) return null;
+    if (enrollment.status === 'archived') return 'Arşivlenmiş program yeniden açılamaz';
+
+    if (enrollment.status === 'paused') {
+        const pausedDay = streaks.localDay(new Date(enrollment.pausedAt), timezone);
+        enrollment.shiftDays += Math.max(0, streaks.daysBetween(pausedDay, streaks.localDay(now, timezone)));
+        enrollment.pausedAt = null;
+    }
+    if (status === 'paused') enrollment.pausedAt = now.toISOString();
+    if (status === 'archived') enrollment.archivedAt = now.toISOString();
+
+    enrollment.status = status;
+    return null;
+}
+
+// tasks: programın görevleri; completedIds: öğrencinin tamamladığı görev ID'leri
+function progress(tasks, enrollment, completedIds, now = new Date(), timezone) {
+    const counts = { completed: 0, available: 0, overdue: 0, missed: 0, locked: 0 };
+    tasks.forEach(task => { counts[taskStatus(task, enrollment, completedIds.has(task.id) ? 1 : 0, now, timezone)]++; });
+
+    const days = tasks.map(t => t.dayNumber || 0);
+    return {
+        ...counts,
+        total: tasks.length,
+        percent: tasks.length ? Math.round((counts.completed / tasks.length) * 100) : 0,
+        currentDay: currentDay(enrollment, now, timezone),
+        totalDays: days.length ? Math.max(...days) : 0,
+        finished: tasks.length > 0 && counts.completed === tasks.length
+    };
+}
+
+module.exports = {
+    STATUSES,
+    OVERDUE_GRACE_DAYS,
+    isDay,
+    enrollmentId,
+    newEnrollment,
+    currentDay,
+    dateOfDay,
+    taskStatus,
+    canStart,
+    transition,
+    progress
+};
@@ -0,0 +1,330 @@
+const { validate } = require('./ai/validate');
+const schemas = require('./ai/schemas');
+const notation = require('./notation');
+
+// Soru durumları: draft (yeni, inceleme bekliyor), approved (veli onayladı),
+// rejected (yayından kaldırıldı), flagged (öğrenci bildirdi, inceleme bekliyor)
+const QUESTION_STATUSES = ['draft', 'approved', 'rejected', 'flagged'];
+
+// Öğrenciye sadece velinin onayladığı sorular gösterilir; taslaklar inceleme kuyruğunda bekler
+const SERVABLE_STATUSES = ['approved'];
+
+// İnceleme sonucu olarak verilebilecek durumlar
+const REVIEW_STATUSES = ['approved', 'rejected'];
+
+// Öğrenci bildiriminde neden ve not için üst sınırlar (karakter)
+const REPORT_REASON_MAX = 100;
+const REPORT_NOTE_MAX = 500;
+
+const DUPLICATE_THRESHOLD = 0.9;
+
+// AI ile üretilen sorunun kaynağı, üreten sağlayıcıdan (mock: geliştirme için sabit fixture'lar)
+const AI_SOURCES = {
+    gemini: 'Gemini-AI',
+    openai: 'OpenAI-AI',
+    mock: 'Mock-AI'
+};
+
+// Soru kaynakları: AI üretimi dışındakiler veli tarafından elle ya da toplu içe aktarmayla girilir
+const SOURCES = {
+    'Gemini-AI': 'Yapay zeka (Gemini)',
+    'OpenAI-AI': 'Yapay zeka (OpenAI uyumlu)',
+    'Mock-AI': 'Yapay zeka (deneme verisi)',
+    manual: 'Elle yazıldı',
+    'past-paper': 'Çıkmış soru',
+    book: 'Kitap'
+};
+const AUTHORED_SOURCES = ['manual', 'past-paper', 'book'];
+
+const isAISource = source => Object.values(AI_SOURCES).includes(source);
+
+const DIFFICULTIES = [1, 2, 3];
+const MIN_YEAR = 1990;
+
+// Elle yazılan sorularda gönderilmeyen alanların varsayılanları
+const DEFAULT_FIELDS = {
+    formula: '',
+    msuTip: '',
+    topicId: null,
+    difficulty: 2,
+    year: null,
+    source: 'manual',
+    sourceName: '',
+    tags: []
+};
+
+// Toplu içe aktarmada tek seferde en fazla bu kadar satır
+const IMPORT_LIMIT = 500;
+
+// CSV başlıkları: şıklar ayrı sütunlarda, etiketler virgülle ayrılmış tek sütunda
+const CSV_COLUMNS = [
+    'question', 'optionA', 'optionB', 'optionC', 'optionD', 'correct', 'explanation', 'formula', 'msuTip',
+    'subject', 'topic', 'difficulty', 'year', 'source', 'sourceName', 'tags'
+];
+
+// Şema kontrolünün ötesinde içerik kuralları; hata listesi döner
+function validateQuestion(question) {
+    const errors = validate(question, schemas.question);
+    if (errors.length > 0) return errors;
+
+    const normalized = question.options.map(normalizeText);
+    if (new Set(normalized).size !== normalized.length) {
+        errors.push('$.options: şıklar birbirinden farklı olmalı');
+    }
+    if (normalized.some(o => !o)) {
+        errors.push('$.options: boş şık olamaz');
+    }
+    textsOf(question).forEach(({ path, text }) => {
+        notation.validate(text).forEach(error => errors.push(`${path}: ${error}`));
+    });
+    return errors;
+}
+
+// İşaretleme içerebilen alanlar (bkz. notation.js): { path, text }
+function textsOf(question) {
+    return [
+        { path: '$.question', text: question.question },
+        ...(question.options || []).map((text, i) => ({ path: `$.options[${i}]`, text })),
+        ...['explanation', 'formula', 'msuTip'].map(field => ({ path: `$.${field}`, text: question[field] }))
+    ].filter(({ text }) => typeof text === 'string');
+}
+
+// Soruda kullanılan şekil adları
+function figuresOf(question) {
+    return [...new Set(textsOf(question).flatMap(({ text }) => notation.figuresOf(text)))];
+}
+
+function normalizeText(text) {
+    return String(text || '')
+        .toLocaleLowerCase('tr-TR')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Karakter üçlüleri (trigram) üzerinden Dice benzerliği: 0..1.
+// Türkçe ekler ve noktalama farklarına kelime bazlı karşılaştırmadan daha dayanıklı.
+function trigrams(text) {
+    const normalized = normalizeText(text);
+    const result = new Set();
+    for (let i = 0; i < normalized.length - 2; i++) result.add(normalized.slice(i, i + 3));
+    return result;
+}
+
+function similarity(a, b) {
+    const ta = trigrams(a);
+    const tb = trigrams(b);
+    if (ta.size === 0 && tb.size === 0) return 1;
+
+    let common = 0;
+    ta.forEach(t => { if (tb.has(t)) common++; });
+    return (2 * common) / (ta.size + tb.size);
+}
+
+function sameTopic(a, b) {
+    return normalizeText(a.subject) === normalizeText(b.subject)
+        && normalizeText(a.topic) === normalizeText(b.topic);
+}
+
+// Aynı ders ve konudaki reddedilmemiş sorular arasında en benzerini bul
+function findNearDuplicate(question, bank, threshold = DUPLICATE_THRESHOLD) {
+    let best = null;
+
+    for (const other of bank) {
+        if (other.id === question.id || other.status === 'rejected' || !sameTopic(question, other)) continue;
+        const score = similarity(question.question, other.question);
+        if (score >= threshold && (!best || score > best.score)) best = { question: other, score };
+    }
+
+    return best;
+}
+
+function isServable(question) {
+    return SERVABLE_STATUSES.includes(question.status || 'draft');
+}
+
+const isAnswerIndex = (question, index) => Number.isInteger(index) && index >= 0 && index < question.options.length;
+
+// Veli incelemesi: cevap anahtarı her durumda gönderilir (onaylarken de reddederken de); hata listesi döner
+function validateReview(question, { status, correctIndex, explanation }) {
+    const errors = [];
+    if (!REVIEW_STATUSES.includes(status)) errors.push('Durum approved veya rejected olmalı');
+    if (!isAnswerIndex(question, correctIndex)) errors.push(`Doğru şık 0-${question.options.length - 1} arası bir tam sayı olmalı`);
+    if (explanation !== undefined && typeof explanation !== 'string') errors.push('Açıklama metin olmalı');
+    return errors;
+}
+
+// Öğrenci bildirimi: neden boş olmayan kısa bir metin, önerilen şık verilirse soruda olmalı
+function validateReport(question, { reason, suggestedIndex, note }) {
+    const errors = [];
+    if (typeof reason !== 'string' || !reason.trim()) errors.push('Bildirim nedeni gerekli');
+    else if (reason.trim().length > REPORT_REASON_MAX) errors.push(`Bildirim nedeni en fazla ${REPORT_REASON_MAX} karakter olabilir`);
+    if (suggestedIndex !== undefined && suggestedIndex !== null && !isAnswerIndex(question, suggestedIndex)) {
+        errors.push('Önerilen şık geçersiz');
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') errors.push('Not metin olmalı');
+    else if (note && note.length > REPORT_NOTE_MAX) errors.push(`Not en fazla ${REPORT_NOTE_MAX} karakter olabilir`);
+    return errors;
+}
+
+// ==================== ELLE YAZILAN SORULAR ====================
+
+const clean = value => (value === undefined || value === null ? '' : String(value).trim());
+
+// Doğru şık harf (A-D) ya da sıra (0-3) olarak gelebilir
+function parseCorrectIndex(value) {
+    if (typeof value === 'number') return value;
+    const letter = 'ABCD'.indexOf(clean(value).toLocaleUpperCase('tr-TR'));
+    if (letter >= 0) return letter;
+    return /^\d+$/.test(clean(value)) ? Number(clean(value)) : value;
+}
+
+const optionalInteger = value => (clean(value) === '' ? null : Number(clean(value)));
+
+// İstekten/içe aktarılan satırdan soru alanlarını al (gönderilmeyen alan dokunulmaz)
+function pick(body) {
+    const changes = {};
+    ['question', 'explanation', 'formula', 'msuTip', 'subject', 'topic', 'topicId', 'source', 'sourceName']
+        .filter(field => body[field] !== undefined)
+        .forEach(field => { changes[field] = clean(body[field]); });
+
+    if (body.options !== undefined) {
+        changes.options = Array.isArray(body.options) ? body.options.map(clean) : body.options;
+    }
+    const correct = body.correctIndex !== undefined ? body.correctIndex : body.correct;
+    if (correct !== undefined) changes.correctIndex = parseCorrectIndex(correct);
+    if (body.difficulty !== undefined) changes.difficulty = optionalInteger(body.difficulty);
+    if (body.year !== undefined) changes.year = optionalInteger(body.year);
+    if (body.tags !== undefined) {
+        const tags = Array.isArray(body.tags) ? body.tags : clean(body.tags).split(',');
+        changes.tags = [...new Set(tags.map(clean).filter(Boolean))];
+    }
+    if (changes.topicId === '') changes.topicId = null;
+    return changes;
+}
+
+// Elle yazılan soruların içerik kuralları ve etiketleri; hata listesi döner.
+// sources: izin verilen kaynaklar (AI sorusu düzenlenirken kaynağı değişmez)
+function validateAuthored(question, { sources = AUTHORED_SOURCES } = {}, now = new Date()) {
+    const errors = validateQuestion({
+        question: question.question,
+        options: question.options,
+        correctIndex: question.correctIndex,
+        explanation: question.explanation,
+        ...(question.formula !== undefined ? { formula: question.formula } : {}),
+        ...(question.msuTip !== undefined ? { msuTip: question.msuTip } : {})
+    });
+
+    if (!DIFFICULTIES.includes(question.difficulty)) errors.push('Zorluk 1, 2 veya 3 olmalı');
+    if (!sources.includes(question.source)) errors.push(`Kaynak ${sources.join(', ')} olmalı`);
+    if (question.year !== null && !(Number.isInteger(question.year) && question.year >= MIN_YEAR && question.year <= now.getFullYear())) {
+        errors.push(`Yıl ${MIN_YEAR}-${now.getFullYear()} arasında olmalı`);
+    }
+    if (question.source === 'past-paper' && question.year === null) errors.push('Çıkmış soru için yıl gerekli');
+    if (question.source === 'book' && !question.sourceName) errors.push('Kitap sorusu için kitap adı gerekli');
+    return errors;
+}
+
+// ==================== TOPLU İÇE AKTARMA ====================
+
+// Tırnaklı alanları ("a;b", "" kaçışı, satır sonu) destekleyen CSV okuyucu. Ayraç ilk satırdan
+// seçilir: Türkçe Excel noktalı virgülle kaydeder
+function parseCsv(content) {
+    const source = content.replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// İçe aktarılacak kayıtlar: { records: [{ row, data }] } veya { error }.
+// row: CSV'de dosyadaki satır numarası (başlık 1. satır), JSON'da 1'den başlayan sıra
+function parseImport(format, content) {
+    let records;
+    if (format === 'csv') {
+        const [header, ...rows] = parseCsv(content);
+        if (!header) return { error: 'Dosya boş' };
+        const columns = header.map(h => h.trim());
+        const unknown = columns.filter(c => c && !CSV_COLUMNS.includes(c));
+        if (unknown.length > 0) return { error: `Bilinmeyen sütun: ${unknown.join(', ')}` };
+        const missing = ['question', 'optionA', 'optionB', 'optionC', 'optionD', 'correct'].filter(c => !columns.includes(c));
+        if (missing.length > 0) return { error: `Eksik sütun: ${missing.join(', ')}` };
+
+        records = rows.map((cells, i) => {
+            const data = Object.fromEntries(columns.map((c, j) => [c, cells[j]]));
+            const { optionA, optionB, optionC, optionD, ...rest } = data;
+            return { row: i + 2, data: { ...rest, options: [optionA, optionB, optionC, optionD] } };
+        });
+    } else if (format === 'json') {
+        let parsed;
+        try {
+            parsed = JSON.parse(content.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            return { error: 'JSON okunamadı' };
+        }
+        const list = Array.isArray(parsed) ? parsed : parsed && parsed.questions;
+        if (!Array.isArray(list)) return { error: 'JSON bir soru dizisi (ya da { questions: [...] }) olmalı' };
+        records = list.map((data, i) => ({ row: i + 1, data }));
+    } else {
+        return { error: 'Biçim csv veya json olmalı' };
+    }
+
+    if (records.length === 0) return { error: 'Dosyada soru yok' };
+    if (records.length > IMPORT_LIMIT) return { error: `Tek seferde en fazla ${IMPORT_LIMIT} soru içe aktarılabilir` };
+    return { records };
+}
+
+module.exports = {
+    QUESTION_STATUSES,
+    AI_SOURCES,
+    SOURCES,
+    AUTHORED_SOURCES,
+    isAISource,
+    DEFAULT_FIELDS,
+    validateQuestion,
+    normalizeText,
+    similarity,
+    findNearDuplicate,
+    isServable,
+    validateReview,
+    validateReport,
+    figuresOf,
+    pick,
+    validateAuthored,
+    parseCsv,
+    parseImport
+};
@@ -0,0 +1,117 @@
+// Haftalık yeniden planlama: kayıtlı programın gerçekleşen performansına göre
+// önümüzdeki günlerin görevleri yeniden dağıtılır. Sonuç doğrudan uygulanmaz,
+// veliye fark (eklenen / kaldırılan / taşınan görevler) olarak sunulur.
+
+const programs = require('./programs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEK_DAYS = 7;
+const REPLAN_INTERVAL_DAYS = 7;
+
+// Hakimiyeti bu yüzdenin üstünde ve yükselen konunun yapılmamış görevi taşınmaz
+const DROP_MASTERY = 80;
+
+function statusesOf(tasks, enrollment, completedIds, now, timezone) {
+    return tasks.map(task => ({
+        task,
+        status: programs.taskStatus(task, enrollment, completedIds.has(task.id) ? 1 : 0, now, timezone)
+    }));
+}
+
+// summaries: programın dersindeki konu hakimiyeti özetleri (mastery.summarizeAll)
+function analyze({ tasks, enrollment, completedIds, summaries, countdown, now = new Date(), timezone }) {
+    const currentDay = programs.currentDay(enrollment, now, timezone);
+    const statuses = statusesOf(tasks, enrollment, completedIds, now, timezone);
+    const count = status => statuses.filter(s => s.status === status).length;
+
+    // Günü geçmiş ya da yapılmış görevler üzerinden tamamlama oranı
+    const due = statuses.filter(s => s.status === 'completed' || (s.task.dayNumber && s.task.dayNumber < currentDay));
+    const completedDue = due.filter(s => s.status === 'completed').length;
+
+    return {
+        currentDay,
+        daysLeft: countdown ? countdown.daysLeft : null,
+        phase: countdown ? countdown.phase.label : null,
+        completionRate: due.length ? Math.round((completedDue / due.length) * 100) : null,
+        completed: count('completed'),
+        overdue: count('overdue'),
+        missed: count('missed'),
+        improving: summaries.filter(s => s.trend.direction === 'up').map(s => s.topic),
+        declining: summaries.filter(s => s.trend.direction === 'down').map(s => s.topic),
+        weak: summaries.filter(s => s.weak).map(s => s.topic)
+    };
+}
+
+// Yeni haftanın kaç gün süreceği: sınava daha az kaldıysa o kadar
+function weekLength(countdown) {
+    return countdown ? Math.min(WEEK_DAYS, Math.max(1, countdown.daysLeft)) : WEEK_DAYS;
+}
+
+// Değişiklik önerisi. newTasks: AI'nin önerdiği görevler ({ dayIndex, ... }); boşsa
+// mevcut gelecek görevler korunur ve sadece yapılmamış işler dağıtılır.
+// startedIds: şu an açık (başlatılmış) görevler, bunlara dokunulmaz.
+function planWeek({ tasks, enrollment, completedIds, startedIds, summaries, newTasks = [], days, dailyMinutes, now = new Date(), timezone }) {
+    const startDay = Math.max(1, programs.currentDay(enrollment, now, timezone));
+    const statuses = statusesOf(tasks, enrollment, completedIds, now, timezone).filter(s => !startedIds.has(s.task.id));
+    const summaryOf = task => summaries.find(s => (task.topicId && s.topicId === task.topicId) || s.topic === task.topic);
+
+    const removed = [];
+    const moved = [];
+    const load = Array(days).fill(0);
+    const addLoad = (dayNumber, minutes) => {
+        const index = dayNumber - startDay;
+        if (index >= 0 && index < days) load[index] += Number(minutes) || 0;
+    };
+
+    // Açılmamış görevler yeni planla değişir; yeni plan yoksa yerinde kalır
+    statuses
+        .filter(s => s.task.dayNumber && s.task.dayNumber >= startDay && s.status !== 'completed')
+        .forEach(({ task }) => {
+            if (newTasks.length > 0) removed.push({ taskId: task.id, title: task.title, dayNumber: task.dayNumber, reason: 'Yeni planla değişti' });
+            else addLoad(task.dayNumber, task.duration);
+        });
+
+    const added = newTasks
+        .filter(t => t.dayIndex < days)
+        .map(({ dayIndex, ...task }) => {
+            const dayNumber = startDay + dayIndex;
+            addLoad(dayNumber, task.duration);
+            return { ...task, dayNumber };
+        });
+
+    // Yapılmamış işler günlük süreye sığdığı ilk güne, sığmıyorsa en boş güne taşınır
+    // (iş kaybolmaz); konu bu arada belirgin şekilde ilerlediyse bırakılır
+    statuses
+        .filter(s => s.status === 'overdue' || s.status === 'missed')
+        .sort((a, b) => a.task.dayNumber - b.task.dayNumber)
+        .forEach(({ task }) => {
+            const summary = summaryOf(task);
+            if (summary && summary.mastery >= DROP_MASTERY && summary.trend.direction === 'up') {
+                removed.push({ taskId: task.id, title: task.title, dayNumber: task.dayNumber, reason: 'Konu hakimiyeti yükseldi' });
+                return;
+            }
+            const fits = load.findIndex(minutes => minutes + (Number(task.duration) || 0) <= dailyMinutes);
+            const index = fits !== -1 ? fits : load.indexOf(Math.min(...load));
+            load[index] += Number(task.duration) || 0;
+            moved.push({ taskId: task.id, title: task.title, from: task.dayNumber, to: startDay + index });
+        });
+
+    return { startDay, days, added, removed, moved, dailyLoad: load };
+}
+
+// Son planlamadan (yoksa başlangıçtan) bu yana bir hafta geçtiyse zamanlanmış planlama yapılır
+function isReplanDue(enrollment, lastReplan, now = new Date()) {
+    if (enrollment.status !== 'active') return false;
+    const since = lastReplan ? new Date(lastReplan.createdAt) : new Date(`${enrollment.startDate}T00:00:00`);
+    return (now - since) / DAY_MS >= REPLAN_INTERVAL_DAYS;
+}
+
+module.exports = {
+    WEEK_DAYS,
+    REPLAN_INTERVAL_DAYS,
+    analyze,
+    weekLength,
+    planWeek,
+    isReplanDue
+};
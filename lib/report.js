@@ -0,0 +1,353 @@
+// Veli raporu: bir öğrencinin seçilen aralıktaki (varsayılan son 7 gün) çalışması.
+// Günler öğrencinin saat diliminde sayılır. Rapor JSON olarak kurulur; CSV ve yazdırılabilir
+// HTML aynı rapordan üretilir.
+
+const programs = require('./programs');
+const { localDay } = require('./streaks');
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 92;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const GENERAL_SUBJECT = 'Genel';
+const EXAM_SUBJECT = 'Deneme';
+
+const CLAIM_STATUSES = { pending: 'Bekliyor', approved: 'Onaylandı', rejected: 'Reddedildi' };
+
+function addDays(day, count) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + count);
+    return date.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// query: { from, to } (YYYY-AA-GG, ikisi de isteğe bağlı). { from, to } veya { error } döner
+function parseRange({ from, to }, timezone, now = new Date()) {
+    const end = to || localDay(now, timezone);
+    const start = from || addDays(end, -(DEFAULT_DAYS - 1));
+    if (![start, end].every(day => DATE_PATTERN.test(day) && !Number.isNaN(Date.parse(`${day}T00:00:00Z`)))) {
+        return { error: 'Tarihler YYYY-AA-GG olmalı' };
+    }
+    if (start > end) return { error: 'Başlangıç bitişten sonra olamaz' };
+    if (daysBetween(start, end) >= MAX_DAYS) return { error: `Rapor en fazla ${MAX_DAYS} gün kapsayabilir` };
+    return { from: start, to: end };
+}
+
+// Gün itibarıyla seri: o güne kadar kesintisiz çalışılan (dondurulan günler köprü) gün sayısı
+function streakAt(byDay, day) {
+    let cursor = byDay[day] && byDay[day].qualified ? day : addDays(day, -1);
+    let streak = 0;
+    while (byDay[cursor] && (byDay[cursor].qualified || byDay[cursor].frozen)) {
+        if (byDay[cursor].qualified) streak++;
+        cursor = addDays(cursor, -1);
+    }
+    return streak;
+}
+
+// data: öğrencinin kayıtları { studyDays, studySessions, completions, tasks, programs, enrollments,
+// attempts, exams, ledger, claims }; tasks/programs/enrollments öğrencinin programlarına aittir
+function buildReport(student, data, { from, to }, now = new Date()) {
+    const timezone = student.timezone;
+    const dayOf = iso => localDay(new Date(iso), timezone);
+    const inRange = iso => {
+        if (!iso) return false;
+        const day = dayOf(iso);
+        return day >= from && day <= to;
+    };
+    const dayList = Array.from({ length: daysBetween(from, to) + 1 }, (_, i) => addDays(from, i));
+
+    // Çalışma dakikaları: gün toplamı seri kayıtlarından, ders dağılımı kaynaklarından
+    const byDay = Object.fromEntries(data.studyDays.map(d => [d.day, d]));
+    const subjectMinutes = {};
+    const addMinutes = (day, subject, minutes) => {
+        if (!minutes || day < from || day > to) return;
+        const key = subject || GENERAL_SUBJECT;
+        subjectMinutes[day] = subjectMinutes[day] || {};
+        subjectMinutes[day][key] = (subjectMinutes[day][key] || 0) + minutes;
+    };
+    const programById = Object.fromEntries(data.programs.map(p => [p.id, p]));
+
+    data.studySessions.filter(s => s.creditedDay)
+        .forEach(s => addMinutes(s.creditedDay, s.target && s.target.subject, s.creditedMinutes));
+    data.completions.filter(c => c.status === 'completed' && !c.timeCredited)
+        .forEach(c => addMinutes(dayOf(c.completedAt), (programById[c.programId] || {}).subject, c.minutes));
+    data.exams.filter(e => e.results && e.submittedAt)
+        .forEach(e => addMinutes(dayOf(e.submittedAt), EXAM_SUBJECT, Math.floor((e.results.totalTimeMs || 0) / 60000)));
+
+    const days = dayList.map(day => {
+        const entry = byDay[day] || {};
+        return {
+            day,
+            minutes: entry.minutes || 0,
+            questions: entry.questions || 0,
+            qualified: Boolean(entry.qualified),
+            frozen: Boolean(entry.frozen),
+            subjects: subjectMinutes[day] || {}
+        };
+    });
+
+    const subjects = {};
+    days.forEach(d => Object.entries(d.subjects).forEach(([subject, minutes]) => {
+        subjects[subject] = (subjects[subject] || 0) + minutes;
+    }));
+
+    // Görevler: aralığa planlanan görevler ve aralıkta yapılan tamamlamalar, program bazında
+    const completed = data.completions.filter(c => c.status === 'completed' && inRange(c.completedAt));
+    const taskRows = data.enrollments.map(enrollment => {
+        const program = programById[enrollment.programId];
+        const planned = data.tasks.filter(t => t.programId === enrollment.programId && t.dayNumber)
+            .filter(t => {
+                const date = programs.dateOfDay(enrollment, t.dayNumber);
+                return date >= from && date <= to;
+            });
+        const done = completed.filter(c => c.programId === enrollment.programId);
+        const doneIds = new Set(data.completions
+            .filter(c => c.status === 'completed' && c.programId === enrollment.programId)
+            .map(c => c.taskId));
+        return {
+            programId: enrollment.programId,
+            program: program ? program.name : '-',
+            subject: program ? program.subject : null,
+            status: enrollment.status,
+            planned: planned.length,
+            plannedCompleted: planned.filter(t => doneIds.has(t.id)).length,
+            completed: done.length,
+            minutes: done.reduce((sum, c) => sum + (c.minutes || 0), 0)
+        };
+    }).filter(row => row.planned > 0 || row.completed > 0);
+
+    // Konu bazında doğruluk ve net (tüm cevaplar: alıştırma, görev, tekrar, deneme)
+    const topicMap = {};
+    data.attempts.filter(a => inRange(a.answeredAt)).forEach(a => {
+        const key = `${a.subject}::${a.topic}`;
+        if (!topicMap[key]) topicMap[key] = { subject: a.subject, topic: a.topic, answered: 0, correct: 0, wrong: 0 };
+        topicMap[key].answered++;
+        topicMap[key][a.correct ? 'correct' : 'wrong']++;
+    });
+    const topics = Object.values(topicMap)
+        .map(t => ({ ...t, accuracy: Math.round(t.correct / t.answered * 100), net: round(t.correct - t.wrong / 4) }))
+        .sort((a, b) => a.subject.localeCompare(b.subject, 'tr') || a.accuracy - b.accuracy);
+
+    const examRows = data.exams.filter(e => e.results && inRange(e.submittedAt))
+        .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt))
+        .map(e => ({
+            id: e.id,
+            name: e.name,
+            day: dayOf(e.submittedAt),
+            totalNet: e.results.totalNet,
+            estimatedScore: e.results.estimatedScore,
+            sections: e.results.sections.map(s => ({ name: s.name, net: s.net }))
+        }));
+
+    // Puanlar: kazanılan (kazanç/bonus), ceza, harcanan (onaylı ödül ve alımlar)
+    const entries = data.ledger.filter(e => inRange(e.createdAt));
+    const sumOf = types => entries.filter(e => types.includes(e.type)).reduce((sum, e) => sum + e.amount, 0);
+    const points = {
+        earned: sumOf(['earn', 'bonus']),
+        penalties: sumOf(['penalty']),
+        spent: sumOf(['spend', 'purchase']),
+        bySource: {}
+    };
+    entries.filter(e => e.type === 'earn').forEach(e => {
+        const source = (e.source && e.source.type) || 'other';
+        points.bySource[source] = (points.bySource[source] || 0) + e.amount;
+    });
+    points.net = points.earned - points.penalties - points.spent;
+
+    // Ödül talepleri: aralıkta istenen ya da karara bağlanan
+    const claims = data.claims.filter(c => inRange(c.requestedAt) || inRange(c.processedAt))
+        .sort((a, b) => a.requestedAt.localeCompare(b.requestedAt))
+        .map(c => ({
+            rewardName: c.rewardName,
+            cost: c.cost,
+            status: c.status,
+            requestedAt: c.requestedAt,
+            processedAt: c.processedAt || null,
+            day: dayOf(c.requestedAt)
+        }));
+
+    const totalMinutes = days.reduce((sum, d) => sum + d.minutes, 0);
+    const answered = topics.reduce((sum, t) => sum + t.answered, 0);
+    const correct = topics.reduce((sum, t) => sum + t.correct, 0);
+
+    return {
+        student: { id: student.id, name: student.name, level: student.level, title: student.title || null, timezone },
+        from,
+        to,
+        generatedAt: now.toISOString(),
+        summary: {
+            totalMinutes,
+            activeDays: days.filter(d => d.minutes > 0 || d.questions > 0).length,
+            qualifiedDays: days.filter(d => d.qualified).length,
+            frozenDays: days.filter(d => d.frozen && !d.qualified).length,
+            streakStart: streakAt(byDay, addDays(from, -1)),
+            streakEnd: streakAt(byDay, to),
+            bestStreak: student.bestStreak || 0,
+            tasksPlanned: taskRows.reduce((sum, r) => sum + r.planned, 0),
+            tasksPlannedCompleted: taskRows.reduce((sum, r) => sum + r.plannedCompleted, 0),
+            tasksCompleted: completed.length,
+            answered,
+            accuracy: answered ? Math.round(correct / answered * 100) : null,
+            net: round(topics.reduce((sum, t) => sum + t.net, 0)),
+            exams: examRows.length,
+            pointsEarned: points.earned,
+            pointsSpent: points.spent
+        },
+        days,
+        subjects: Object.entries(subjects).map(([subject, minutes]) => ({ subject, minutes }))
+            .sort((a, b) => b.minutes - a.minutes),
+        tasks: taskRows,
+        topics,
+        exams: examRows,
+        points,
+        claims,
+        commentary: null
+    };
+}
+
+// ==================== CSV ====================
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Bölümler boş satırla ayrılır; Excel'in Türkçe karakterleri tanıması için BOM ile başlar
+function toCsv(report) {
+    const sections = [
+        [
+            ['Rapor', report.student.name, `${report.from} - ${report.to}`],
+            ['Toplam dakika', report.summary.totalMinutes],
+            ['Aktif gün', report.summary.activeDays],
+            ['Seri (başlangıç → bitiş)', `${report.summary.streakStart} → ${report.summary.streakEnd}`],
+            ['Görev (planlanan / yapılan)', `${report.summary.tasksPlanned} / ${report.summary.tasksPlannedCompleted}`],
+            ['Soru / doğruluk %', report.summary.answered, report.summary.accuracy],
+            ['Kazanılan / harcanan puan', report.summary.pointsEarned, report.summary.pointsSpent]
+        ],
+        [
+            ['Gün', 'Dakika', 'Soru', 'Seri günü', 'Ders dağılımı'],
+            ...report.days.map(d => [
+                d.day, d.minutes, d.questions, d.qualified ? 'evet' : d.frozen ? 'donduruldu' : 'hayır',
+                Object.entries(d.subjects).map(([subject, minutes]) => `${subject} ${minutes} dk`).join('; ')
+            ])
+        ],
+        [['Ders', 'Dakika'], ...report.subjects.map(s => [s.subject, s.minutes])],
+        [
+            ['Program', 'Planlanan', 'Planlanandan yapılan', 'Toplam tamamlanan', 'Dakika'],
+            ...report.tasks.map(t => [t.program, t.planned, t.plannedCompleted, t.completed, t.minutes])
+        ],
+        [
+            ['Ders', 'Konu', 'Soru', 'Doğru', 'Yanlış', 'Doğruluk %', 'Net'],
+            ...report.topics.map(t => [t.subject, t.topic, t.answered, t.correct, t.wrong, t.accuracy, t.net])
+        ],
+        [['Deneme', 'Gün', 'Net', 'Tahmini puan'], ...report.exams.map(e => [e.name, e.day, e.totalNet, e.estimatedScore])],
+        [['Ödül talebi', 'Talep günü', 'Puan', 'Durum'], ...report.claims.map(c => [c.rewardName, c.day, c.cost, CLAIM_STATUSES[c.status] || c.status])]
+    ];
+    if (report.commentary) sections.push([['Yorum', report.commentary]]);
+
+    return '﻿' + sections.map(rows => rows.map(row => row.map(csvCell).join(',')).join('\n')).join('\n\n') + '\n';
+}
+
+// ==================== YAZDIRILABİLİR HTML ====================
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Hücre { html } ise kaçışsız basılır
+function table(headers, rows) {
+    if (rows.length === 0) return '<p class="empty">Kayıt yok.</p>';
+    const cell = value => `<td>${value && value.html !== undefined ? value.html : escapeHtml(value)}</td>`;
+    return `<table>
+        <tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr>
+        ${rows.map(row => `<tr>${row.map(cell).join('')}</tr>`).join('\n')}
+    </table>`;
+}
+
+function toHtml(report) {
+    const s = report.summary;
+    const maxMinutes = Math.max(1, ...report.days.map(d => d.minutes));
+
+    return `<!DOCTYPE html>
+<html lang="tr">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(report.student.name)} • ${report.from} - ${report.to}</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #111827; margin: 30px; font-size: 13px; }
+    h1 { font-size: 20px; margin-bottom: 4px; }
+    h2 { font-size: 15px; margin-top: 24px; border-bottom: 2px solid #111827; padding-bottom: 4px; }
+    table { border-collapse: collapse; width: 100%; margin-top: 8px; }
+    th, td { border: 1px solid #d1d5db; padding: 4px 6px; text-align: left; }
+    th { background: #f3f4f6; }
+    .summary { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; margin-top: 12px; }
+    .summary div { border: 1px solid #d1d5db; border-radius: 6px; padding: 8px; }
+    .summary b { display: block; font-size: 18px; }
+    .bar { background: #22c55e; height: 10px; }
+    .empty { color: #6b7280; }
+    .commentary { background: #f9fafb; border-left: 4px solid #22c55e; padding: 10px; margin-top: 12px; }
+    @media print { .no-print { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<button class="no-print" onclick="window.print()">🖨️ Yazdır</button>
+<h1>${escapeHtml(report.student.name)} • Çalışma Raporu</h1>
+<div>${report.from} – ${report.to} • Seviye ${escapeHtml(report.student.level)}${report.student.title ? ` (${escapeHtml(report.student.title)})` : ''}</div>
+
+<div class="summary">
+    <div><b>${Math.floor(s.totalMinutes / 60)} sa ${s.totalMinutes % 60} dk</b>Toplam çalışma</div>
+    <div><b>${s.activeDays} / ${report.days.length}</b>Aktif gün</div>
+    <div><b>${s.streakStart} → ${s.streakEnd}</b>Seri (en iyi ${s.bestStreak})</div>
+    <div><b>${s.tasksPlannedCompleted} / ${s.tasksPlanned}</b>Planlanan görev</div>
+    <div><b>${s.answered}</b>Soru${s.accuracy !== null ? ` • %${s.accuracy} doğru` : ''}</div>
+    <div><b>${s.net}</b>Toplam net</div>
+    <div><b>+${s.pointsEarned}</b>Kazanılan puan</div>
+    <div><b>−${s.pointsSpent}</b>Harcanan puan</div>
+</div>
+${report.commentary ? `<div class="commentary">${escapeHtml(report.commentary)}</div>` : ''}
+
+<h2>Günlük Çalışma</h2>
+${table(['Gün', 'Dakika', '', 'Soru', 'Dağılım'], report.days.map(d => [
+        d.day + (d.frozen && !d.qualified ? ' ❄' : ''),
+        d.minutes,
+        { html: `<div class="bar" style="width: ${Math.round(d.minutes / maxMinutes * 100)}%"></div>` },
+        d.questions,
+        Object.entries(d.subjects).map(([subject, minutes]) => `${subject} ${minutes} dk`).join(', ')
+    ]))}
+
+<h2>Derslere Göre Süre</h2>
+${table(['Ders', 'Dakika'], report.subjects.map(x => [x.subject, x.minutes]))}
+
+<h2>Görevler</h2>
+${table(['Program', 'Planlanan', 'Planlanandan yapılan', 'Toplam tamamlanan', 'Dakika'],
+        report.tasks.map(t => [t.program, t.planned, t.plannedCompleted, t.completed, t.minutes]))}
+
+<h2>Konu Bazında Doğruluk</h2>
+${table(['Ders', 'Konu', 'Soru', 'Doğru', 'Yanlış', 'Doğruluk', 'Net'],
+        report.topics.map(t => [t.subject, t.topic, t.answered, t.correct, t.wrong, `%${t.accuracy}`, t.net]))}
+
+<h2>Denemeler</h2>
+${table(['Deneme', 'Gün', 'Net', 'Tahmini puan', 'Bölümler'],
+        report.exams.map(e => [e.name, e.day, e.totalNet, e.estimatedScore, e.sections.map(x => `${x.name} ${x.net}`).join(', ')]))}
+
+<h2>Ödül Talepleri</h2>
+${table(['Ödül', 'Gün', 'Puan', 'Durum'],
+        report.claims.map(c => [c.rewardName, c.day, c.cost, CLAIM_STATUSES[c.status] || c.status]))}
+
+<p class="empty">Oluşturulma: ${escapeHtml(new Date(report.generatedAt).toLocaleString('tr-TR', { timeZone: report.student.timezone }))}</p>
+</body>
+</html>`;
+}
+
+module.exports = {
+    parseRange,
+    buildReport,
+    toCsv,
+    toHtml
+};
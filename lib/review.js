@@ -0,0 +1,98 @@
+// Aralıklı tekrar (SM-2): yanlış ya da zorlanarak çözülen sorular
+// öğrencinin tekrar kuyruğuna girer, her tekrardan sonra bir sonraki tarih hesaplanır.
+// "Bugün" öğrencinin saat dilimindeki takvim günüdür (bkz. streaks.localDay).
+
+const streaks = require('./streaks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_EASINESS = 2.5;
+const MIN_EASINESS = 1.3;
+
+// Doğru ama bu süreden uzun sürdüyse "zorlandı" sayılır
+const SLOW_ANSWER_MS = 2 * 60 * 1000;
+const FAST_ANSWER_MS = 20 * 1000;
+
+// Cevaptan SM-2 kalite notu (0-5)
+function qualityOf(correct, durationMs) {
+    if (!correct) return 1;
+    if (durationMs && durationMs > SLOW_ANSWER_MS) return 3;
+    if (durationMs && durationMs < FAST_ANSWER_MS) return 5;
+    return 4;
+}
+
+// Öğrencinin yerel gününün bittiği an (ertesi günün gece yarısı)
+function endOfDay(now, timezone) {
+    return streaks.startOfDay(streaks.addDays(streaks.localDay(now, timezone), 1), timezone);
+}
+
+function newCard(studentId, question, now = new Date()) {
+    return {
+        id: `${studentId}:${question.id}`,
+        studentId,
+        questionId: question.id,
+        topicId: question.topicId || null,
+        subject: question.subject,
+        topic: question.topic,
+        easiness: DEFAULT_EASINESS,
+        interval: 0,
+        repetitions: 0,
+        lapses: 0,
+        reviews: 0,
+        dueAt: now.toISOString(),
+        lastReviewedAt: null,
+        createdAt: now.toISOString()
+    };
+}
+
+// Kartı kalite notuna göre yeniden planla (kartı yerinde değiştirir)
+function schedule(card, quality, now = new Date()) {
+    if (quality < 3) {
+        card.repetitions = 0;
+        card.interval = 1;
+        card.lapses++;
+    } else {
+        card.repetitions++;
+        if (card.repetitions === 1) card.interval = 1;
+        else if (card.repetitions === 2) card.interval = 6;
+        else card.interval = Math.round(card.interval * card.easiness);
+    }
+
+    const delta = 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
+    card.easiness = Math.max(MIN_EASINESS, Math.round((card.easiness + delta) * 100) / 100);
+    card.reviews++;
+    card.lastQuality = quality;
+    card.lastReviewedAt = now.toISOString();
+    card.dueAt = new Date(now.getTime() + card.interval * DAY_MS).toISOString();
+    return card;
+}
+
+// Kartı olmayan soru için: sadece yanlış ya da zorlanılan cevaplar kuyruğa girer
+function shouldEnqueue(quality) {
+    return quality <= 3;
+}
+
+// Zamanı öğrencinin bugününün sonuna kadar gelen kartlar
+function isDue(card, now = new Date(), timezone) {
+    return new Date(card.dueAt) < endOfDay(now, timezone);
+}
+
+// Önümüzdeki günler için kart sayıları (bugün = gecikmişler dahil)
+function forecast(cards, days = 7, now = new Date(), timezone) {
+    const today = streaks.localDay(now, timezone);
+    const counts = Array(days).fill(0);
+    cards.forEach(card => {
+        const day = Math.max(0, streaks.daysBetween(today, streaks.localDay(new Date(card.dueAt), timezone)));
+        if (day < days) counts[day]++;
+    });
+    return counts;
+}
+
+module.exports = {
+    qualityOf,
+    newCard,
+    schedule,
+    shouldEnqueue,
+    isDue,
+    forecast
+};
@@ -0,0 +1,132 @@
+// Ödül kuralları: stok, öğrenci başına bekleme süresi, haftalık/aylık sınır,
+// geçerlilik aralığı ve seviye şartı. Talep anında sunucuda kontrol edilir;
+// reddedilen talepler sınırlara sayılmaz ve stoğu geri verir.
+// Günler, haftalar ve aylar öğrencinin saat dilimindeki takvime göre sayılır.
+
+const streaks = require('./streaks');
+
+const PERIODS = { week: 'hafta', month: 'ay' };
+
+// Kural alanlarının varsayılanları (null: sınırsız / yok)
+const DEFAULT_RULES = {
+    enabled: true,
+    stock: null,
+    cooldownDays: 0,
+    limit: null,            // { count, period: 'week' | 'month' }
+    availableFrom: null,
+    availableUntil: null,
+    minLevel: 1
+};
+
+const EDITABLE_FIELDS = ['name', 'cost', 'description', 'icon', 'studentIds', ...Object.keys(DEFAULT_RULES)];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Dönem başlangıcı: hafta pazartesi, ay ayın biri (öğrencinin saat diliminde gece yarısı)
+function periodStart(period, now, timezone) {
+    const today = streaks.localDay(now, timezone);
+    const first = period === 'month'
+        ? `${today.slice(0, 8)}01`
+        : streaks.addDays(today, -((new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7));
+    return streaks.startOfDay(first, timezone);
+}
+
+const optionalNumber = value => (value === null || value === '' ? null : Number(value));
+const optionalDay = value => value || null;
+
+// İstekten düzenlenebilir alanları al, form değerlerini tipine çevir (gönderilmeyen alan dokunulmaz)
+function pick(body) {
+    const changes = {};
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).forEach(field => { changes[field] = body[field]; });
+
+    if (changes.cost !== undefined) changes.cost = Number(changes.cost);
+    if (changes.stock !== undefined) changes.stock = optionalNumber(changes.stock);
+    if (changes.cooldownDays !== undefined) changes.cooldownDays = Number(changes.cooldownDays) || 0;
+    if (changes.minLevel !== undefined) changes.minLevel = Number(changes.minLevel) || 1;
+    if (changes.enabled !== undefined) changes.enabled = Boolean(changes.enabled);
+    if (changes.availableFrom !== undefined) changes.availableFrom = optionalDay(changes.availableFrom);
+    if (changes.availableUntil !== undefined) changes.availableUntil = optionalDay(changes.availableUntil);
+    if (changes.limit !== undefined) {
+        changes.limit = changes.limit && changes.limit.count
+            ? { count: Number(changes.limit.count), period: changes.limit.period }
+            : null;
+    }
+    return changes;
+}
+
+// Hata listesi döner
+function validateReward(reward) {
+    const errors = [];
+    const nonNegative = value => Number.isInteger(value) && value >= 0;
+
+    if (!reward.name || !String(reward.name).trim()) errors.push('Ödül adı gerekli');
+    if (!Number.isInteger(reward.cost) || reward.cost <= 0) errors.push('Puan pozitif tam sayı olmalı');
+    if (reward.stock !== null && !nonNegative(reward.stock)) errors.push('Stok boş ya da 0 veya üstü olmalı');
+    if (!nonNegative(reward.cooldownDays)) errors.push('Bekleme süresi 0 veya üstü gün olmalı');
+    if (!Number.isInteger(reward.minLevel) || reward.minLevel < 1) errors.push('Seviye şartı 1 veya üstü olmalı');
+    if (!Array.isArray(reward.studentIds) || !reward.studentIds.every(id => typeof id === 'string')) {
+        errors.push('Öğrenci seçimi öğrenci kimliklerinden oluşan bir liste olmalı');
+    }
+
+    if (reward.limit) {
+        if (!PERIODS[reward.limit.period]) errors.push('Sınır dönemi hafta veya ay olmalı');
+        if (!Number.isInteger(reward.limit.count) || reward.limit.count < 1) errors.push('Dönem sınırı 1 veya üstü olmalı');
+    }
+
+    ['availableFrom', 'availableUntil'].forEach(field => {
+        if (reward[field] && !DATE_PATTERN.test(reward[field])) errors.push(`${field} YYYY-AA-GG olmalı`);
+    });
+    if (reward.availableFrom && reward.availableUntil && reward.availableFrom > reward.availableUntil) {
+        errors.push('Geçerlilik başlangıcı bitişten sonra olamaz');
+    }
+    return errors;
+}
+
+// Süresi bitmiş ya da kapatılmış ödül öğrenciye hiç gösterilmez
+function isListed(reward, now = new Date(), timezone) {
+    return reward.enabled !== false && !(reward.availableUntil && reward.availableUntil < streaks.localDay(now, timezone));
+}
+
+// claims: öğrencinin bu ödüle ait talepleri; spendable: harcanabilir puan
+// { canClaim, reasons } döner, reasons öğrenciye gösterilecek nedenlerdir
+function eligibility(reward, student, { claims, spendable, now = new Date() }) {
+    const rules = { ...DEFAULT_RULES, ...reward };
+    const today = streaks.localDay(now, student.timezone);
+    const active = claims.filter(c => c.status === 'pending' || c.status === 'approved');
+    const reasons = [];
+
+    if (!rules.enabled) reasons.push('Şu an kapalı');
+    if (rules.availableFrom && rules.availableFrom > today) reasons.push(`${rules.availableFrom} tarihinden itibaren`);
+    if (rules.availableUntil && rules.availableUntil < today) reasons.push('Süresi doldu');
+    if (rules.stock !== null && rules.stock <= 0) reasons.push('Stokta kalmadı');
+    if ((student.level || 1) < rules.minLevel) reasons.push(`Seviye ${rules.minLevel} gerekli`);
+
+    // Bekleme süresi takvim günüyle: son talepten cooldownDays gün sonra (yerel gece yarısından itibaren) açılır
+    if (rules.cooldownDays > 0 && active.length > 0) {
+        const last = Math.max(...active.map(c => new Date(c.requestedAt).getTime()));
+        const availableOn = streaks.addDays(streaks.localDay(new Date(last), student.timezone), rules.cooldownDays);
+        const daysLeft = streaks.daysBetween(today, availableOn);
+        if (daysLeft > 0) reasons.push(`${daysLeft} gün sonra tekrar alınabilir`);
+    }
+
+    if (rules.limit) {
+        const start = periodStart(rules.limit.period, now, student.timezone);
+        const used = active.filter(c => new Date(c.requestedAt) >= start).length;
+        if (used >= rules.limit.count) {
+            reasons.push(`Bu ${PERIODS[rules.limit.period]} en fazla ${rules.limit.count} kez alınabilir`);
+        }
+    }
+
+    if (spendable < rules.cost) reasons.push(`${rules.cost - spendable} puan eksik`);
+
+    return { canClaim: reasons.length === 0, reasons };
+}
+
+module.exports = {
+    PERIODS,
+    DEFAULT_RULES,
+    pick,
+    validateReward,
+    isListed,
+    eligibility
+};
@@ -0,0 +1,193 @@
+// Puanlama motoru: puanlar sadece sunucunun bildiği verilerden hesaplanır
+// (görevin basePoints/difficulty değeri, sunucuda notlanan cevaplar, sunucuda ölçülen süre).
+// Kurallar SCORING_RULES ortam değişkeniyle (JSON) kısmen ezilebilir.
+
+const DEFAULT_RULES = {
+    // Seviye eğrileri: n. seviye için gereken toplam XP = base × (n - 1)^exponent
+    // (exponent 1 doğrusal, 2 karesel artış). subjects ile derse özel eğri verilebilir,
+    // örn. { "Matematik": { "base": 150 } }
+    levels: {
+        character: { base: 500, exponent: 1.5 },
+        subject: { base: 100, exponent: 1.5 },
+        subjects: {}
+    },
+    task: {
+        defaultBasePoints: 10,
+        // Planlanan sürenin bu oranı çalışılmadıysa taban puan orantılı düşer
+        minDurationRatio: 0.5,
+        // Ölçülen süre planlananın bu katıyla sınırlanır (açık unutulan görevler için)
+        maxDurationRatio: 2,
+        minutesPerPoint: 10,
+        pointsPerCorrect: 3,
+        // Görev başına en fazla tamamlama; tipe göre ayrı sınır verilebilir
+        maxCompletions: 1,
+        maxCompletionsByType: {}
+    },
+    practice: {
+        // Alıştırma sorusu: doğru cevap başına difficulty × bu değer, soru başına bir kez
+        pointsPerDifficulty: 2
+    },
+    review: { correct: 5, wrong: 1, sessionBonus: 20 },
+    // Kitap oturumu: kitapta yeni ilerlenen sayfa/test başına
+    book: { pointsPerPage: 0.5, pointsPerTest: 5 },
+    // Sunucuda ölçülen çalışma oturumu: odak dakikası başına puan; oturum, duraklatma ve gün sınırları (dk)
+    study: {
+        minutesPerPoint: 10,
+        maxSessionMinutes: 180,
+        maxPauseMinutes: 30,
+        maxDailyMinutes: 600,
+        pomodoro: { focusMinutes: 25, breakMinutes: 5, longBreakMinutes: 15, cyclesBeforeLongBreak: 4 }
+    },
+    // Seri: gün bu kadar dakika ya da soruyla "çalışılmış" sayılır; dondurucu puanla alınır.
+    // warnHour: o gün henüz çalışılmadıysa bu saatten sonra "seri tehlikede" bildirimi gider
+    streak: { minMinutes: 20, minQuestions: 10, freezeCost: 150, maxFreezes: 2, warnHour: 20 },
+    // Sınava yaklaştıkça çarpan (kalan gün sınav takviminden): son windowDays günde her gün için +perDay
+    urgency: { windowDays: 7, perDay: 0.1 }
+};
+
+function isObject(value) {
+    return value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(base, overrides) {
+    const result = { ...base };
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        result[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+    });
+    return result;
+}
+
+function rulesFromEnv(env) {
+    if (!env.SCORING_RULES) return {};
+    try {
+        return JSON.parse(env.SCORING_RULES);
+    } catch (error) {
+        throw new Error(`SCORING_RULES okunamadı: ${error.message}`);
+    }
+}
+
+function validateCurve(curve, label) {
+    if (!(curve.base > 0) || !(curve.exponent > 0)) {
+        throw new Error(`SCORING_RULES: ${label} seviye eğrisinde base ve exponent pozitif olmalı`);
+    }
+}
+
+function createScoring(overrides = rulesFromEnv(process.env)) {
+    const rules = merge(DEFAULT_RULES, overrides);
+    validateCurve(rules.levels.character, 'karakter');
+    validateCurve(rules.levels.subject, 'ders');
+    Object.entries(rules.levels.subjects).forEach(([subject, curve]) => {
+        validateCurve({ ...rules.levels.subject, ...curve }, subject);
+    });
+
+    // subject verilmezse genel karakter eğrisi
+    function curveFor(subject) {
+        return subject ? { ...rules.levels.subject, ...rules.levels.subjects[subject] } : rules.levels.character;
+    }
+
+    function xpForLevel(level, subject) {
+        const { base, exponent } = curveFor(subject);
+        return Math.round(base * Math.pow(level - 1, exponent));
+    }
+
+    // Seviye kazanılan toplam XP'den (harcanan ödüller seviyeyi düşürmez)
+    function levelFor(xp, subject) {
+        let level = 1;
+        while (xpForLevel(level + 1, subject) <= xp) level++;
+        return level;
+    }
+
+    // Seviye çubuğu için: bulunulan seviyenin başı/sonu ve yüzde
+    function levelProgress(xp, subject) {
+        const level = levelFor(xp, subject);
+        const levelXp = xpForLevel(level, subject);
+        const nextLevelXp = xpForLevel(level + 1, subject);
+        return {
+            level,
+            xp,
+            levelXp,
+            nextLevelXp,
+            percent: Math.floor(((xp - levelXp) / (nextLevelXp - levelXp)) * 100)
+        };
+    }
+
+    function urgencyMultiplier(daysLeft) {
+        if (daysLeft === null || daysLeft === undefined) return 1;
+        const { windowDays, perDay } = rules.urgency;
+        return 1 + (windowDays - Math.min(Math.max(daysLeft, 0), windowDays)) * perDay;
+    }
+
+    function completionLimit(task) {
+        const byType = rules.task.maxCompletionsByType[task.type];
+        return byType !== undefined ? byType : rules.task.maxCompletions;
+    }
+
+    // Başlatılıp bitirilen süre, planlanan sürenin üst sınırıyla kırpılır
+    function studyMinutes(task, startedAt, now = new Date()) {
+        const measured = Math.max(0, (now - new Date(startedAt)) / 60000);
+        const planned = Number(task.duration) || 0;
+        const cap = planned > 0 ? planned * rules.task.maxDurationRatio : measured;
+        return Math.floor(Math.min(measured, cap));
+    }
+
+    // answers: bu görev için sunucuda notlanan cevaplar [{ correct }]
+    // timeCredited: süre çalışma oturumlarında puanlandıysa süre puanı tekrar verilmez
+    function scoreTask(task, { minutes, answers = [], daysLeft = null, timeCredited = false }) {
+        const planned = Number(task.duration) || 0;
+        const basePoints = Number(task.basePoints) || rules.task.defaultBasePoints;
+        const completionRatio = planned > 0
+            ? Math.min(1, minutes / (planned * rules.task.minDurationRatio))
+            : 1;
+        const correct = answers.filter(a => a.correct).length;
+
+        const breakdown = {
+            base: Math.round(basePoints * completionRatio),
+            time: timeCredited ? 0 : Math.floor(minutes / rules.task.minutesPerPoint),
+            answers: correct * rules.task.pointsPerCorrect,
+            difficulty: Number(task.difficulty) || 1,
+            urgency: Math.round(urgencyMultiplier(daysLeft) * 100) / 100
+        };
+
+        const raw = breakdown.base + breakdown.time + breakdown.answers;
+        return {
+            points: Math.floor(raw * breakdown.difficulty * breakdown.urgency),
+            breakdown,
+            correct,
+            wrong: answers.length - correct
+        };
+    }
+
+    function scorePractice(question, correct) {
+        return correct ? (Number(question.difficulty) || 1) * rules.practice.pointsPerDifficulty : 0;
+    }
+
+    function scoreReview(correct) {
+        return correct ? rules.review.correct : rules.review.wrong;
+    }
+
+    function scoreStudy(minutes) {
+        return Math.floor(minutes / rules.study.minutesPerPoint);
+    }
+
+    // gained: kitapta yeni ilerlenen { pages, tests }
+    function scoreBookSession(gained) {
+        return Math.floor(gained.pages * rules.book.pointsPerPage + gained.tests * rules.book.pointsPerTest);
+    }
+
+    return {
+        rules,
+        xpForLevel,
+        levelFor,
+        levelProgress,
+        urgencyMultiplier,
+        completionLimit,
+        studyMinutes,
+        scoreTask,
+        scorePractice,
+        scoreReview,
+        scoreStudy,
+        scoreBookSession
+    };
+}
+
+module.exports = { DEFAULT_RULES, createScoring };
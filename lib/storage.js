@@ -0,0 +1,308 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// JSON dosya tabanlı depolama:
+// - her koleksiyon için yazmalar sıraya alınır (kilit)
+// - dosyalar önce geçici dosyaya yazılıp rename ile atomik olarak değiştirilir
+// - birden fazla koleksiyon tek transaction'da güncellenebilir (journal ile)
+// - şema sürümü meta dosyasında tutulur, migration'lar sırayla uygulanır
+
+class StorageError extends Error {
+    constructor(message, collection) {
+        super(message);
+        this.name = 'StorageError';
+        this.collection = collection;
+    }
+}
+
+// Bellekteki bir dizi üzerinde senkron repository (transaction içinde kullanılır)
+class Repository {
+    constructor(records) {
+        this.records = records;
+    }
+
+    all() {
+        return this.records;
+    }
+
+    find(predicate) {
+        return this.records.find(predicate) || null;
+    }
+
+    findById(id) {
+        return this.find(r => r.id === id);
+    }
+
+    filter(predicate) {
+        return this.records.filter(predicate);
+    }
+
+    insert(record) {
+        this.records.push(record);
+        return record;
+    }
+
+    // patch bir nesne ise alanları birleştirir, fonksiyon ise kaydı yerinde değiştirir
+    update(id, patch) {
+        const record = this.findById(id);
+        if (!record) return null;
+        if (typeof patch === 'function') patch(record);
+        else Object.assign(record, patch);
+        return record;
+    }
+
+    remove(predicate) {
+        const before = this.records.length;
+        const kept = this.records.filter(r => !predicate(r));
+        this.records.splice(0, this.records.length, ...kept);
+        return before - kept.length;
+    }
+
+    removeById(id) {
+        return this.remove(r => r.id === id) > 0;
+    }
+}
+
+function createStorage(dir, collections) {
+    const locks = new Map();
+    const metaFile = path.join(dir, 'meta.json');
+    const fileOf = name => path.join(dir, `${name}.json`);
+
+    function assertCollection(name) {
+        if (!collections.includes(name)) throw new StorageError(`Bilinmeyen koleksiyon: ${name}`, name);
+    }
+
+    // Basit promise zinciri ile koleksiyon başına kilit
+    function acquire(name) {
+        const previous = locks.get(name) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        locks.set(name, previous.then(() => current));
+        return previous.then(() => release);
+    }
+
+    async function withLocks(names, fn) {
+        // Kilitleri her zaman aynı sırada al, böylece kilitlenme olmaz
+        const sorted = [...new Set(names)].sort();
+        const releases = [];
+        try {
+            for (const name of sorted) releases.push(await acquire(name));
+            return await fn();
+        } finally {
+            releases.forEach(release => release());
+        }
+    }
+
+    async function load(name) {
+        let raw;
+        try {
+            raw = await fs.readFile(fileOf(name), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw new StorageError(`${name} okunamadı: ${error.message}`, name);
+        }
+
+        if (!raw.trim()) return [];
+
+        try {
+            const data = JSON.parse(raw);
+            if (!Array.isArray(data)) throw new Error('dizi bekleniyordu');
+            return data;
+        } catch (error) {
+            // Bozuk dosyayı asla boş dizi sayma, yoksa bir sonraki yazma veriyi siler
+            throw new StorageError(`${name} bozuk: ${error.message}`, name);
+        }
+    }
+
+    async function writeTemp(target, data) {
+        const tmp = `${target}.${uuidv4()}.tmp`;
+        const handle = await fs.open(tmp, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(data, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        return tmp;
+    }
+
+    // Tüm geçici dosyalar yazıldıktan sonra journal kaydedilir; rename'ler
+    // yarıda kalırsa açılışta journal'dan tamamlanır
+    async function commit(changes) {
+        const entries = [];
+        for (const [name, data] of Object.entries(changes)) {
+            entries.push({ tmp: await writeTemp(fileOf(name), data), target: fileOf(name) });
+        }
+
+        if (entries.length === 1) {
+            await fs.rename(entries[0].tmp, entries[0].target);
+            return;
+        }
+
+        const journal = path.join(dir, `.journal-${uuidv4()}.json`);
+        await fs.writeFile(journal, JSON.stringify(entries));
+        for (const entry of entries) await fs.rename(entry.tmp, entry.target);
+        await fs.unlink(journal);
+    }
+
+    async function recover() {
+        const files = await fs.readdir(dir);
+
+        for (const file of files.filter(f => f.startsWith('.journal-'))) {
+            const journal = path.join(dir, file);
+            let entries = [];
+            try {
+                entries = JSON.parse(await fs.readFile(journal, 'utf8'));
+            } catch {
+                // Journal yazılırken çöktüyse hiçbir rename yapılmamıştır
+            }
+            for (const entry of entries) {
+                try {
+                    await fs.rename(entry.tmp, entry.target);
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+            }
+            await fs.unlink(journal);
+        }
+
+        // Journal'a girmemiş yarım geçici dosyalar
+        for (const file of files.filter(f => f.endsWith('.tmp'))) {
+            await fs.unlink(path.join(dir, file)).catch(() => {});
+        }
+    }
+
+    // fn(tx) içinde tx.<koleksiyon> senkron Repository'dir; fn hata fırlatırsa hiçbir şey yazılmaz.
+    // tx.afterCommit(cb): transaction başarıyla yazıldıktan sonra çalışacak geri çağırma
+    async function transaction(names, fn) {
+        names.forEach(assertCollection);
+
+        return withLocks(names, async () => {
+            const tx = {};
+            const snapshots = {};
+            const callbacks = [];
+            Object.defineProperty(tx, 'afterCommit', { value: callback => callbacks.push(callback) });
+            for (const name of names) {
+                const records = await load(name);
+                snapshots[name] = JSON.stringify(records);
+                tx[name] = new Repository(records);
+            }
+
+            const result = await fn(tx);
+
+            // Sadece değişen koleksiyonları yaz
+            const changes = {};
+            for (const name of names) {
+                const records = tx[name].all();
+                if (JSON.stringify(records) !== snapshots[name]) changes[name] = records;
+            }
+            if (Object.keys(changes).length > 0) await commit(changes);
+            callbacks.forEach(callback => callback());
+
+            return result;
+        });
+    }
+
+    // Route'ların kullandığı asenkron repository
+    function collection(name) {
+        assertCollection(name);
+        const read = async () => new Repository(await load(name));
+        const write = fn => transaction([name], tx => fn(tx[name]));
+
+        return {
+            all: async () => (await read()).all(),
+            find: async predicate => (await read()).find(predicate),
+            findById: async id => (await read()).findById(id),
+            filter: async predicate => (await read()).filter(predicate),
+            insert: record => write(repo => repo.insert(record)),
+            insertMany: records => write(repo => records.forEach(r => repo.insert(r))),
+            update: (id, patch) => write(repo => repo.update(id, patch)),
+            remove: predicate => write(repo => repo.remove(predicate)),
+            removeById: id => write(repo => repo.removeById(id))
+        };
+    }
+
+    async function readMeta() {
+        try {
+            return JSON.parse(await fs.readFile(metaFile, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return { schemaVersion: 0 };
+            throw new StorageError(`meta.json bozuk: ${error.message}`, 'meta');
+        }
+    }
+
+    // migrations: [{ version, description, up(tx) }] — sürüm sırasıyla, bir kez uygulanır
+    async function migrate(migrations) {
+        const meta = await readMeta();
+        const pending = migrations
+            .filter(m => m.version > meta.schemaVersion)
+            .sort((a, b) => a.version - b.version);
+
+        for (const migration of pending) {
+            await transaction(collections, tx => migration.up(tx));
+            meta.schemaVersion = migration.version;
+            meta.migratedAt = new Date().toISOString();
+            await fs.writeFile(metaFile, JSON.stringify(meta, null, 2));
+            console.log(`🔧 Migration ${migration.version}: ${migration.description}`);
+        }
+
+        return meta.schemaVersion;
+    }
+
+    // Tüm koleksiyonların tutarlı kopyası (devam eden yazmalar beklenir)
+    async function dump() {
+        return withLocks(collections, async () => {
+            const data = {};
+            for (const name of collections) data[name] = await load(name);
+            return { schemaVersion: (await readMeta()).schemaVersion, collections: data };
+        });
+    }
+
+    // Tüm koleksiyonları verilen kayıtlarla tek seferde değiştir (yedekten dönüş); eksik koleksiyon boşalır
+    async function replaceAll(data, schemaVersion) {
+        return withLocks(collections, async () => {
+            await commit(Object.fromEntries(collections.map(name => [name, data[name] || []])));
+            const meta = await readMeta();
+            Object.assign(meta, { schemaVersion, restoredAt: new Date().toISOString() });
+            await fs.writeFile(metaFile, JSON.stringify(meta, null, 2));
+        });
+    }
+
+    // Diske yazmadan, bellekteki bir veri kümesine fromVersion'dan sonraki migration'ları uygula.
+    // { schemaVersion, collections } döner
+    async function migrateData(data, fromVersion, migrations) {
+        const tx = Object.fromEntries(collections.map(name => [name, new Repository(data[name] || [])]));
+        Object.defineProperty(tx, 'afterCommit', { value: () => {} });
+
+        let schemaVersion = fromVersion;
+        const pending = migrations.filter(m => m.version > fromVersion).sort((a, b) => a.version - b.version);
+        for (const migration of pending) {
+            await migration.up(tx);
+            schemaVersion = migration.version;
+        }
+        return { schemaVersion, collections: Object.fromEntries(collections.map(name => [name, tx[name].all()])) };
+    }
+
+    async function init() {
+        await fs.mkdir(dir, { recursive: true });
+        await recover();
+        // Açılışta tüm koleksiyonları doğrula; bozuk dosya varsa hemen dur
+        for (const name of collections) await load(name);
+    }
+
+    const db = {
+        init,
+        migrate,
+        transaction,
+        dump,
+        replaceAll,
+        migrateData,
+        collections,
+        schemaVersion: async () => (await readMeta()).schemaVersion
+    };
+    collections.forEach(name => { db[name] = collection(name); });
+    return db;
+}
+
+module.exports = { createStorage, Repository, StorageError };
@@ -0,0 +1,172 @@
+// Seri (streak) servisi: günler öğrencinin kendi saat dilimindeki takvim günüdür.
+// Bir gün, asgari çalışma eşiği (dakika veya soru sayısı) aşılınca "çalışılmış" sayılır.
+// Boş geçen günler stoktaki seri dondurucularla (freeze) kapanır; dondurulan gün seriyi
+// korur ama uzatmaz. Sadece giriş yapmak seriyi etkilemez.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TIMEZONE = 'Europe/Istanbul';
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Öğrencinin saat dilimine göre "YYYY-MM-DD"
+function localDay(now, timezone) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone || DEFAULT_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(now);
+}
+
+// Öğrencinin saat dilimindeki saat (0-23)
+function localHour(now, timezone) {
+    return Number(new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone || DEFAULT_TIMEZONE,
+        hour: '2-digit',
+        hourCycle: 'h23'
+    }).format(now));
+}
+
+function addDays(day, count) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + count);
+    return date.toISOString().slice(0, 10);
+}
+
+// Öğrencinin saat diliminde günün başladığı an (yaz saati geçişi de hesaba katılır)
+function startOfDay(day, timezone) {
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || DEFAULT_TIMEZONE,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    });
+    // Verilen anda saat diliminin UTC'den farkı (ms)
+    const offsetAt = time => {
+        const parts = Object.fromEntries(format.formatToParts(time).map(({ type, value }) => [type, Number(value)]));
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(time / 1000) * 1000;
+    };
+    const midnight = Date.parse(`${day}T00:00:00Z`);
+    return new Date(midnight - offsetAt(midnight - offsetAt(midnight)));
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+function dayId(studentId, day) {
+    return `${studentId}:${day}`;
+}
+
+function newDay(studentId, day) {
+    return { id: dayId(studentId, day), studentId, day, minutes: 0, questions: 0, qualified: false, frozen: false };
+}
+
+// rules: scoring.rules.streak ({ minMinutes, minQuestions, ... })
+function isQualified(entry, rules) {
+    return entry.minutes >= rules.minMinutes || entry.questions >= rules.minQuestions;
+}
+
+// Gün eşiği ilk kez aşıldığında seriyi ilerlet; aradaki boş günler dondurucu yetiyorsa kapanır
+function advance(repo, user, day) {
+    // Saat dilimi geriye alındıysa aynı gün iki kez sayılmasın
+    if (user.lastStudyDate && user.lastStudyDate >= day) return [];
+
+    const missed = user.lastStudyDate ? daysBetween(user.lastStudyDate, day) - 1 : Infinity;
+    const frozenDays = [];
+
+    if (missed === 0) {
+        user.streak += 1;
+    } else if (missed <= user.streakFreezes) {
+        for (let i = 1; i <= missed; i++) {
+            const frozen = addDays(user.lastStudyDate, i);
+            const entry = repo.findById(dayId(user.id, frozen)) || repo.insert(newDay(user.id, frozen));
+            entry.frozen = true;
+            frozenDays.push(frozen);
+        }
+        user.streakFreezes -= missed;
+        user.streak += 1;
+    } else {
+        user.streak = 1;
+    }
+
+    user.lastStudyDate = day;
+    user.bestStreak = Math.max(user.bestStreak || 0, user.streak);
+    return frozenDays;
+}
+
+// Çalışmayı öğrencinin bugünkü kaydına ekle (repo: studyDays deposu, user yerinde değişir).
+// { day, qualifiedNow, frozenDays } döner
+function record(repo, user, { minutes = 0, questions = 0 }, rules, now = new Date()) {
+    const day = localDay(now, user.timezone);
+    const entry = repo.findById(dayId(user.id, day)) || repo.insert(newDay(user.id, day));
+    entry.minutes += minutes;
+    entry.questions += questions;
+
+    if (entry.qualified || !isQualified(entry, rules)) return { day, qualifiedNow: false, frozenDays: [] };
+
+    entry.qualified = true;
+    return { day, qualifiedNow: true, frozenDays: advance(repo, user, day) };
+}
+
+// Anlık seri durumu: son çalışılan günden bu yana boşluk dondurucularla kapanmıyorsa seri 0 görünür
+// (kayıt bir sonraki çalışmada güncellenir)
+function status(user, todayEntry, rules, now = new Date()) {
+    const today = localDay(now, user.timezone);
+    const missed = user.lastStudyDate ? Math.max(0, daysBetween(user.lastStudyDate, today) - 1) : null;
+    const alive = missed !== null && missed <= (user.streakFreezes || 0);
+
+    return {
+        today,
+        timezone: user.timezone || DEFAULT_TIMEZONE,
+        streak: alive ? user.streak : 0,
+        bestStreak: user.bestStreak || 0,
+        studiedToday: user.lastStudyDate === today,
+        // Seri sürerse bir sonraki çalışmada harcanacak dondurucu
+        freezesAtRisk: alive ? missed : 0,
+        freezes: user.streakFreezes || 0,
+        todayMinutes: todayEntry ? todayEntry.minutes : 0,
+        todayQuestions: todayEntry ? todayEntry.questions : 0,
+        minMinutes: rules.minMinutes,
+        minQuestions: rules.minQuestions
+    };
+}
+
+// Isı haritası: bugünden geriye days gün, kaydı olmayan günler sıfırla doldurulur
+function history(entries, user, days, now = new Date()) {
+    const today = localDay(now, user.timezone);
+    const byDay = Object.fromEntries(entries.map(e => [e.day, e]));
+    return Array.from({ length: days }, (_, i) => {
+        const day = addDays(today, i - days + 1);
+        const { minutes = 0, questions = 0, qualified = false, frozen = false } = byDay[day] || {};
+        return { day, minutes, questions, qualified, frozen };
+    });
+}
+
+// Dondurucu satın alınabilir mi? Hata mesajı veya null
+function validateFreezePurchase(user, spendable, rules) {
+    if ((user.streakFreezes || 0) >= rules.maxFreezes) return `En fazla ${rules.maxFreezes} dondurucu tutulabilir`;
+    if (spendable < rules.freezeCost) return 'Yetersiz puan';
+    return null;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    localDay,
+    localHour,
+    addDays,
+    daysBetween,
+    startOfDay,
+    record,
+    status,
+    history,
+    validateFreezePurchase
+};
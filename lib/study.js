@@ -0,0 +1,159 @@
+// Çalışma oturumları (serbest ya da Pomodoro): süre istemciden alınmaz, sunucu başlat/duraklat/
+// devam/bitir zamanlarını kaydeder. Doğrulanmış dakika molalar ve duraklamalar hariç çalışılan
+// süredir; oturum başına üst sınırla kırpılır. Unutulan oturumlar (sınırı aşan ya da uzun süre
+// duraklatılmış) ilk okumada kendiliğinden kapanır.
+
+const { v4: uuidv4 } = require('uuid');
+
+const MINUTE_MS = 60 * 1000;
+
+const TARGET_TYPES = { task: 'Görev', topic: 'Konu', book: 'Kitap' };
+const MODES = { free: 'Serbest', pomodoro: 'Pomodoro' };
+const PHASES = { focus: 'Odak', break: 'Mola', longBreak: 'Uzun mola' };
+
+// target: { type, id, label, subject } ya da null; pomodoro: rules.study.pomodoro + öğrencinin ayarları.
+// completionId: göreve bağlı oturumda görevin açık çalışması (süre görevde tekrar sayılmaz)
+function newSession(studentId, { target = null, mode = 'free', pomodoro = null, completionId = null }, now = new Date()) {
+    return {
+        id: uuidv4(),
+        studentId,
+        target,
+        completionId,
+        mode,
+        pomodoro: mode === 'pomodoro' ? pomodoro : null,
+        status: 'running',
+        // Sayacın çalıştığı aralıklar; duraklatma aralığı kapatır
+        segments: [{ start: now.toISOString(), end: null }],
+        startedAt: now.toISOString(),
+        pausedAt: null,
+        stoppedAt: null,
+        stopReason: null,
+        focusMinutes: 0,
+        breakMinutes: 0,
+        creditedMinutes: 0,
+        points: 0
+    };
+}
+
+// Pomodoro ayarları: sayılar pozitif tam sayı olmalı; hata mesajı veya null
+function validatePomodoro(pomodoro) {
+    const fields = ['focusMinutes', 'breakMinutes', 'longBreakMinutes', 'cyclesBeforeLongBreak'];
+    const invalid = fields.find(field => !(Number.isInteger(pomodoro[field]) && pomodoro[field] > 0 && pomodoro[field] <= 180));
+    return invalid ? 'Pomodoro süreleri 1-180 arası tam sayı olmalı' : null;
+}
+
+function runningMs(session, now = new Date()) {
+    return session.segments.reduce((sum, segment) =>
+        sum + (new Date(segment.end || now) - new Date(segment.start)), 0);
+}
+
+// Pomodoro döngüsünde geçen süreyi odak/mola olarak böl; şu anki evre ve kalan süre
+function pomodoroAt(pomodoro, elapsedMs) {
+    const focus = pomodoro.focusMinutes * MINUTE_MS;
+    let rest = elapsedMs;
+    let focusMs = 0;
+    let breakMs = 0;
+
+    for (let cycle = 1; ; cycle++) {
+        const pause = (cycle % pomodoro.cyclesBeforeLongBreak === 0 ? pomodoro.longBreakMinutes : pomodoro.breakMinutes) * MINUTE_MS;
+        if (rest < focus) {
+            return { focusMs: focusMs + rest, breakMs, phase: 'focus', cycle, phaseLeftMs: focus - rest };
+        }
+        focusMs += focus;
+        rest -= focus;
+        if (rest < pause) {
+            return { focusMs, breakMs: breakMs + rest, phase: cycle % pomodoro.cyclesBeforeLongBreak === 0 ? 'longBreak' : 'break', cycle, phaseLeftMs: pause - rest };
+        }
+        breakMs += pause;
+        rest -= pause;
+    }
+}
+
+// rules: scoring.rules.study. Oturumun anlık durumu (oturum sınırıyla kırpılmış)
+function snapshot(session, rules, now = new Date()) {
+    const capMs = rules.maxSessionMinutes * MINUTE_MS;
+    const elapsedMs = Math.min(runningMs(session, now), capMs);
+    const cycle = session.mode === 'pomodoro'
+        ? pomodoroAt(session.pomodoro, elapsedMs)
+        : { focusMs: elapsedMs, breakMs: 0, phase: 'focus', cycle: null, phaseLeftMs: null };
+
+    return {
+        ...session,
+        elapsedMs,
+        focusMs: cycle.focusMs,
+        breakMs: cycle.breakMs,
+        phase: cycle.phase,
+        cycle: cycle.cycle,
+        phaseLeftMs: cycle.phaseLeftMs,
+        remainingMs: capMs - elapsedMs,
+        serverNow: now.toISOString()
+    };
+}
+
+function pause(session, now = new Date()) {
+    if (session.status !== 'running') return 'Oturum çalışmıyor';
+    session.segments[session.segments.length - 1].end = now.toISOString();
+    session.status = 'paused';
+    session.pausedAt = now.toISOString();
+    return null;
+}
+
+function resume(session, now = new Date()) {
+    if (session.status !== 'paused') return 'Oturum duraklatılmamış';
+    session.segments.push({ start: now.toISOString(), end: null });
+    session.status = 'running';
+    session.pausedAt = null;
+    return null;
+}
+
+// Oturumu kapat, doğrulanmış dakikaları hesapla (kredilendirme sunucuda yapılır)
+function stop(session, rules, now = new Date(), reason = 'manual') {
+    if (session.status === 'stopped') return 'Oturum zaten bitti';
+    if (session.status === 'running') session.segments[session.segments.length - 1].end = now.toISOString();
+
+    const state = snapshot(session, rules, now);
+    Object.assign(session, {
+        status: 'stopped',
+        pausedAt: null,
+        stoppedAt: now.toISOString(),
+        stopReason: reason,
+        focusMinutes: Math.floor(state.focusMs / MINUTE_MS),
+        breakMinutes: Math.floor(state.breakMs / MINUTE_MS)
+    });
+    return null;
+}
+
+// Unutulan oturumu kapat: süre sınırı dolduysa sınırın dolduğu anda, uzun duraklatmada duraklatıldığı anda.
+// Kapandıysa true
+function expire(session, rules, now = new Date()) {
+    if (session.status === 'running') {
+        const overMs = runningMs(session, now) - rules.maxSessionMinutes * MINUTE_MS;
+        if (overMs < 0) return false;
+        stop(session, rules, new Date(now.getTime() - overMs), 'limit');
+        return true;
+    }
+    if (session.status === 'paused' && now - new Date(session.pausedAt) >= rules.maxPauseMinutes * MINUTE_MS) {
+        stop(session, rules, new Date(session.pausedAt), 'idle');
+        return true;
+    }
+    return false;
+}
+
+// Günlük sınır: bugün kredilendirilmiş dakikalarla birlikte maxDailyMinutes aşılmaz
+function creditableMinutes(session, creditedToday, rules) {
+    return Math.max(0, Math.min(session.focusMinutes, rules.maxDailyMinutes - creditedToday));
+}
+
+module.exports = {
+    TARGET_TYPES,
+    MODES,
+    PHASES,
+    newSession,
+    validatePomodoro,
+    snapshot,
+    pause,
+    resume,
+    stop,
+    expire,
+    creditableMinutes
+};
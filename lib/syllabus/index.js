@@ -0,0 +1,171 @@
+const msu = require('./msu.json');
+const { normalizeText, similarity } = require('../questions');
+
+// Müfredat kataloğu: ders → ünite → konu. Kayıtlar düz tutulur:
+// { id, type: 'subject' | 'unit' | 'topic', name, parentId, subjectId, order, ... }
+// Konu ID'leri kalıcıdır; isim değişse de soru, görev ve analizler ID ile bağlı kalır.
+
+const NODE_TYPES = ['subject', 'unit', 'topic'];
+const PARENT_TYPES = { unit: 'subject', topic: 'unit' };
+
+// Serbest metin konu adlarını eşlemek için en düşük benzerlik
+const FUZZY_THRESHOLD = 0.75;
+
+function slugify(text) {
+    const map = { ç: 'c', ğ: 'g', ı: 'i', ö: 'o', ş: 's', ü: 'u', â: 'a', î: 'i', û: 'u' };
+    return String(text)
+        .toLocaleLowerCase('tr-TR')
+        .replace(/[çğıöşüâîû]/g, ch => map[ch])
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Yeni kaydın ID'si: ders için ad, ünite ve konu için "ders.ad"
+function nodeId(type, name, subjectId) {
+    return type === 'subject' ? slugify(name) : `${subjectId}.${type === 'unit' ? 'unite-' : ''}${slugify(name)}`;
+}
+
+// msu.json'daki iç içe yapıyı düz kayıtlara çevir
+function seedNodes(source = msu) {
+    const nodes = [];
+    const now = new Date().toISOString();
+
+    source.subjects.forEach((subject, subjectOrder) => {
+        const subjectId = nodeId('subject', subject.name);
+        nodes.push({
+            id: subjectId,
+            type: 'subject',
+            name: subject.name,
+            parentId: null,
+            subjectId,
+            section: subject.section,
+            order: subjectOrder,
+            createdAt: now
+        });
+
+        subject.units.forEach((unit, unitOrder) => {
+            const unitId = nodeId('unit', unit.name, subjectId);
+            nodes.push({ id: unitId, type: 'unit', name: unit.name, parentId: subjectId, subjectId, order: unitOrder, createdAt: now });
+
+            unit.topics.forEach((topic, topicOrder) => {
+                nodes.push({
+                    id: nodeId('topic', topic.name, subjectId),
+                    type: 'topic',
+                    name: topic.name,
+                    parentId: unitId,
+                    subjectId,
+                    order: topicOrder,
+                    weight: topic.weight,
+                    prerequisites: (topic.requires || []).map(name => nodeId('topic', name, subjectId)),
+                    createdAt: now
+                });
+            });
+        });
+    });
+
+    return nodes;
+}
+
+function byOrder(a, b) {
+    return a.order - b.order || a.name.localeCompare(b.name, 'tr');
+}
+
+function buildTree(nodes) {
+    const children = parentId => nodes.filter(n => n.parentId === parentId).sort(byOrder);
+
+    return children(null).map(subject => ({
+        ...subject,
+        units: children(subject.id).map(unit => ({ ...unit, topics: children(unit.id) }))
+    }));
+}
+
+function findSubject(nodes, subject) {
+    const wanted = normalizeText(subject);
+    return nodes.find(n => n.type === 'subject' && (n.id === subject || normalizeText(n.name) === wanted)) || null;
+}
+
+// topicId ya da ders + konu adıyla konuyu bul; fuzzy ise yakın yazımları da kabul et
+function resolveTopic(nodes, { topicId, subject, topic }, { fuzzy = false } = {}) {
+    if (topicId) return nodes.find(n => n.type === 'topic' && n.id === topicId) || null;
+
+    const subjectNode = findSubject(nodes, subject);
+    if (!subjectNode || !topic) return null;
+
+    const topics = nodes.filter(n => n.type === 'topic' && n.subjectId === subjectNode.id);
+    const wanted = normalizeText(topic);
+    const exact = topics.find(n => normalizeText(n.name) === wanted);
+    if (exact || !fuzzy) return exact || null;
+
+    // "Rasyonel Sayılarda İşlemler" gibi konu adını içeren metinler
+    const contained = topics
+        .filter(n => wanted.includes(normalizeText(n.name)))
+        .sort((a, b) => b.name.length - a.name.length)[0];
+    if (contained) return contained;
+
+    let best = null;
+    topics.forEach(n => {
+        const score = similarity(n.name, topic);
+        if (score >= FUZZY_THRESHOLD && (!best || score > best.score)) best = { node: n, score };
+    });
+    return best ? best.node : null;
+}
+
+// Kayıtlarda tutulan ders/konu adları (görüntüleme için)
+function labelsOf(nodes, topicNode) {
+    const subject = nodes.find(n => n.id === topicNode.subjectId);
+    return { topicId: topicNode.id, subject: subject ? subject.name : null, topic: topicNode.name };
+}
+
+function hasCycle(nodes, startId, prerequisites) {
+    const requiresOf = id => (id === startId ? prerequisites : (nodes.find(n => n.id === id) || {}).prerequisites || []);
+    const visiting = new Set();
+
+    function visit(id) {
+        if (id === startId && visiting.size > 0) return true;
+        if (visiting.has(id)) return false;
+        visiting.add(id);
+        return requiresOf(id).some(visit);
+    }
+    return visit(startId);
+}
+
+// Kayıt kontrolü; hata listesi döner. nodes: kaydın kendisi hariç mevcut katalog
+function validateNode(node, nodes) {
+    const errors = [];
+
+    if (!NODE_TYPES.includes(node.type)) errors.push('Geçersiz tür');
+    if (!node.name || !String(node.name).trim()) errors.push('İsim gerekli');
+
+    if (PARENT_TYPES[node.type]) {
+        const parent = nodes.find(n => n.id === node.parentId);
+        if (!parent || parent.type !== PARENT_TYPES[node.type]) errors.push('Üst kayıt bulunamadı');
+    }
+
+    if (node.type === 'topic') {
+        if (node.weight !== undefined && !(typeof node.weight === 'number' && node.weight >= 0)) {
+            errors.push('Soru ağırlığı 0 veya pozitif bir sayı olmalı');
+        }
+        const prerequisites = node.prerequisites || [];
+        if (!Array.isArray(prerequisites)) {
+            errors.push('Ön koşullar liste olmalı');
+        } else if (prerequisites.some(id => id === node.id || !nodes.some(n => n.id === id && n.type === 'topic'))) {
+            errors.push('Ön koşullar mevcut başka konular olmalı');
+        } else if (node.id && hasCycle(nodes, node.id, prerequisites)) {
+            errors.push('Ön koşullar döngü oluşturuyor');
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    NODE_TYPES,
+    slugify,
+    nodeId,
+    seedNodes,
+    buildTree,
+    findSubject,
+    resolveTopic,
+    labelsOf,
+    validateNode
+};
@@ -2,100 +2,153 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const auth = require('./lib/auth');
+const { createStorage } = require('./lib/storage');
+const { COLLECTIONS } = require('./lib/collections');
+const migrations = require('./lib/migrations');
+const { createAIClient, AIError, schemas } = require('./lib/ai');
+const questionBank = require('./lib/questions');
+const exams = require('./lib/exams');
+const review = require('./lib/review');
+const { createScoring } = require('./lib/scoring');
+const mastery = require('./lib/mastery');
+const syllabus = require('./lib/syllabus');
+const calendar = require('./lib/calendar');
+const programs = require('./lib/programs');
+const replan = require('./lib/replan');
+const ledger = require('./lib/ledger');
+const rewards = require('./lib/rewards');
+const achievements = require('./lib/achievements');
+const character = require('./lib/character');
+const streaks = require('./lib/streaks');
+const books = require('./lib/books');
+const study = require('./lib/study');
+const studentReport = require('./lib/report');
+const notifications = require('./lib/notifications');
+const backup = require('./lib/backup');
+const figures = require('./lib/figures');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
 
-// Gemini API için fetch kullanacağız (Google'ın resmi kütüphanesi yerine)
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent';
+// AI sağlayıcısı: AI_PROVIDER=gemini|openai|mock (bkz. lib/ai)
+const ai = createAIClient();
+const scoring = createScoring();
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
+// Dosya yükleyen uçlar (soru içe aktarma, şekil, yedek) gövdeyi kendi ayrıştırıcılarıyla daha yüksek
+// sınırla okur; genel ayrıştırıcılar (100kb) onlara dokunmaz
+const UPLOAD_PATHS = ['/api/admin/questions/import', '/api/admin/figures', '/api/admin/restore', '/api/admin/students/import'];
+const unlessUpload = parser => (req, res, next) => (UPLOAD_PATHS.includes(req.path) ? next() : parser(req, res, next));
+app.use(unlessUpload(bodyParser.json()));
+app.use(unlessUpload(bodyParser.urlencoded({ extended: true })));
 app.use(express.static('public'));
 
+// Async uçlarda fırlayan hatalar (örn. StorageError) süreci düşürmesin, en sondaki hata yakalayıcıya gitsin
+const route = handler => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
 // Veritabanı
 const DB_DIR = './data';
-const DB = {
-    users: path.join(DB_DIR, 'users.json'),
-    programs: path.join(DB_DIR, 'programs.json'),
-    tasks: path.join(DB_DIR, 'tasks.json'),
-    rewards: path.join(DB_DIR, 'rewards.json'),
-    books: path.join(DB_DIR, 'books.json'),
-    questions: path.join(DB_DIR, 'questions.json'),
-    claims: path.join(DB_DIR, 'claims.json')
-};
+const db = createStorage(DB_DIR, COLLECTIONS);
+
+// Canlı bildirim akışına bağlı istemciler
+const hub = notifications.createHub();
+
+// Otomatik anlık görüntüler ve soru şekilleri veri klasörünün içinde tutulur
+const snapshots = backup.createSnapshotStore(path.join(DB_DIR, 'snapshots'));
+const figureStore = figures.createFigureStore(path.join(DB_DIR, 'figures'));
 
 // ==================== YARDIMCI FONKSİYONLAR ====================
 
 async function initDB() {
-    try {
-        await fs.mkdir(DB_DIR, { recursive: true });
-        
-        for (const file of Object.values(DB)) {
-            try {
-                await fs.access(file);
-            } catch {
-                await fs.writeFile(file, JSON.stringify([], null, 2));
-            }
-        }
+    await db.init();
+    await db.migrate(migrations);
+    await pruneNotifications();
+    hub.init(await db.notifications.all());
+    await figureStore.prune(new Set((await db.questions.all()).flatMap(questionBank.figuresOf)));
 
-        // Varsayılan kullanıcılar
-        const users = await readFile(DB.users);
-        
+    // Varsayılan kullanıcılar
+    await db.transaction(['users'], async ({ users }) => {
         if (!users.find(u => u.username === 'baba')) {
-            users.push({
+            users.insert({
                 id: uuidv4(),
                 username: 'baba',
-                password: 'admin123',
+                passwordHash: await auth.hashPassword('admin123'),
+                mustChangePassword: true,
                 role: 'admin',
                 name: 'Baba',
                 createdAt: new Date().toISOString()
             });
         }
         
+        const parent = users.find(u => u.role === 'admin');
+        
         if (!users.find(u => u.username === 'ogrenci')) {
-            users.push({
-                id: uuidv4(),
+            users.insert(createStudent({
                 username: 'ogrenci',
-                password: '123456',
-                role: 'student',
-                name: 'Öğrenci',
-                points: 0,
-                level: 1,
-                totalStudyTime: 0,
-                streak: 0,
-                lastStudyDate: null,
-                completedTasks: [],
-                pendingRewards: [],
-                weakTopics: [],
-                createdAt: new Date().toISOString()
-            });
+                passwordHash: await auth.hashPassword('123456'),
+                mustChangePassword: true,
+                parentId: parent.id,
+                name: 'Öğrenci'
+            }));
         }
-        
-        await writeFile(DB.users, users);
-        console.log('✅ Veritabanı hazır');
-    } catch (error) {
-        console.error('Veritabanı hatası:', error);
-    }
+    });
+
+    console.log('✅ Veritabanı hazır');
 }
 
-async function readFile(filePath) {
-    try {
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch {
-        return [];
-    }
+const EXAM_TYPES = calendar.EXAM_TYPES;
+
+// Yeni öğrenci kaydı: profil alanları + oyun durumu
+function createStudent({ username, passwordHash, mustChangePassword = false, parentId, name, targetExam, dailyHours, weakTopics, timezone }) {
+    return {
+        id: uuidv4(),
+        username,
+        passwordHash,
+        mustChangePassword,
+        role: 'student',
+        parentId,
+        name,
+        active: true,
+        targetExam: targetExam || 'MSÜ',
+        // Veli belirli bir sınav oturumu seçmediyse hedef sınav türünün sıradaki oturumu kullanılır
+        targetExamId: null,
+        dailyHours: dailyHours || 4,
+        // Seri günleri bu saat diliminin takvim günleridir (bkz. lib/streaks)
+        timezone: timezone || streaks.DEFAULT_TIMEZONE,
+        // Bakiye özeti; asıl kaynak puan defteri (ledger)
+        points: 0,
+        heldPoints: 0,
+        // Seviye özeti (bkz. lib/character): genel seviye, unvan, ders → beceri seviyesi
+        level: 1,
+        title: character.titleFor(1),
+        skills: {},
+        totalStudyTime: 0,
+        streak: 0,
+        bestStreak: 0,
+        streakFreezes: 0,
+        // Son çalışılan gün ("YYYY-MM-DD", öğrencinin saat diliminde)
+        lastStudyDate: null,
+        completedTasks: [],
+        weakTopics: weakTopics || [],
+        createdAt: new Date().toISOString()
+    };
 }
 
-async function writeFile(filePath, data) {
-    await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+// Profil alanlarını doğrula; hata mesajı veya null döner
+function validateStudentProfile({ name, targetExam, dailyHours, weakTopics, timezone }) {
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) return 'İsim boş olamaz';
+    if (targetExam !== undefined && !EXAM_TYPES.includes(targetExam)) return 'Geçersiz hedef sınav';
+    if (dailyHours !== undefined) {
+        const hours = Number(dailyHours);
+        if (!Number.isFinite(hours) || hours <= 0 || hours > 16) return 'Günlük çalışma 0-16 saat arasında olmalı';
+    }
+    if (weakTopics !== undefined && !Array.isArray(weakTopics)) return 'Zayıf konular liste olmalı';
+    if (timezone !== undefined && !streaks.isValidTimezone(timezone)) return 'Geçersiz saat dilimi (örn. Europe/Istanbul)';
+    return null;
 }
 
 function getLocalIP() {
@@ -111,44 +164,84 @@ function getLocalIP() {
     return 'localhost';
 }
 
-// ==================== GEMINI AI FONKSİYONLARI ====================
+// ==================== KİMLİK DOĞRULAMA ====================
 
-async function generateWithGemini(prompt) {
-    try {
-        const response = await fetch(`${GEMINI_API_URL}?key=${GEMINI_API_KEY}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                contents: [{
-                    parts: [{
-                        text: prompt
-                    }]
-                }],
-                generationConfig: {
-                    temperature: 0.7,
-                    maxOutputTokens: 2000,
-                }
-            })
-        });
+// Şifre değiştirmesi gereken kullanıcının açabileceği uçlar (/api altındaki yollar)
+const PASSWORD_CHANGE_PATHS = ['/account/password', '/me', '/logout'];
 
-        const data = await response.json();
-        
-        if (data.error) {
-            console.error('Gemini API Hatası:', data.error);
-            return null;
+// Oturum token'ını doğrula ve req.user'a kullanıcıyı yerleştir
+async function requireAuth(req, res, next) {
+    // EventSource başlık gönderemediği için bildirim akışı token'ı sorgu parametresinden de alır
+    const token = auth.getTokenFromRequest(req, { allowQuery: req.path === '/notifications/stream' });
+    if (!token) return res.status(401).json({ message: 'Oturum açmanız gerekiyor' });
+
+    const session = await db.sessions.find(s => s.token === token);
+
+    if (!session || auth.isSessionExpired(session)) {
+        return res.status(401).json({ message: 'Oturum süresi doldu, tekrar giriş yapın' });
+    }
+
+    const user = await db.users.findById(session.userId);
+    if (!user || user.active === false) return res.status(401).json({ message: 'Kullanıcı bulunamadı' });
+
+    // Varsayılan veya sıfırlanmış şifreyle açılan oturumda şifre değişene kadar başka işlem yapılamaz
+    if (user.mustChangePassword && !PASSWORD_CHANGE_PATHS.includes(req.path)) {
+        return res.status(403).json({ message: 'Devam etmek için önce şifreni değiştirmelisin' });
+    }
+
+    req.user = user;
+    req.session = session;
+    next();
+}
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user || req.user.role !== role) {
+            return res.status(403).json({ message: 'Bu işlem için yetkiniz yok' });
         }
+        next();
+    };
+}
 
-        return data.candidates[0].content.parts[0].text;
-    } catch (error) {
-        console.error('Gemini API Hatası:', error);
-        return null;
+// Öğrencinin kendisi veya bağlı olduğu veli erişebilir
+function canAccessStudent(user, student) {
+    if (!student || student.role !== 'student') return false;
+    if (student.active === false && user.role !== 'admin') return false;
+    if (user.id === student.id) return true;
+    return user.role === 'admin' && student.parentId === user.id;
+}
+
+// Öğrenci kendi id'sini, veli ise kendi çocuğunun id'sini kullanır
+async function resolveStudentId(user, requestedId) {
+    if (user.role === 'student') return user.id;
+    const student = requestedId ? await db.users.findById(requestedId) : null;
+    return canAccessStudent(user, student) ? student.id : null;
+}
+
+async function requireStudentAccess(req, res, next) {
+    const student = await db.users.findById(req.params.id);
+
+    if (!student) return res.status(404).json({ message: 'Kullanıcı bulunamadı' });
+    if (!canAccessStudent(req.user, student)) {
+        return res.status(403).json({ message: 'Bu öğrenciye erişim yetkiniz yok' });
+    }
+    next();
+}
+
+// ==================== AI FONKSİYONLARI ====================
+
+// AI hatalarını logla; çağıranlar null/yedek değerle devam eder
+function logAIError(label, error) {
+    if (error instanceof AIError) {
+        console.error(`${label} (${error.code}):`, error.message, error.details || '');
+    } else {
+        console.error(label, error);
     }
 }
 
 // MSÜ Odaklı Soru Üretme
-async function generateMSUQuestion(subject, topic, difficulty) {
+// topic: müfredat konusu etiketleri { topicId, subject, topic }
+async function generateMSUQuestion({ topicId, subject, topic }, difficulty) {
     const difficultyDesc = {
         1: "Temel kavramlar, doğrudan formül/kural uygulama",
         2: "2-3 adımlı düşünme, kavram birleştirme",
@@ -164,6 +257,15 @@ MSÜ SORU ÖZELLİKLERİ:
 - 4 şık (A,B,C,D), doğru cevap rastgele yerleştirilmiş
 - JSON formatında döndür
 
+MATEMATİKSEL GÖSTERİM (soru, şıklar, açıklama ve formülde):
+- Matematik ifadelerini $...$ arasına yaz, ayrı satırda gösterilecekse $$...$$ kullan
+- Kesir \\frac{a}{b}, kök \\sqrt{x} veya \\sqrt[3]{x}, üs x^{2}, alt simge a_{n}
+- Kimyasal formüller alt/üst simgeyle: $H_2SO_4$, $Fe^{3+}$, tepkime oku \\rightarrow
+- Semboller: \\cdot \\times \\div \\pm \\leq \\geq \\neq \\approx \\pi \\Delta \\theta \\infty \\degree
+- JSON metninde ters eğik çizgi iki kez yazılır: "$\\\\frac{1}{2}$"
+- Düz metin için $ kullanma; para birimini TL yaz
+- Şekil/grafik ekleyemezsin: soruyu şekil gerektirmeyecek biçimde kur
+
 JSON FORMATI:
 {
     "question": "Soru metni...",
@@ -174,36 +276,53 @@ JSON FORMATI:
     "msuTip": "MSÜ'de dikkat edilmesi gereken nokta"
 }`;
 
-    const content = await generateWithGemini(prompt);
-    if (!content) return null;
-
     try {
-        // JSON'ı temizle ve parse et
-        const jsonStr = content.replace(/```json\n?|\n?```/g, '').trim();
-        const question = JSON.parse(jsonStr);
+        const question = await ai.generateJSON(prompt, schemas.question, {
+            task: 'question',
+            context: { subject, topic },
+            temperature: 0.8
+        });
 
         return {
             id: uuidv4(),
             ...question,
+            topicId,
             subject,
             topic,
             difficulty: parseInt(difficulty),
             examType: 'MSÜ',
-            source: 'Gemini-AI',
+            source: questionBank.AI_SOURCES[ai.provider],
+            aiProvider: ai.provider,
+            status: 'draft',
+            reports: [],
             createdAt: new Date().toISOString()
         };
     } catch (error) {
-        console.error('JSON parse hatası:', error);
+        logAIError('Soru üretilemedi', error);
         return null;
     }
 }
 
 // MSÜ Odaklı Program Oluşturma
-async function generateMSUProgram(subject, weakTopics, dailyHours, daysLeft) {
-    const prompt = `MSÜ sınavına ${daysLeft} gün kalan bir öğrenci için ${subject} dersinde yoğunlaştırılmış çalışma programı oluştur.
+// countdown: öğrencinin sunucu takviminden gelen geri sayımı (yoksa null)
+async function generateMSUProgram(subject, weakTopics, dailyHours, countdown) {
+    const nodes = await db.syllabus.all();
+    const subjectNode = syllabus.findSubject(nodes, subject);
+    const topics = subjectNode
+        ? nodes.filter(n => n.type === 'topic' && n.subjectId === subjectNode.id).map(n => n.name)
+        : [];
+    const examName = countdown ? countdown.name : 'MSÜ';
+    const days = programDays(countdown);
+    const remaining = countdown ? `${countdown.daysLeft} gün` : 'Belirtilmedi';
+
+    const prompt = `${examName} sınavına ${remaining} kalan bir öğrenci için ${subject} dersinde ${days} günlük yoğunlaştırılmış çalışma programı oluştur.
+
+MÜFREDAT KONULARI (görevlerin "topic" alanı bu listeden seçilmeli):
+${topics.join(', ') || 'Belirtilmedi'}
 
 ÖĞRENCİ PROFİLİ:
-- Kalan Süre: ${daysLeft} gün
+- Kalan Süre: ${remaining}
+- Hazırlık Dönemi: ${countdown ? countdown.phase.label : 'Belirtilmedi'}
 - Zayıf Konular: ${weakTopics.join(', ') || 'Belirtilmedi'}
 - Günlük Çalışma: ${dailyHours} saat
 - Hedef: MSÜ'de başarılı olmak
@@ -213,8 +332,9 @@ MSÜ STRATEJİSİ:
 2. Her gün mutlaka soru çözümü olsun
 3. Tekrar ve pekiştirme süreleri ekle
 4. Son günler genel tekrar ve deneme
+5. Hazırlık dönemine uygun ol (temel hazırlıkta konu anlatımı, son haftada deneme ve tekrar)
 
-HAFTALIK PROGRAM (JSON):
+${days} GÜNLÜK PROGRAM (JSON, schedule tam ${days} gün):
 {
     "programName": "MSÜ ${subject} Yoğun Programı",
     "description": "Kısa sürede maksimum verim için AI destekli program",
@@ -240,548 +360,3354 @@ HAFTALIK PROGRAM (JSON):
     "examTips": ["MSÜ ipucu 1", "ipucu 2"]
 }`;
 
-    const content = await generateWithGemini(prompt);
-    if (!content) return null;
+    try {
+        return await ai.generateJSON(prompt, schemas.program, {
+            task: 'program',
+            context: { subject, focus: weakTopics[0] || topics[0] || 'Genel' },
+            temperature: 0.6,
+            maxTokens: 4000
+        });
+    } catch (error) {
+        logAIError('Program oluşturulamadı', error);
+        return null;
+    }
+}
+
+// Haftalık yeniden planlama: gerçekleşen performansa göre önümüzdeki günlerin görevleri
+async function generateReplan(program, analysis, unfinished, { countdown, days, dailyHours }) {
+    const nodes = await db.syllabus.all();
+    const subjectNode = syllabus.findSubject(nodes, program.subject);
+    const topics = subjectNode
+        ? nodes.filter(n => n.type === 'topic' && n.subjectId === subjectNode.id).map(n => n.name)
+        : [];
+    const list = items => items.join(', ') || 'Yok';
+    const summary = `Tamamlama %${analysis.completionRate ?? '-'}, ${analysis.missed} kaçırılan, ${analysis.overdue} gecikmiş görev`;
+
+    const prompt = `Bir öğrencinin ${program.subject} çalışma programını önümüzdeki ${days} gün için yeniden planla.
+
+MÜFREDAT KONULARI (görevlerin "topic" alanı bu listeden seçilmeli):
+${list(topics)}
+
+GERÇEKLEŞEN PERFORMANS:
+- Programın ${analysis.currentDay}. günü
+- ${summary}
+- Yükselen konular: ${list(analysis.improving)}
+- Düşen konular: ${list(analysis.declining)}
+- Zayıf konular: ${list(analysis.weak)}
+- Yapılmamış görevler (sistem bunları ayrıca haftaya dağıtacak, tekrar ekleme): ${list(unfinished.map(t => `${t.title} (${t.topic})`))}
+- Sınav: ${countdown ? `${countdown.name}, ${countdown.daysLeft} gün kaldı (${countdown.phase.label})` : 'Belirtilmedi'}
+- Günlük çalışma: ${dailyHours} saat (yapılmamış görevlerin süresini de hesaba kat)
+
+KURALLAR:
+1. Düşen ve zayıf konulara ağırlık ver, yükselen konularda sadece tekrar yap
+2. Tamamlama oranı düşükse günlük yükü azalt
+3. Her gün soru çözümü olsun
+
+JSON:
+{
+    "summary": "Bu hafta neyin neden değiştiği (1-2 cümle)",
+    "adjustments": ["Değişiklik 1", "Değişiklik 2"],
+    "schedule": [
+        {
+            "day": "Gün 1",
+            "focus": "Odak konu",
+            "tasks": [
+                { "title": "Görev adı", "type": "video/question/theory", "duration": 45, "topic": "Konu", "points": 50, "resource": "Önerilen kaynak" }
+            ]
+        }
+    ]
+}`;
 
     try {
-        const jsonStr = content.replace(/```json\n?|\n?```/g, '').trim();
-        return JSON.parse(jsonStr);
+        return await ai.generateJSON(prompt, schemas.replan, {
+            task: 'replan',
+            context: {
+                subject: program.subject,
+                focus: analysis.declining[0] || analysis.weak[0] || topics[0] || 'Genel',
+                summary
+            },
+            temperature: 0.5,
+            maxTokens: 3000
+        });
     } catch (error) {
-        console.error('Program parse hatası:', error);
+        logAIError('Yeniden planlama yapılamadı', error);
         return null;
     }
 }
 
 // Motivasyon Mesajı
-async function getGeminiMotivation(studentName, level, streak, isSuccess, daysLeft) {
-    const prompt = `MSÜ'ye ${daysLeft} gün kaldı. Öğrenciye kısa motivasyon mesajı yaz:
+async function getGeminiMotivation(studentName, level, streak, isSuccess, countdown) {
+    const examName = countdown ? countdown.exam : 'MSÜ';
+    const remaining = countdown ? `${countdown.daysLeft} gün` : 'Belirtilmedi';
+    const prompt = `${examName}'ye ${remaining} kaldı. Öğrenciye kısa motivasyon mesajı yaz:
 - İsim: ${studentName}
 - Seviye: ${level}
 - Streak: ${streak} gün üst üste çalışma
 - Son durum: ${isSuccess ? 'Başarılı' : 'Başarısız'}
-- Kalan süre: ${daysLeft} gün
+- Kalan süre: ${remaining}
+- Hazırlık dönemi: ${countdown ? countdown.phase.label : 'Belirtilmedi'}
 
 2 cümle, gaza getirici, askeri disiplin vurgusu yap, emoji kullan.`;
 
-    const content = await generateWithGemini(prompt);
-    return content || (isSuccess ? "Harika ilerliyorsun! MSÜ senin olacak! 🎯" : "Pes yok! Disiplinle devam! 💪");
-}
-
-// ==================== API ROUTES ====================
-
-// Giriş
-app.post('/api/login', async (req, res) => {
-    const { username, password } = req.body;
-    const users = await readFile(DB.users);
-    const user = users.find(u => u.username === username && u.password === password);
-
-    if (!user) {
-        return res.status(401).json({ success: false, message: 'Hatalı giriş bilgileri' });
-    }
-
-    if (user.role === 'student' && user.lastStudyDate) {
-        const last = new Date(user.lastStudyDate);
-        const today = new Date();
-        const diffDays = Math.floor((today - last) / (1000 * 60 * 60 * 24));
-        
-        if (diffDays > 1) {
-            user.streak = 0;
-            const idx = users.findIndex(u => u.id === user.id);
-            users[idx] = user;
-            await writeFile(DB.users, users);
-        }
+    try {
+        return await ai.generateText(prompt, {
+            task: 'motivation',
+            temperature: 0.9,
+            maxTokens: 200,
+            timeoutMs: 8000,
+            retries: 0
+        });
+    } catch (error) {
+        logAIError('Motivasyon mesajı alınamadı', error);
+        return isSuccess ? "Harika ilerliyorsun! MSÜ senin olacak! 🎯" : "Pes yok! Disiplinle devam! 💪";
     }
+}
 
-    res.json({ success: true, user: { ...user, password: undefined } });
-});
-
-// Öğrenci Bilgisi
-app.get('/api/student/:id', async (req, res) => {
-    const users = await readFile(DB.users);
-    const user = users.find(u => u.id === req.params.id);
-    if (!user) return res.status(404).json({ message: 'Kullanıcı bulunamadı' });
-    res.json({ ...user, password: undefined });
-});
-
-// Tüm kullanıcılar (Admin için)
-app.get('/api/admin/users', async (req, res) => {
-    const users = await readFile(DB.users);
-    res.json(users.map(u => ({ ...u, password: undefined })));
-});
+// Veli raporuna kısa yorum: motivasyon mesajındaki bilgiler + raporun özeti. Hata olursa null (rapor yorumsuz döner)
+async function getGeminiReportComment(report, streak, countdown) {
+    const s = report.summary;
+    const weakest = report.topics.filter(t => t.answered >= 5).sort((a, b) => a.accuracy - b.accuracy).slice(0, 3);
+    const prompt = `Bir ${countdown ? countdown.exam : 'MSÜ'} adayının ${report.from} - ${report.to} çalışma raporunu veliye yorumla:
+- İsim: ${report.student.name}
+- Seviye: ${report.student.level}
+- Streak: ${streak} gün (aralık başında ${s.streakStart}, sonunda ${s.streakEnd})
+- Kalan süre: ${countdown ? `${countdown.daysLeft} gün` : 'Belirtilmedi'}
+- Hazırlık dönemi: ${countdown ? countdown.phase.label : 'Belirtilmedi'}
+- Toplam çalışma: ${s.totalMinutes} dakika, ${s.activeDays}/${report.days.length} gün aktif
+- Derslere göre: ${report.subjects.map(x => `${x.subject} ${x.minutes} dk`).join(', ') || 'yok'}
+- Görevler: planlanan ${s.tasksPlanned}, yapılan ${s.tasksPlannedCompleted}
+- Soru: ${s.answered}, doğruluk ${s.accuracy === null ? '-' : `%${s.accuracy}`}, net ${s.net}
+- En zayıf konular: ${weakest.map(t => `${t.subject}/${t.topic} %${t.accuracy}`).join(', ') || 'yok'}
+- Denemeler: ${report.exams.map(e => `${e.name} ${e.totalNet} net`).join(', ') || 'yok'}
 
-// GEMINI ile Soru Üret
-app.post('/api/ai/generate-question', async (req, res) => {
-    const { subject, topic, difficulty } = req.body;
-    
-    if (!subject || !topic || !difficulty) {
-        return res.status(400).json({ message: 'Eksik bilgi' });
-    }
+3-4 cümle, veliye hitap et, güçlü yönü ve önümüzdeki hafta için tek somut öneriyi yaz. Emoji kullanma.`;
 
-    const question = await generateMSUQuestion(subject, topic, parseInt(difficulty));
-    
-    if (!question) {
-        return res.status(500).json({ message: 'Soru üretilemedi' });
+    try {
+        return await ai.generateText(prompt, {
+            task: 'report',
+            context: { name: report.student.name, minutes: s.totalMinutes, weakest: weakest.length ? weakest[0].topic : 'Genel' },
+            temperature: 0.6,
+            maxTokens: 400,
+            timeoutMs: 15000,
+            retries: 0
+        });
+    } catch (error) {
+        logAIError('Rapor yorumu alınamadı', error);
+        return null;
     }
+}
 
-    const questions = await readFile(DB.questions);
-    questions.push(question);
-    await writeFile(DB.questions, questions);
-
-    res.json({ success: true, question });
-});
+// Program bildiriminin içeriği
+function programPayload(program) {
+    return { programId: program.id, name: program.name, subject: program.subject, aiGenerated: program.aiGenerated };
+}
 
-// GEMINI ile Program Oluştur
-app.post('/api/ai/generate-program', async (req, res) => {
-    const { subject, weakTopics, dailyHours, daysLeft } = req.body;
-    
-    const aiData = await generateMSUProgram(subject, weakTopics || [], dailyHours || 4, daysLeft || 7);
-    
-    if (!aiData) {
-        return res.status(500).json({ message: 'Program oluşturulamadı' });
-    }
+// AI programını ve görevlerini tek transaction'da kaydet (actorId: programı oluşturan kullanıcı)
+async function saveAIProgram(studentId, subject, aiData, countdown, { startDate, actorId } = {}) {
+    const nodes = await db.syllabus.all();
+    const subjectNode = syllabus.findSubject(nodes, subject);
 
-    const programs = await readFile(DB.programs);
     const program = {
         id: uuidv4(),
+        studentId,
         name: aiData.programName,
         subject,
+        subjectId: subjectNode ? subjectNode.id : null,
         description: aiData.description,
         strategy: aiData.strategy,
-        isActive: true,
         aiGenerated: true,
-        examType: 'MSÜ',
-        daysLeft: daysLeft || 7,
+        examType: countdown ? countdown.exam : 'MSÜ',
+        // Oluşturulduğu andaki takvim bilgisi (sadece bilgi; aciliyet her seferinde takvimden hesaplanır)
+        examId: countdown ? countdown.examId : null,
+        daysLeft: countdown ? countdown.daysLeft : null,
         schedule: aiData.schedule,
         totalPoints: aiData.totalPoints,
         examTips: aiData.examTips,
         createdAt: new Date().toISOString()
     };
-    
-    programs.push(program);
-    await writeFile(DB.programs, programs);
 
-    // Görevleri de kaydet
-    const tasks = await readFile(DB.tasks);
-    aiData.schedule.forEach((day, index) => {
-        day.tasks.forEach(task => {
-            tasks.push({
-                id: uuidv4(),
-                programId: program.id,
-                title: task.title,
-                type: task.type,
-                topic: task.topic,
-                duration: task.duration,
-                basePoints: task.points,
-                day: day.day,
-                dayNumber: index + 1,
-                resource: task.resource,
-                createdAt: new Date().toISOString()
+    await db.transaction(['programs', 'tasks', 'enrollments', 'users', 'notifications'], tx => {
+        const student = tx.users.findById(studentId);
+        tx.programs.insert(program);
+        tx.enrollments.insert(programs.newEnrollment(studentId, program.id, { startDate, timezone: student.timezone }));
+        notify(tx, 'program.assigned', student, programPayload(program), actorId);
+        aiData.schedule.forEach((day, index) => {
+            day.tasks.forEach(task => {
+                // AI'nin yazdığı konu adını katalogdaki konuya eşle
+                const topic = syllabus.resolveTopic(nodes, { subject, topic: task.topic }, { fuzzy: true });
+                tx.tasks.insert({
+                    id: uuidv4(),
+                    programId: program.id,
+                    title: task.title,
+                    type: task.type,
+                    topicId: topic ? topic.id : null,
+                    topic: topic ? topic.name : task.topic,
+                    duration: task.duration,
+                    basePoints: task.points,
+                    day: day.day,
+                    dayNumber: index + 1,
+                    resource: task.resource,
+                    createdAt: new Date().toISOString()
+                });
             });
         });
     });
-    await writeFile(DB.tasks, tasks);
-
-    res.json({ success: true, program });
-});
 
-// Aktif Programlar
-app.get('/api/programs/active', async (req, res) => {
-    const programs = await readFile(DB.programs);
-    const active = programs.filter(p => p.isActive);
-    res.json(active);
-});
+    return program;
+}
 
-// Programın Görevleri
-app.get('/api/tasks/program/:programId', async (req, res) => {
-    const tasks = await readFile(DB.tasks);
-    const programTasks = tasks.filter(t => t.programId === req.params.programId);
-    res.json(programTasks);
-});
+// Soruyu doğrula, aynı konuda benzeri varsa onu döndür, yoksa bankaya ekle
+async function addQuestionToBank(question) {
+    const errors = questionBank.validateQuestion(question);
+    if (errors.length > 0) return { errors };
 
-// AI Soruları Getir
-app.get('/api/questions/ai', async (req, res) => {
-    const { subject, difficulty, limit = 5 } = req.query;
-    let questions = await readFile(DB.questions);
-    
-    if (subject) questions = questions.filter(q => q.subject === subject);
-    if (difficulty) questions = questions.filter(q => q.difficulty == difficulty);
-    
-    questions = questions.filter(q => q.source === 'Gemini-AI');
-    
-    if (questions.length < limit) {
-        const topics = {
-            'Matematik': ['Sayı Basamakları', 'Bölme ve Bölünebilme', 'Rasyonel Sayılar', 'Ondalık Sayılar'],
-            'Fizik': ['Madde ve Özellikleri', 'Hareket', 'Kuvvet', 'Enerji'],
-            'Kimya': ['Kimya Bilimi', 'Atom', 'Periyodik Sistem', 'Kimyasal Türler']
-        };
-        
-        const sub = subject || 'Matematik';
-        const topic = topics[sub] ? topics[sub][Math.floor(Math.random() * topics[sub].length)] : 'Genel';
-        const diff = difficulty || Math.floor(Math.random() * 3) + 1;
-        
-        const newQ = await generateMSUQuestion(sub, topic, diff);
-        if (newQ) {
-            const all = await readFile(DB.questions);
-            all.push(newQ);
-            await writeFile(DB.questions, all);
-            questions.push(newQ);
-        }
-    }
-    
-    const shuffled = questions.sort(() => 0.5 - Math.random());
-    res.json(shuffled.slice(0, parseInt(limit)));
-});
+    return db.transaction(['questions'], ({ questions }) => {
+        const duplicate = questionBank.findNearDuplicate(question, questions.all());
+        if (duplicate) return { question: duplicate.question, duplicate: true, similarity: duplicate.score };
 
-// Soru Çözüm Kontrolü
-app.post('/api/questions/check', async (req, res) => {
-    const { questionId, answer } = req.body;
-    const questions = await readFile(DB.questions);
-    const question = questions.find(q => q.id === questionId);
-    
-    if (!question) return res.status(404).json({ message: 'Soru bulunamadı' });
-    
-    const isCorrect = answer === question.correctIndex;
-    res.json({
-        correct: isCorrect,
-        correctAnswer: question.correctIndex,
-        explanation: question.explanation,
-        formula: question.formula,
-        msuTip: question.msuTip,
-        points: isCorrect ? question.difficulty * 2 : 0
+        questions.insert(question);
+        return { question };
     });
-});
+}
 
-// Görev Tamamlama
-app.post('/api/tasks/complete', async (req, res) => {
-    const { userId, taskId, duration, netCount, correct, topic, daysLeft } = req.body;
-    
-    const users = await readFile(DB.users);
-    const idx = users.findIndex(u => u.id === userId);
-    
-    if (idx === -1) return res.status(404).json({ message: 'Kullanıcı bulunamadı' });
-    
-    const user = users[idx];
-    
-    let points = 0;
-    if (netCount) points += netCount * 3;
-    if (duration) points += Math.floor(duration / 10);
-    if (correct) points += 5;
-    
-    const tasks = await readFile(DB.tasks);
-    const task = tasks.find(t => t.id === taskId);
-    if (task?.difficulty) points = Math.floor(points * task.difficulty);
-    
-    // MSÜ yaklaştıkça puan çarpanı (son günler daha değerli)
-    const urgencyMultiplier = daysLeft ? (1 + (7 - Math.min(daysLeft, 7)) * 0.1) : 1;
-    points = Math.floor(points * urgencyMultiplier);
-    
-    user.points += points;
-    user.totalStudyTime += duration || 0;
-    user.completedTasks.push({
-        taskId,
-        topic: topic || 'Genel',
-        correct: correct || false,
-        points,
-        duration: duration || 0,
-        completedAt: new Date().toISOString()
-    });
-    
-    const today = new Date().toDateString();
-    const last = user.lastStudyDate ? new Date(user.lastStudyDate).toDateString() : null;
-    if (last !== today) {
-        user.streak = (user.streak || 0) + 1;
-        user.lastStudyDate = new Date().toISOString();
-    }
-    
-    const newLevel = Math.floor(user.points / 500) + 1;
-    const leveledUp = newLevel > user.level;
-    user.level = newLevel;
-    
-    if (topic && !correct) {
-        if (!user.weakTopics) user.weakTopics = [];
-        if (!user.weakTopics.includes(topic)) user.weakTopics.push(topic);
-    }
-    
-    users[idx] = user;
-    await writeFile(DB.users, users);
-    
-    const motivation = await getGeminiMotivation(user.name, user.level, user.streak, correct, daysLeft || 7);
-    
-    res.json({
-        success: true,
-        pointsEarned: points,
-        totalPoints: user.points,
-        newLevel: user.level,
-        leveledUp,
-        streak: user.streak,
-        motivation
-    });
-});
+// Öğrenciye giden soruda inceleme verisi olmasın; cevabı ele veren alanlar sadece
+// yöneticiye gider, öğrenci/veli bunları deneme kaydedildikten sonra /check'ten alır
+function publicQuestion(question, user) {
+    const { reports, reviewNote, reviewedBy, ...rest } = question;
+    if (user && user.role === 'admin') return rest;
+    const { correctIndex, explanation, formula, msuTip, ...open } = rest;
+    return open;
+}
 
-// Ödüller
-app.get('/api/rewards', async (req, res) => {
-    const rewards = await readFile(DB.rewards);
-    res.json(rewards);
-});
+// Cevabı öğrencinin geçmişine yaz, tekrar kartını ve konu hakimiyetini güncelle.
+// tx: 'attempts', 'reviews' ve 'mastery' koleksiyonlarını içeren transaction.
+// Dönen event başarım/görev sayaçları içindir (bkz. emitEvents); aynı sorunun tekrarları
+// sayaçlarda sayılmaz (firstAttempt)
+function recordAttempt(tx, studentId, question, { answer, durationMs, source, taskId }, now = new Date()) {
+    const correct = answer === question.correctIndex;
+    const quality = review.qualityOf(correct, durationMs);
+    const firstAttempt = !tx.attempts.find(a => a.studentId === studentId && a.questionId === question.id);
 
-app.post('/api/admin/rewards', async (req, res) => {
-    const { name, cost, description, icon } = req.body;
-    
-    const rewards = await readFile(DB.rewards);
-    rewards.push({
+    tx.attempts.insert({
         id: uuidv4(),
-        name,
-        cost: parseInt(cost),
-        description,
-        icon: icon || '🎁',
-        createdAt: new Date().toISOString()
+        studentId,
+        questionId: question.id,
+        topicId: question.topicId || null,
+        subject: question.subject,
+        topic: question.topic,
+        answer,
+        correct,
+        durationMs: durationMs || null,
+        source,
+        taskId: taskId || null,
+        answeredAt: now.toISOString()
     });
-    
-    await writeFile(DB.rewards, rewards);
-    res.json({ success: true });
-});
 
-// Ödül Talep
-app.post('/api/rewards/claim', async (req, res) => {
-    const { userId, rewardId } = req.body;
-    
-    const users = await readFile(DB.users);
-    const rewards = await readFile(DB.rewards);
-    
-    const userIdx = users.findIndex(u => u.id === userId);
-    const reward = rewards.find(r => r.id === rewardId);
-    
-    if (userIdx === -1 || !reward) {
-        return res.status(404).json({ message: 'Bulunamadı' });
-    }
+    let card = tx.reviews.findById(`${studentId}:${question.id}`);
+    if (!card && review.shouldEnqueue(quality)) card = tx.reviews.insert(review.newCard(studentId, question, now));
+    if (card) review.schedule(card, quality, now);
+
+    // Hakimiyeti serbest alıştırmada aynı sorunun tekrarı değiştirmez; zamanı sunucuca
+    // belirlenen tekrar kartı ve deneme cevapları her zaman işlenir
+    const before = tx.mastery.findById(mastery.keyOf(studentId, question));
+    const wasWeak = Boolean(before) && mastery.summarize(before, now).weak;
+    const record = firstAttempt || source === 'review' || source === 'exam'
+        ? mastery.apply(tx.mastery, studentId, question, correct, now)
+        : before;
+
+    const event = {
+        type: 'answer',
+        subject: question.subject,
+        topic: question.topic,
+        correct,
+        firstAttempt,
+        clearedWeak: wasWeak && !mastery.summarize(record, now).weak
+    };
+    return { correct, quality, card, event };
+}
+
+// Oyun durumuna (başarım, görev, seri, bildirim) dokunan transaction'ların koleksiyonları
+const GAME_COLLECTIONS = ['achievements', 'quests', 'questProgress', 'rewards', 'studyDays', 'notifications'];
+
+// Veli görevi öğrenciye açık mı? (studentIds boşsa velinin tüm çocuklarına)
+function isQuestFor(quest, student) {
+    return quest.active && quest.parentId === student.parentId &&
+        (quest.studentIds.length === 0 || quest.studentIds.includes(student.id));
+}
+
+// Başarım ve görev panosu olaylarını işle: sayaçlar ilerler, açılan rozet ve biten
+// görevlerin puanı deftere yazılır. before: transaction başındaki character.snapshot(user);
+// sonuçta seviye atlamaları ve yeni seviyeyle açılan ödüller de döner.
+// tx: GAME_COLLECTIONS ve 'ledger' içeren transaction
+function emitEvents(tx, user, before, events, now = new Date()) {
+    const profile = tx.achievements.findById(user.id) || tx.achievements.insert(achievements.newProfile(user.id, now));
+    const quests = achievements.activeQuests(user, tx.quests.filter(q => isQuestFor(q, user)), now);
+
+    const badges = [];
+    const completed = [];
+    [...events, { type: 'streak', streak: user.streak || 0 }].forEach(event => {
+        badges.push(...achievements.record(profile, event, now));
+        completed.push(...achievements.advanceQuests(tx.questProgress, user.id, quests, event, now));
+    });
+
+    badges.forEach(badge => postPoints(tx, user, 'earn', badge.points, {
+        reason: `Rozet: ${badge.name}`,
+        source: { type: 'badge', id: badge.key }
+    }, now));
+    completed.forEach(quest => postPoints(tx, user, 'earn', quest.points, {
+        reason: `Görev panosu: ${quest.title}`,
+        source: { type: 'quest', id: quest.key, periodKey: quest.periodKey },
+        subject: quest.subject
+    }, now));
+
+    const unlockedRewards = user.level > before.level
+        ? tx.rewards.filter(r => isRewardVisibleTo(r, user) && r.enabled && r.minLevel > before.level && r.minLevel <= user.level)
+        : [];
+
+    const levelUps = character.levelUps(before, character.snapshot(user));
+    if (levelUps.length > 0) notify(tx, 'level.up', user, { levelUps, level: user.level, title: user.title }, user.id, now);
+
+    return {
+        badges: badges.map(({ key, icon, name, points }) => ({ key, icon, name, points })),
+        quests: completed.map(({ key, title, points }) => ({ key, title, points })),
+        levelUps,
+        rewards: unlockedRewards.map(({ id, icon, name }) => ({ id, icon, name }))
+    };
+}
+
+// Bildirim akışına olay yaz (tx: 'notifications' içeren transaction); transaction yazılınca bağlı
+// istemcilere iletilir. actorId: olayı tetikleyen kullanıcı (ona gönderilmez)
+function notify(tx, type, student, payload, actorId = null, now = new Date()) {
+    const event = tx.notifications.insert(notifications.newEvent(type, student, payload, { seq: hub.nextSeq(), actorId }, now));
+    tx.afterCommit(() => hub.publish(event));
+    return event;
+}
+
+// Puan hareketini deftere yaz, kullanıcıdaki bakiye ve seviye özetini defterden yeniden hesapla.
+// tx: 'ledger' içeren transaction, user: aynı transaction'daki kayıt (yerinde değişir). Seviye atladıysa true
+function postPoints(tx, user, type, amount, details = {}, now = new Date()) {
+    if (amount <= 0) return false;
+    tx.ledger.insert(ledger.newEntry(user.id, type, amount, details, now));
+
+    const before = user.level;
+    const entries = tx.ledger.filter(e => e.studentId === user.id);
+    const summary = ledger.summarize(entries);
+    user.points = summary.balance;
+    user.heldPoints = summary.held;
+    character.refresh(user, entries, summary.earned, scoring);
+    return user.level > before;
+}
+
+// İstemciye giden kullanıcı: öğrencinin serisi bugüne göre (kopmuşsa 0) gösterilir
+function userView(user, now = new Date()) {
+    const view = auth.publicUser(user);
+    if (user.role === 'student') view.streak = streaks.status(user, null, scoring.rules.streak, now).streak;
+    return view;
+}
+
+// Çalışmayı öğrencinin gün kaydına işle, gün eşiği aşıldıysa seriyi ilerlet (kullanıcı yerinde değişir).
+// tx: 'studyDays' içeren transaction (GAME_COLLECTIONS içinde)
+function recordStudy(tx, user, activity, now = new Date()) {
+    return streaks.record(tx.studyDays, user, activity, scoring.rules.streak, now);
+}
+
+// Kitap oturumunu kaydet: ilerleme kitaba işlenir, yeni ilerleme puanı deftere yazılır (awardPoints).
+// Süre bağlı çalışma oturumundan (studySession) gelir, orada kredilendirilmiştir.
+// tx: 'books', 'bookSessions', 'ledger' içeren transaction. { session } veya { error } döner
+function logBookSession(tx, user, book, input, { taskId = null, studySession = null, awardPoints = true } = {}, now = new Date()) {
+    const { session, error } = books.parseSession(book, input);
+    if (error) return { error };
     
-    if (users[userIdx].points < reward.cost) {
-        return res.status(400).json({ message: 'Yetersiz puan' });
-    }
+    session.minutes = studySession ? studySession.creditedMinutes : 0;
+    session.studySessionId = studySession ? studySession.id : null;
+    const gained = books.applySession(book, session, now);
+    const points = awardPoints ? scoring.scoreBookSession(gained) : 0;
     
-    const claim = {
+    const record = tx.bookSessions.insert({
         id: uuidv4(),
-        userId,
-        rewardId,
-        rewardName: reward.name,
-        cost: reward.cost,
-        status: 'pending',
-        requestedAt: new Date().toISOString()
-    };
-    
-    if (!users[userIdx].pendingRewards) users[userIdx].pendingRewards = [];
-    users[userIdx].pendingRewards.push(claim);
-    await writeFile(DB.users, users);
+        bookId: book.id,
+        studentId: user.id,
+        ...session,
+        gained,
+        points,
+        taskId,
+        loggedAt: now.toISOString()
+    });
+    postPoints(tx, user, 'earn', points, {
+        reason: `Kitap: ${book.title}`,
+        source: { type: 'book', id: book.id, sessionId: record.id },
+        subject: book.subject || null
+    }, now);
+    book.updatedAt = now.toISOString();
+    return { session: record };
+}
+
+// Bitmiş çalışma oturumunu kredilendir: günlük sınır içindeki odak dakikaları toplam süreye,
+// seriye, görev panosuna ve puana (oturumun dersine) işlenir.
+// tx: 'users', 'ledger', 'studySessions' ve GAME_COLLECTIONS içeren transaction; emitEvents sonucunu döner
+function creditStudySession(tx, user, session, now = new Date()) {
+    const rules = scoring.rules.study;
+    const stoppedAt = new Date(session.stoppedAt);
+    const day = streaks.localDay(stoppedAt, user.timezone);
+    const creditedToday = tx.studySessions
+        .filter(s => s.studentId === user.id && s.id !== session.id && s.creditedDay === day)
+        .reduce((sum, s) => sum + s.creditedMinutes, 0);
     
-    const claims = await readFile(DB.claims);
-    claims.push(claim);
-    await writeFile(DB.claims, claims);
+    const before = character.snapshot(user);
+    const minutes = study.creditableMinutes(session, creditedToday, rules);
+    Object.assign(session, { creditedMinutes: minutes, creditedDay: day, points: scoring.scoreStudy(minutes) });
     
-    res.json({ success: true, message: 'Talep gönderildi! Baban onaylayacak.', claim });
-});
+    user.totalStudyTime = (user.totalStudyTime || 0) + minutes;
+    postPoints(tx, user, 'earn', session.points, {
+        reason: `Çalışma: ${session.target ? session.target.label : 'Serbest çalışma'} (${minutes} dk)`,
+        source: { type: 'study', id: session.id },
+        subject: session.target ? session.target.subject : null
+    }, now);
+    recordStudy(tx, user, { minutes }, stoppedAt);
+    return emitEvents(tx, user, before, [{ type: 'study', minutes }], now);
+}
 
-// Admin: Bekleyen Talepler
-app.get('/api/admin/claims', async (req, res) => {
-    const claims = await readFile(DB.claims);
-    const users = await readFile(DB.users);
-    
-    const pending = claims
-        .filter(c => c.status === 'pending')
-        .map(c => {
-            const user = users.find(u => u.id === c.userId);
-            return {
+// Öğrencinin açık oturumu; unutulmuşsa kapatılıp kredilendirilir (kapandıysa null döner)
+function activeStudySession(tx, user, now = new Date()) {
+    const session = tx.studySessions.find(s => s.studentId === user.id && s.status !== 'stopped');
+    if (!session || !study.expire(session, scoring.rules.study, now)) return session || null;
+    creditStudySession(tx, user, session, now);
+    return null;
+}
+
+// Program üretimi için zayıf konular: hakimiyet modeli + velinin belirttiği odak konular
+async function programWeakTopics(student, subject) {
+    const records = await db.mastery.filter(m => m.studentId === student.id);
+    return [...new Set([...mastery.weakTopics(records, { subject }), ...(student.weakTopics || [])])];
+}
+
+// Öğrencinin hedef sınavına geri sayım; takvimde oturum yoksa null
+async function studentCountdown(student, now = new Date()) {
+    const entry = calendar.targetFor(await db.calendar.all(), student, now);
+    return entry ? calendar.countdown(entry, now, student.timezone) : null;
+}
+
+// Program uzunluğu: en fazla bir hafta, sınava daha az gün kaldıysa o kadar
+function programDays(countdown) {
+    return countdown ? Math.min(7, Math.max(1, countdown.daysLeft)) : 7;
+}
+
+// Görev öğrencinin kayıtlı olduğu programa ait mi? { task, program, enrollment } ya da null
+async function findStudentTask(taskId, studentId) {
+    const task = await db.tasks.findById(taskId);
+    if (!task || !task.programId) return null;
+    const program = await db.programs.findById(task.programId);
+    const enrollment = await db.enrollments.findById(programs.enrollmentId(studentId, task.programId));
+    if (!program || !enrollment) return null;
+    return { task, program, enrollment };
+}
+
+// Veli paneli için görevi bul (velinin çocuğuna ait programda olmalı)
+async function findAdminTask(user, taskId) {
+    const task = await db.tasks.findById(taskId);
+    const program = task && await db.programs.findById(task.programId);
+    if (!program || !canAccessStudent(user, await db.users.findById(program.studentId))) return null;
+    return task;
+}
+
+// Öğrencinin tamamladığı görev ID'leri
+async function completedTaskIds(studentId, programId) {
+    const runs = await db.completions.filter(c =>
+        c.studentId === studentId && c.programId === programId && c.status === 'completed');
+    return new Set(runs.map(c => c.taskId));
+}
+
+// Program + kayıt durumu + ilerleme
+async function programView(enrollment, now = new Date()) {
+    const program = await db.programs.findById(enrollment.programId);
+    const student = await db.users.findById(enrollment.studentId);
+    const programTasks = await db.tasks.filter(t => t.programId === enrollment.programId);
+    const completed = await completedTaskIds(enrollment.studentId, enrollment.programId);
+    return { ...program, enrollment, progress: programs.progress(programTasks, enrollment, completed, now, student.timezone) };
+}
+
+// Kayıtlı program için yeniden planlama önerisi oluştur (bekleyen eski öneri geçersiz olur).
+// AI cevap vermezse mevcut görevler korunur, sadece yapılmamış işler dağıtılır.
+async function createReplan(enrollment, trigger, now = new Date()) {
+    const program = await db.programs.findById(enrollment.programId);
+    const student = await db.users.findById(enrollment.studentId);
+    const programTasks = await db.tasks.filter(t => t.programId === program.id);
+    const runs = await db.completions.filter(c => c.programId === program.id && c.studentId === student.id);
+    const completedIds = new Set(runs.filter(c => c.status === 'completed').map(c => c.taskId));
+    const startedIds = new Set(runs.filter(c => c.status === 'started').map(c => c.taskId));
+    const summaries = mastery.summarizeAll(
+        await db.mastery.filter(m => m.studentId === student.id && m.subject === program.subject), now);
+    const countdown = await studentCountdown(student, now);
+
+    const timezone = student.timezone;
+    const analysis = replan.analyze({ tasks: programTasks, enrollment, completedIds, summaries, countdown, now, timezone });
+    const unfinished = programTasks.filter(t =>
+        ['overdue', 'missed'].includes(programs.taskStatus(t, enrollment, completedIds.has(t.id) ? 1 : 0, now, timezone)));
+    const days = replan.weekLength(countdown);
+    const dailyHours = student.dailyHours || 4;
+
+    const aiData = await generateReplan(program, analysis, unfinished, { countdown, days, dailyHours });
+    const nodes = await db.syllabus.all();
+    const newTasks = aiData ? aiData.schedule.flatMap((day, dayIndex) => day.tasks.map(task => {
+        const topic = syllabus.resolveTopic(nodes, { subject: program.subject, topic: task.topic }, { fuzzy: true });
+        return {
+            dayIndex,
+            title: task.title,
+            type: task.type,
+            topicId: topic ? topic.id : null,
+            topic: topic ? topic.name : task.topic,
+            duration: task.duration,
+            basePoints: task.points,
+            resource: task.resource || null
+        };
+    })) : [];
+
+    const changes = replan.planWeek({
+        tasks: programTasks,
+        enrollment,
+        completedIds,
+        startedIds,
+        summaries,
+        newTasks,
+        days,
+        dailyMinutes: dailyHours * 60,
+        now,
+        timezone
+    });
+
+    const proposal = {
+        id: uuidv4(),
+        programId: program.id,
+        studentId: student.id,
+        trigger,
+        status: 'pending',
+        aiGenerated: Boolean(aiData),
+        summary: aiData ? aiData.summary : 'AI planı alınamadı; sadece yapılmamış görevler yeniden dağıtıldı.',
+        adjustments: aiData ? aiData.adjustments || [] : [],
+        analysis,
+        changes,
+        createdAt: now.toISOString()
+    };
+
+    await db.transaction(['replans'], ({ replans }) => {
+        replans.filter(r => r.programId === program.id && r.status === 'pending').forEach(r => {
+            r.status = 'superseded';
+            r.decidedAt = now.toISOString();
+        });
+        replans.insert(proposal);
+    });
+    return proposal;
+}
+
+// Öneriyi tarihleriyle göster ("Gün N" → takvim günü)
+async function replanView(proposal) {
+    const enrollment = await db.enrollments.findById(programs.enrollmentId(proposal.studentId, proposal.programId));
+    const program = await db.programs.findById(proposal.programId);
+    const dateOf = dayNumber => (enrollment ? programs.dateOfDay(enrollment, dayNumber) : null);
+    const { added, removed, moved } = proposal.changes;
+    return {
+        ...proposal,
+        programName: program ? program.name : null,
+        changes: {
+            ...proposal.changes,
+            added: added.map(t => ({ ...t, date: dateOf(t.dayNumber) })),
+            removed: removed.map(t => ({ ...t, date: dateOf(t.dayNumber) })),
+            moved: moved.map(t => ({ ...t, fromDate: dateOf(t.from), toDate: dateOf(t.to) }))
+        }
+    };
+}
+
+// Zamanlanmış planlama: son plandan bu yana bir hafta geçen aktif kayıtlar için öneri hazırla
+async function runScheduledReplans(now = new Date()) {
+    const enrollments = await db.enrollments.filter(e => e.status === 'active');
+    for (const enrollment of enrollments) {
+        const history = await db.replans.filter(r => r.programId === enrollment.programId);
+        if (history.some(r => r.status === 'pending')) continue;
+        const last = history.sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+        if (!replan.isReplanDue(enrollment, last, now)) continue;
+
+        try {
+            await createReplan(enrollment, 'schedule', now);
+        } catch (error) {
+            console.error('Zamanlanmış planlama başarısız:', error.message);
+        }
+    }
+}
+
+// ==================== API ROUTES ====================
+
+// Giriş
+app.post('/api/login', route(async (req, res) => {
+    const { username, password } = req.body;
+    const user = await db.users.find(u => u.username === username);
+
+    if (!user || !(await auth.verifyPassword(password, user.passwordHash))) {
+        return res.status(401).json({ success: false, message: 'Hatalı giriş bilgileri' });
+    }
+
+    if (user.active === false) {
+        return res.status(403).json({ success: false, message: 'Hesap devre dışı, velinle görüş' });
+    }
+
+    // Süresi dolmuş oturumları temizle, yenisini aç
+    const session = auth.createSession(user.id);
+    await db.transaction(['sessions'], ({ sessions }) => {
+        sessions.remove(auth.isSessionExpired);
+        sessions.insert(session);
+    });
+
+    res.json({
+        success: true,
+        token: session.token,
+        expiresAt: session.expiresAt,
+        user: auth.publicUser(user)
+    });
+}));
+
+// Giriş ekranı geri sayımı: sınav türünün sıradaki oturumu (oturum gerektirmez; gün varsayılan saat dilimine göre)
+app.get('/api/calendar/next', route(async (req, res) => {
+    const exam = req.query.exam || 'MSÜ';
+    if (!EXAM_TYPES.includes(exam)) return res.status(400).json({ message: 'Geçersiz sınav türü' });
+
+    const entry = calendar.nextEntry(await db.calendar.all(), exam);
+    if (!entry) return res.status(404).json({ message: 'Takvimde yaklaşan oturum yok' });
+    res.json(calendar.countdown(entry));
+}));
+
+// Bundan sonraki tüm API uçları oturum gerektirir
+app.use('/api', route(requireAuth));
+app.use('/api/admin', requireRole('admin'));
+
+// Çıkış
+app.post('/api/logout', route(async (req, res) => {
+    await db.sessions.remove(s => s.token === req.session.token);
+    res.json({ success: true });
+}));
+
+// Oturumdaki kullanıcı
+app.get('/api/me', (req, res) => {
+    res.json(auth.publicUser(req.user));
+});
+
+// Şifre Değiştir
+app.post('/api/account/password', route(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!(await auth.verifyPassword(currentPassword, req.user.passwordHash))) {
+        return res.status(400).json({ message: 'Mevcut şifre hatalı' });
+    }
+
+    const error = auth.validatePassword(newPassword);
+    if (error) return res.status(400).json({ message: error });
+
+    if (newPassword === currentPassword) {
+        return res.status(400).json({ message: 'Yeni şifre eskisiyle aynı olamaz' });
+    }
+
+    const passwordHash = await auth.hashPassword(newPassword);
+    await db.transaction(['users', 'sessions'], ({ users, sessions }) => {
+        users.update(req.user.id, {
+            passwordHash,
+            mustChangePassword: false,
+            passwordChangedAt: new Date().toISOString()
+        });
+        // Diğer cihazlardaki oturumları kapat
+        sessions.remove(s => s.userId === req.user.id && s.token !== req.session.token);
+    });
+
+    res.json({ success: true, message: 'Şifre güncellendi' });
+}));
+
+// Öğrenci Bilgisi
+app.use('/api/student/:id', route(requireStudentAccess));
+
+app.get('/api/student/:id', route(async (req, res) => {
+    const user = await db.users.findById(req.params.id);
+    res.json(userView(user));
+}));
+
+// Tüm kullanıcılar (Admin için)
+app.get('/api/admin/users', route(async (req, res) => {
+    const users = await db.users.filter(u => u.id === req.user.id || u.parentId === req.user.id);
+    res.json(users.map(u => userView(u)));
+}));
+
+// Admin: Öğrenci Ekle
+app.post('/api/admin/students', route(async (req, res) => {
+    const { username, password, name, targetExam, dailyHours, weakTopics, timezone } = req.body;
+
+    if (!username || !name) return res.status(400).json({ message: 'Kullanıcı adı ve isim gerekli' });
+
+    const error = auth.validatePassword(password) || validateStudentProfile({ name, targetExam, dailyHours, weakTopics, timezone });
+    if (error) return res.status(400).json({ message: error });
+
+    const student = createStudent({
+        username,
+        passwordHash: await auth.hashPassword(password),
+        parentId: req.user.id,
+        name: name.trim(),
+        targetExam,
+        dailyHours: dailyHours ? Number(dailyHours) : undefined,
+        weakTopics,
+        timezone
+    });
+
+    const created = await db.transaction(['users'], ({ users }) => {
+        if (users.find(u => u.username === username)) return false;
+        users.insert(student);
+        return true;
+    });
+
+    if (!created) return res.status(409).json({ message: 'Bu kullanıcı adı alınmış' });
+
+    res.json({ success: true, student: auth.publicUser(student) });
+}));
+
+// Admin: Öğrenci Düzenle / Devre Dışı Bırak
+app.put('/api/admin/students/:id', route(async (req, res) => {
+    const { name, targetExam, targetExamId, dailyHours, weakTopics, timezone, active, password } = req.body;
+
+    if (!canAccessStudent(req.user, await db.users.findById(req.params.id))) {
+        return res.status(404).json({ message: 'Öğrenci bulunamadı' });
+    }
+
+    const error = validateStudentProfile({ name, targetExam, dailyHours, weakTopics, timezone })
+        || (password !== undefined ? auth.validatePassword(password) : null);
+    if (error) return res.status(400).json({ message: error });
+
+    // Belirli bir sınav oturumu seçildiyse hedef sınav türü ondan gelir; null seçimi kaldırır
+    const targetEntry = targetExamId ? await db.calendar.findById(targetExamId) : null;
+    if (targetExamId && !targetEntry) return res.status(400).json({ message: 'Sınav oturumu bulunamadı' });
+
+    const passwordHash = password !== undefined ? await auth.hashPassword(password) : null;
+
+    const student = await db.transaction(['users', 'sessions'], ({ users, sessions }) => {
+        const updated = users.update(req.params.id, student => {
+            if (name !== undefined) student.name = name.trim();
+            if (targetExam !== undefined && targetExam !== student.targetExam) {
+                student.targetExam = targetExam;
+                student.targetExamId = null;
+            }
+            if (targetExamId !== undefined) {
+                student.targetExamId = targetEntry ? targetEntry.id : null;
+                if (targetEntry) student.targetExam = targetEntry.exam;
+            }
+            if (dailyHours !== undefined) student.dailyHours = Number(dailyHours);
+            if (weakTopics !== undefined) student.weakTopics = weakTopics;
+            if (timezone !== undefined) student.timezone = timezone;
+            if (active !== undefined) student.active = Boolean(active);
+            if (passwordHash) {
+                student.passwordHash = passwordHash;
+                student.mustChangePassword = true;
+            }
+            student.updatedAt = new Date().toISOString();
+        });
+
+        // Devre dışı kalan veya şifresi sıfırlanan öğrencinin oturumlarını kapat
+        if (active === false || passwordHash) {
+            sessions.remove(s => s.userId === updated.id);
+        }
+        return updated;
+    });
+
+    res.json({ success: true, student: auth.publicUser(student) });
+}));
+
+// Admin: Öğrenci Sil (tüm verisiyle)
+app.delete('/api/admin/students/:id', route(async (req, res) => {
+    const student = await db.users.findById(req.params.id);
+
+    if (!canAccessStudent(req.user, student)) {
+        return res.status(404).json({ message: 'Öğrenci bulunamadı' });
+    }
+
+    if (!await snapshotBefore(res, 'student-delete')) return;
+
+    await db.transaction(Object.keys(backup.STUDENT_RECORDS), tx => backup.removeStudent(tx, student.id));
+
+    res.json({ success: true, message: `${student.name} silindi` });
+}));
+
+// GEMINI ile Soru Üret
+app.post('/api/ai/generate-question', route(async (req, res) => {
+    const { topicId, subject, topic, difficulty } = req.body;
+    
+    if (!(topicId || (subject && topic)) || !difficulty) {
+        return res.status(400).json({ message: 'Eksik bilgi' });
+    }
+    
+    if (!ai.enabled) return res.status(503).json({ message: 'AI sağlayıcısı yapılandırılmamış' });
+    
+    const nodes = await db.syllabus.all();
+    const topicNode = syllabus.resolveTopic(nodes, { topicId, subject, topic });
+    if (!topicNode) return res.status(400).json({ message: 'Konu müfredatta bulunamadı' });
+
+    const question = await generateMSUQuestion(syllabus.labelsOf(nodes, topicNode), parseInt(difficulty));
+    
+    if (!question) {
+        return res.status(500).json({ message: 'Soru üretilemedi' });
+    }
+
+    const result = await addQuestionToBank(question);
+    
+    if (result.errors) {
+        return res.status(422).json({ message: 'Üretilen soru geçersiz', errors: result.errors });
+    }
+    
+    if (result.duplicate && result.question.status === 'rejected') {
+        return res.status(409).json({ message: 'Bu soru daha önce üretilip yayından kaldırılmış, tekrar dene' });
+    }
+    
+    // Öğrenci onaylanmamış soruyu göremez; yeni soru veli onayına düşer
+    if (req.user.role === 'student' && !questionBank.isServable(result.question)) {
+        return res.status(202).json({ success: true, pending: true, message: 'Soru üretildi, velin onayladıktan sonra soru havuzunda görünecek 👍' });
+    }
+
+    res.json({ success: true, question: publicQuestion(result.question, req.user), duplicate: Boolean(result.duplicate) });
+}));
+
+// GEMINI ile Program Oluştur
+app.post('/api/ai/generate-program', route(async (req, res) => {
+    const { subject, weakTopics, dailyHours } = req.body;
+    
+    const studentId = await resolveStudentId(req.user, req.body.studentId);
+    if (!studentId) return res.status(400).json({ message: 'Öğrenci seçilmedi' });
+    const student = await db.users.findById(studentId);
+    const countdown = await studentCountdown(student);
+    
+    const aiData = await generateMSUProgram(
+        subject,
+        weakTopics || await programWeakTopics(student, subject),
+        dailyHours || student.dailyHours || 4,
+        countdown
+    );
+    
+    if (!aiData) {
+        return res.status(500).json({ message: 'Program oluşturulamadı' });
+    }
+
+    const program = await saveAIProgram(studentId, subject, aiData, countdown, { actorId: req.user.id });
+
+    res.json({ success: true, program });
+}));
+
+// Aktif Programlar: devam eden ve duraklatılmış kayıtlar, ilerlemeleriyle
+// (öğrenci kendi programlarını, veli ?studentId ile çocuğununkileri görür)
+app.get('/api/programs/active', route(async (req, res) => {
+    const studentId = await resolveStudentId(req.user, req.query.studentId);
+    const enrollments = await db.enrollments.filter(e => e.studentId === studentId && e.status !== 'archived');
+    res.json(await Promise.all(enrollments.map(e => programView(e))));
+}));
+
+// Öğrencinin tüm programları (arşiv dahil)
+app.get('/api/student/:id/programs', route(async (req, res) => {
+    const enrollments = await db.enrollments.filter(e => e.studentId === req.params.id);
+    const views = await Promise.all(enrollments.map(e => programView(e)));
+    res.json(views.sort((a, b) => b.enrollment.startDate.localeCompare(a.enrollment.startDate)));
+}));
+
+// Programın Görevleri: her görevin tarihi ve durumu (açık, gecikmiş, kaçırıldı, kilitli, tamamlandı)
+app.get('/api/tasks/program/:programId', route(async (req, res) => {
+    const program = await db.programs.findById(req.params.programId);
+    const student = program ? await db.users.findById(program.studentId) : null;
+    const enrollment = student && await db.enrollments.findById(programs.enrollmentId(student.id, program.id));
+    
+    if (!enrollment || !canAccessStudent(req.user, student)) {
+        return res.status(404).json({ message: 'Program bulunamadı' });
+    }
+    
+    const now = new Date();
+    const programTasks = await db.tasks.filter(t => t.programId === req.params.programId);
+    const runs = await db.completions.filter(c => c.programId === program.id && c.studentId === student.id);
+    const studentBooks = await db.books.filter(b => b.studentId === student.id);
+    
+    res.json(programTasks
+        .sort((a, b) => (a.dayNumber || 0) - (b.dayNumber || 0))
+        .map(task => {
+            const taskRuns = runs.filter(c => c.taskId === task.id);
+            const open = taskRuns.find(c => c.status === 'started');
+            const completions = taskRuns.filter(c => c.status === 'completed').length;
+            return {
+                ...task,
+                date: task.dayNumber ? programs.dateOfDay(enrollment, task.dayNumber) : null,
+                status: programs.taskStatus(task, enrollment, completions, now, student.timezone),
+                completions,
+                completionLimit: scoring.completionLimit(task),
+                startedAt: open ? open.startedAt : null,
+                bookTitle: (studentBooks.find(b => b.id === task.bookId) || {}).title || null
+            };
+        }));
+}));
+
+// Soruları Getir: tüm kaynaklardan (AI, elle yazılan, çıkmış, kitap); ?source=past-paper,book ile süzülür.
+// /api/questions/ai eski istemciler için aynı uç
+app.get(['/api/questions', '/api/questions/ai'], route(async (req, res) => {
+    const { subject, topicId, difficulty, limit = 5 } = req.query;
+    const sources = req.query.source ? String(req.query.source).split(',').filter(s => questionBank.SOURCES[s]) : null;
+    if (sources && sources.length === 0) return res.status(400).json({ message: 'Geçersiz kaynak' });
+    let questions = await db.questions.all();
+    
+    if (subject) questions = questions.filter(q => q.subject === subject);
+    if (topicId) questions = questions.filter(q => q.topicId === topicId);
+    if (difficulty) questions = questions.filter(q => q.difficulty == difficulty);
+    if (sources) questions = questions.filter(q => sources.includes(q.source));
+    
+    const drafts = questions.filter(q => q.status === 'draft').length;
+    questions = questions.filter(questionBank.isServable);
+    
+    const weights = req.user.role === 'student'
+        ? mastery.topicWeights(await db.mastery.filter(m => m.studentId === req.user.id))
+        : {};
+    
+    const nodes = await db.syllabus.all();
+    const subjectNode = syllabus.findSubject(nodes, subject || 'Matematik');
+    const candidates = topicId
+        ? nodes.filter(n => n.type === 'topic' && n.id === topicId)
+        : nodes.filter(n => n.type === 'topic' && subjectNode && n.subjectId === subjectNode.id);
+    
+    // Yeni soru sadece AI açıksa ve kullanılan sağlayıcının kaynağı istenebiliyorsa üretilir.
+    // Üretilen soru taslaktır: bu istekte gösterilmez, veli onaylayınca havuza katılır.
+    // İnceleme bekleyen taslak yeterince varsa kuyruk büyütülmez
+    const canGenerate = ai.enabled && drafts < limit && (!sources || sources.includes(questionBank.AI_SOURCES[ai.provider]));
+    if (canGenerate && questions.length < limit && candidates.length > 0) {
+        // Öğrencinin en zayıf konusu varsa onu, yoksa MSÜ soru ağırlığına göre rastgele konu üret
+        const subjectWeights = weights[subjectNode ? subjectNode.name : subject] || {};
+        const weakest = candidates
+            .filter(n => subjectWeights[n.name] > 1)
+            .sort((a, b) => subjectWeights[b.name] - subjectWeights[a.name])[0];
+        let pick = Math.random() * candidates.reduce((sum, n) => sum + (n.weight || 0.5), 0);
+        const weighted = candidates.find(n => (pick -= n.weight || 0.5) <= 0) || candidates[0];
+        const diff = difficulty || Math.floor(Math.random() * 3) + 1;
+        
+        const newQ = await generateMSUQuestion(syllabus.labelsOf(nodes, weakest || weighted), diff);
+        if (newQ) await addQuestionToBank(newQ);
+    }
+    
+    // Ağırlıklı karıştırma: zayıf konuların soruları öne çıkma ihtimali daha yüksek
+    const weightOf = q => (weights[q.subject] && weights[q.subject][q.topic]) || 1;
+    const shuffled = questions
+        .map(q => ({ q, key: Math.pow(Math.random(), 1 / weightOf(q)) }))
+        .sort((a, b) => b.key - a.key)
+        .map(({ q }) => q);
+    res.json(shuffled.slice(0, parseInt(limit)).map(q => publicQuestion(q, req.user)));
+}));
+
+// Soru Çözüm Kontrolü
+app.post('/api/questions/check', route(async (req, res) => {
+    const { questionId, answer, durationMs, taskId } = req.body;
+    const question = await db.questions.findById(questionId);
+    
+    if (!question || (req.user.role === 'student' && !questionBank.isServable(question))) {
+        return res.status(404).json({ message: 'Soru bulunamadı' });
+    }
+    if (!Number.isInteger(answer) || answer < 0 || answer >= question.options.length) {
+        return res.status(400).json({ message: 'Geçersiz cevap' });
+    }
+    if (req.user.role === 'student' && await isInOpenExam(req.user.id, question.id)) {
+        return res.status(409).json({ message: 'Bu soru devam eden denemende, cevabını deneme bitince görebilirsin' });
+    }
+    
+    const isCorrect = answer === question.correctIndex;
+    let points = 0;
+    let totalPoints;
+    let unlocked;
+    
+    if (req.user.role === 'student') {
+        const now = new Date();
+        // Sadece açık (başlatılmış) görev için cevap görevle ilişkilendirilir
+        const run = taskId
+            ? await db.completions.find(c => c.taskId === taskId && c.studentId === req.user.id && c.status === 'started')
+            : null;
+        
+        await db.transaction(['attempts', 'reviews', 'mastery', 'users', 'ledger', ...GAME_COLLECTIONS], tx => {
+            const user = tx.users.findById(req.user.id);
+            const before = character.snapshot(user);
+            const { event } = recordAttempt(tx, req.user.id, question, {
+                answer,
+                durationMs: Number(durationMs) || null,
+                source: run ? 'task' : 'practice',
+                taskId: run ? run.taskId : null
+            }, now);
+            
+            // Alıştırma puanı sadece sorunun ilk denemesinde: yanlıştan sonra doğru cevap zaten görülmüş olur
+            if (isCorrect && event.firstAttempt && !run) {
+                points = scoring.scorePractice(question, true);
+                postPoints(tx, user, 'earn', points, {
+                    reason: 'Alıştırma sorusu',
+                    source: { type: 'question', id: question.id },
+                    subject: question.subject
+                }, now);
+            }
+            recordStudy(tx, user, { questions: 1 }, now);
+            unlocked = emitEvents(tx, user, before, [event], now);
+            totalPoints = user.points;
+        });
+    }
+    
+    res.json({
+        correct: isCorrect,
+        correctAnswer: question.correctIndex,
+        explanation: question.explanation,
+        formula: question.formula,
+        msuTip: question.msuTip,
+        points,
+        totalPoints,
+        unlocked
+    });
+}));
+
+// Soru Bildir (yanlış cevap anahtarı, hatalı soru vb.)
+app.post('/api/questions/:id/report', route(async (req, res) => {
+    const { reason, suggestedIndex, note } = req.body;
+    
+    const existing = await db.questions.findById(req.params.id);
+    if (!existing) return res.status(404).json({ message: 'Soru bulunamadı' });
+    
+    const errors = questionBank.validateReport(existing, req.body);
+    if (errors.length > 0) return res.status(400).json({ message: errors[0], errors });
+    
+    const report = {
+        id: uuidv4(),
+        userId: req.user.id,
+        reason: reason.trim(),
+        suggestedIndex: Number.isInteger(suggestedIndex) ? suggestedIndex : null,
+        note: (note || '').trim(),
+        status: 'open',
+        reportedAt: new Date().toISOString()
+    };
+    
+    const question = await db.transaction(['questions'], ({ questions }) => questions.update(req.params.id, q => {
+        if (!q.reports) q.reports = [];
+        // Aynı kullanıcının açık bildirimi varsa güncelle
+        q.reports = q.reports.filter(r => !(r.userId === req.user.id && r.status === 'open'));
+        q.reports.push(report);
+        if (q.status !== 'rejected') q.status = 'flagged';
+    }));
+    
+    if (!question) return res.status(404).json({ message: 'Soru bulunamadı' });
+    
+    res.json({ success: true, message: 'Bildirimin iletildi, teşekkürler! 🙏' });
+}));
+
+// Admin: İnceleme Kuyruğu (önce bildirilenler)
+app.get('/api/admin/questions/review', route(async (req, res) => {
+    const { status } = req.query;
+    const wanted = status ? [status] : ['flagged', 'draft'];
+    
+    const queue = await db.questions.filter(q => wanted.includes(q.status));
+    queue.sort((a, b) => wanted.indexOf(a.status) - wanted.indexOf(b.status)
+        || new Date(a.createdAt) - new Date(b.createdAt));
+    
+    res.json(queue);
+}));
+
+// Admin: Soruyu İncele (onayla / reddet, gerekirse cevap anahtarını düzelt)
+app.post('/api/admin/questions/:id/review', route(async (req, res) => {
+    const { status, correctIndex, explanation, note } = req.body;
+    
+    const existing = await db.questions.findById(req.params.id);
+    if (!existing) return res.status(404).json({ message: 'Soru bulunamadı' });
+    
+    const reviewErrors = questionBank.validateReview(existing, req.body);
+    if (reviewErrors.length > 0) return res.status(400).json({ message: reviewErrors[0], errors: reviewErrors });
+    
+    const fixed = {
+        ...existing,
+        correctIndex,
+        explanation: explanation !== undefined ? explanation : existing.explanation
+    };
+    const errors = questionBank.validateQuestion(fixed);
+    if (status === 'approved' && errors.length > 0) {
+        return res.status(400).json({ message: 'Soru geçersiz', errors });
+    }
+    
+    const question = await db.questions.update(req.params.id, q => {
+        q.correctIndex = fixed.correctIndex;
+        q.explanation = fixed.explanation;
+        q.status = status;
+        q.reviewNote = note || '';
+        q.reviewedBy = req.user.id;
+        q.reviewedAt = new Date().toISOString();
+        (q.reports || []).forEach(r => { if (r.status === 'open') r.status = 'resolved'; });
+    });
+    
+    res.json({ success: true, question });
+}));
+
+// Elle yazılan / içe aktarılan soru: konu müfredattan çözülür (adı yazım farklarına toleranslı).
+// existing verilirse değişiklikler üstüne uygulanır; figureNames: yüklenmiş şekiller. { question, errors } döner
+function authoredQuestion(nodes, changes, { existing = null, userId, figureNames, now = new Date() }) {
+    const merged = { ...questionBank.DEFAULT_FIELDS, ...existing, ...changes };
+    const errors = [];
+    
+    if (!existing || ['topicId', 'subject', 'topic'].some(field => changes[field] !== undefined)) {
+        // Ders/konu adı değiştiyse eski topicId aramaya girmez
+        const topicId = changes.topicId !== undefined || !(changes.subject || changes.topic) ? merged.topicId : null;
+        const topicNode = syllabus.resolveTopic(nodes, { topicId, subject: merged.subject, topic: merged.topic }, { fuzzy: true });
+        if (topicNode) Object.assign(merged, syllabus.labelsOf(nodes, topicNode));
+        else errors.push('Konu müfredatta bulunamadı');
+    }
+    
+    const sources = existing && questionBank.isAISource(existing.source) ? [existing.source] : questionBank.AUTHORED_SOURCES;
+    errors.push(...questionBank.validateAuthored(merged, { sources }, now));
+    questionBank.figuresOf(merged).filter(name => !figureNames.has(name))
+        .forEach(name => errors.push(`Şekil bulunamadı: ${name}`));
+    if (errors.length > 0) return { errors };
+    if (existing) return { question: merged, errors };
+    
+    return {
+        question: {
+            id: uuidv4(),
+            question: merged.question,
+            options: merged.options,
+            correctIndex: merged.correctIndex,
+            explanation: merged.explanation,
+            formula: merged.formula,
+            msuTip: merged.msuTip,
+            topicId: merged.topicId,
+            subject: merged.subject,
+            topic: merged.topic,
+            difficulty: merged.difficulty,
+            examType: 'MSÜ',
+            source: merged.source,
+            sourceName: merged.sourceName,
+            year: merged.year,
+            tags: merged.tags,
+            // Veli kendi yazdığı soruyu ayrıca incelemez
+            status: 'approved',
+            reports: [],
+            createdBy: userId,
+            createdAt: now.toISOString()
+        },
+        errors
+    };
+}
+
+// Admin: Soru Bankası (kaynak, ders, durum ve metinle süzülür; en yeniler önce)
+app.get('/api/admin/questions', route(async (req, res) => {
+    const { source, subject, status, q, limit = 50 } = req.query;
+    const bank = await db.questions.all();
+    
+    const counts = {};
+    bank.forEach(question => { counts[question.source] = (counts[question.source] || 0) + 1; });
+    
+    const search = questionBank.normalizeText(q);
+    const matches = bank
+        .filter(question => !source || question.source === source)
+        .filter(question => !subject || question.subject === subject)
+        .filter(question => !status || (question.status || 'draft') === status)
+        .filter(question => !search || questionBank.normalizeText(`${question.question} ${question.sourceName || ''} ${(question.tags || []).join(' ')}`).includes(search))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    
+    res.json({ total: matches.length, counts, questions: matches.slice(0, parseInt(limit)) });
+}));
+
+// Admin: Elle Soru Ekle
+app.post('/api/admin/questions', route(async (req, res) => {
+    const nodes = await db.syllabus.all();
+    const figureNames = new Set(await figureStore.list());
+    const { question, errors } = authoredQuestion(nodes, questionBank.pick(req.body), { userId: req.user.id, figureNames });
+    if (errors.length > 0) return res.status(400).json({ message: 'Soru geçersiz', errors });
+    
+    const duplicate = await db.transaction(['questions'], ({ questions }) => {
+        const found = questionBank.findNearDuplicate(question, questions.all());
+        if (!found) questions.insert(question);
+        return found;
+    });
+    
+    if (duplicate) {
+        return res.status(409).json({ message: 'Bankada çok benzer bir soru var', duplicateId: duplicate.question.id });
+    }
+    
+    res.json({ success: true, question });
+}));
+
+// Admin: Soruyu Düzenle (AI soruları dahil; kaynağı AI olan sorunun kaynağı değişmez)
+app.put('/api/admin/questions/:id', route(async (req, res) => {
+    const existing = await db.questions.findById(req.params.id);
+    if (!existing) return res.status(404).json({ message: 'Soru bulunamadı' });
+    
+    const nodes = await db.syllabus.all();
+    const changes = questionBank.pick(req.body);
+    const figureNames = new Set(await figureStore.list());
+    const { question: updated, errors } = authoredQuestion(nodes, changes, { existing, userId: req.user.id, figureNames });
+    if (errors.length > 0) return res.status(400).json({ message: 'Soru geçersiz', errors });
+    
+    const result = await db.transaction(['questions'], ({ questions }) => {
+        const duplicate = questionBank.findNearDuplicate(updated, questions.all());
+        if (duplicate) return { duplicate };
+        return {
+            question: questions.update(req.params.id, q => {
+                Object.assign(q, updated);
+                q.updatedBy = req.user.id;
+                q.updatedAt = new Date().toISOString();
+            })
+        };
+    });
+    
+    if (result.duplicate) {
+        return res.status(409).json({ message: 'Bankada çok benzer bir soru var', duplicateId: result.duplicate.question.id });
+    }
+    
+    res.json({ success: true, question: result.question });
+}));
+
+// Admin: Soruyu Sil. Çözülmüş, tekrar kartında ya da denemede geçen soru silinmez, yayından kaldırılır
+app.delete('/api/admin/questions/:id', route(async (req, res) => {
+    const id = req.params.id;
+    const result = await db.transaction(['questions', 'attempts', 'reviews', 'exams'], tx => {
+        if (!tx.questions.findById(id)) return null;
+        
+        const used = tx.attempts.find(a => a.questionId === id)
+            || tx.reviews.find(r => r.questionId === id)
+            || tx.exams.find(e => e.items.some(item => item.questionId === id));
+        if (!used) {
+            tx.questions.removeById(id);
+            return { removed: true };
+        }
+        
+        tx.questions.update(id, q => {
+            q.status = 'rejected';
+            q.reviewNote = 'Veli tarafından kaldırıldı';
+            q.reviewedBy = req.user.id;
+            q.reviewedAt = new Date().toISOString();
+        });
+        return { removed: false };
+    });
+    
+    if (!result) return res.status(404).json({ message: 'Soru bulunamadı' });
+    
+    res.json({
+        success: true,
+        removed: result.removed,
+        message: result.removed ? 'Soru silindi' : 'Soru çözümlerde kullanıldığı için silinmedi, yayından kaldırıldı'
+    });
+}));
+
+// İçe aktarma satırlarını değerlendir: geçersiz satırlar hatalarıyla, bankadaki ya da dosyada
+// daha önce geçen sorunun benzerleri tekrar olarak işaretlenir. bank: mevcut sorular
+function planQuestionImport(records, bank, { nodes, figureNames, userId }, now = new Date()) {
+    const accepted = [];
+    const rowOf = new Map();
+    const preview = q => ({ subject: q.subject, topic: q.topic, question: q.question, correctIndex: q.correctIndex, source: q.source, year: q.year });
+    
+    const rows = records.map(({ row, data }) => {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return { row, status: 'error', errors: ['Satır bir soru nesnesi olmalı'] };
+        
+        const { question, errors } = authoredQuestion(nodes, questionBank.pick(data), { userId, figureNames, now });
+        if (errors.length > 0) return { row, status: 'error', errors };
+        
+        const duplicate = questionBank.findNearDuplicate(question, [...bank, ...accepted]);
+        if (duplicate) {
+            return { row, status: 'duplicate', question: preview(question), duplicateId: duplicate.question.id, duplicateRow: rowOf.get(duplicate.question.id) || null };
+        }
+        
+        accepted.push(question);
+        rowOf.set(question.id, row);
+        return { row, status: 'ok', question: preview(question) };
+    });
+    
+    return { rows, accepted };
+}
+
+// Admin: Toplu Soru İçe Aktarma (çıkmış sorular, kitap soruları). Dosya metni gövdede gelir:
+// ?format=csv|json; ?dryRun=1 sadece önizleme döner, hiçbir şey yazmaz. Geçerli satırlar
+// eklenir, hatalı ve tekrar eden satırlar atlanır
+const importBody = bodyParser.text({ type: () => true, limit: '5mb' });
+
+app.post('/api/admin/questions/import', importBody, route(async (req, res) => {
+    const dryRun = ['1', 'true'].includes(req.query.dryRun);
+    // Gövdesiz istekte req.body metin değildir
+    const content = typeof req.body === 'string' ? req.body : '';
+    const parsed = questionBank.parseImport(req.query.format, content);
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+    
+    const context = { nodes: await db.syllabus.all(), figureNames: new Set(await figureStore.list()), userId: req.user.id };
+    const now = new Date();
+    
+    let plan;
+    if (dryRun) {
+        plan = planQuestionImport(parsed.records, await db.questions.all(), context, now);
+    } else {
+        if (!await snapshotBefore(res, 'question-import')) return;
+        plan = await db.transaction(['questions'], ({ questions }) => {
+            const result = planQuestionImport(parsed.records, questions.all(), context, now);
+            result.accepted.forEach(q => questions.insert(q));
+            return result;
+        });
+    }
+    
+    const count = status => plan.rows.filter(r => r.status === status).length;
+    const imported = plan.accepted.length;
+    res.json({
+        success: true,
+        dryRun,
+        total: plan.rows.length,
+        imported,
+        errors: count('error'),
+        duplicates: count('duplicate'),
+        rows: plan.rows,
+        message: dryRun
+            ? `${imported} soru eklenebilir, ${count('error')} hatalı, ${count('duplicate')} tekrar`
+            : `${imported} soru eklendi, ${count('error')} hatalı ve ${count('duplicate')} tekrar eden satır atlandı`
+    });
+}));
+
+// Admin: Şekil Yükle (grafik, geometri çizimi). Görsel ham gövdeyle gelir; soruya metindeki
+// ![açıklama](ad) ile eklenir. Sınırı aşan dosya için anlaşılır mesaj dönsün diye gövde sınırı geniş
+const figureBody = bodyParser.raw({ type: () => true, limit: figures.MAX_BYTES * 2 });
+
+app.post('/api/admin/figures', figureBody, route(async (req, res) => {
+    const result = await figureStore.save(Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0));
+    if (result.error) return res.status(400).json({ message: result.error });
+    
+    res.json({ success: true, ...result, url: `/figures/${result.name}`, markup: `![](${result.name})` });
+}));
+
+// ==================== MÜFREDAT ====================
+
+// Müfredat ağacı (ders → ünite → konu)
+app.get('/api/syllabus', route(async (req, res) => {
+    res.json(syllabus.buildTree(await db.syllabus.all()));
+}));
+
+// Admin: Müfredata Ders / Ünite / Konu Ekle
+app.post('/api/admin/syllabus', route(async (req, res) => {
+    const { type, name, parentId, weight, prerequisites, section } = req.body;
+    
+    const result = await db.transaction(['syllabus'], ({ syllabus: tx }) => {
+        const nodes = tx.all();
+        const parent = nodes.find(n => n.id === parentId);
+        const subjectId = type === 'subject' ? undefined : parent && parent.subjectId;
+        
+        const node = {
+            id: syllabus.nodeId(type, String(name || ''), subjectId),
+            type,
+            name: String(name || '').trim(),
+            parentId: type === 'subject' ? null : parentId,
+            subjectId: type === 'subject' ? syllabus.nodeId('subject', String(name || '')) : subjectId,
+            order: nodes.filter(n => n.parentId === (type === 'subject' ? null : parentId)).length,
+            createdAt: new Date().toISOString()
+        };
+        if (type === 'subject') node.section = section || null;
+        if (type === 'topic') {
+            node.weight = weight !== undefined ? Number(weight) : 0;
+            node.prerequisites = prerequisites || [];
+        }
+        
+        const errors = syllabus.validateNode(node, nodes);
+        if (errors.length > 0) return { status: 400, errors };
+        if (tx.findById(node.id)) return { status: 409, errors: ['Bu isimde bir kayıt zaten var'] };
+        
+        return { node: tx.insert(node) };
+    });
+    
+    if (result.errors) return res.status(result.status).json({ message: result.errors.join(', '), errors: result.errors });
+    res.json({ success: true, node: result.node });
+}));
+
+// Admin: Müfredat Kaydını Düzenle (ID değişmez; isim değişirse bağlı kayıtlardaki adlar güncellenir)
+app.put('/api/admin/syllabus/:id', route(async (req, res) => {
+    const { name, weight, prerequisites, order, section } = req.body;
+    
+    const result = await db.transaction(
+        ['syllabus', 'questions', 'tasks', 'programs', 'mastery', 'reviews'],
+        tx => {
+            const node = tx.syllabus.findById(req.params.id);
+            if (!node) return { status: 404, errors: ['Kayıt bulunamadı'] };
+            
+            const updated = { ...node };
+            if (name !== undefined) updated.name = String(name).trim();
+            if (order !== undefined) updated.order = Number(order);
+            if (section !== undefined && node.type === 'subject') updated.section = section;
+            if (node.type === 'topic') {
+                if (weight !== undefined) updated.weight = Number(weight);
+                if (prerequisites !== undefined) updated.prerequisites = prerequisites;
+            }
+            
+            const errors = syllabus.validateNode(updated, tx.syllabus.filter(n => n.id !== node.id));
+            if (errors.length > 0) return { status: 400, errors };
+            
+            Object.assign(node, updated, { updatedAt: new Date().toISOString() });
+            
+            if (node.type === 'topic') {
+                [tx.questions, tx.tasks, tx.mastery, tx.reviews].forEach(repo =>
+                    repo.filter(r => r.topicId === node.id).forEach(r => { r.topic = node.name; }));
+            }
+            if (node.type === 'subject') {
+                const topicIds = new Set(tx.syllabus.filter(n => n.subjectId === node.id).map(n => n.id));
+                [tx.questions, tx.mastery, tx.reviews].forEach(repo =>
+                    repo.filter(r => topicIds.has(r.topicId)).forEach(r => { r.subject = node.name; }));
+                tx.programs.filter(p => p.subjectId === node.id).forEach(p => { p.subject = node.name; });
+            }
+            
+            return { node };
+        }
+    );
+    
+    if (result.errors) return res.status(result.status).json({ message: result.errors.join(', '), errors: result.errors });
+    res.json({ success: true, node: result.node });
+}));
+
+// Admin: Müfredat Kaydını Sil (alt kaydı ya da bağlı soru/görevi olan silinemez)
+app.delete('/api/admin/syllabus/:id', route(async (req, res) => {
+    const result = await db.transaction(['syllabus', 'questions', 'tasks'], tx => {
+        const node = tx.syllabus.findById(req.params.id);
+        if (!node) return { status: 404, message: 'Kayıt bulunamadı' };
+        
+        if (tx.syllabus.find(n => n.parentId === node.id)) {
+            return { status: 409, message: 'Önce alt kayıtları silin' };
+        }
+        if (tx.syllabus.find(n => (n.prerequisites || []).includes(node.id))) {
+            return { status: 409, message: 'Bu konu başka konuların ön koşulu' };
+        }
+        const used = tx.questions.filter(q => q.topicId === node.id).length
+            + tx.tasks.filter(t => t.topicId === node.id).length;
+        if (used > 0) return { status: 409, message: `Bu konuya bağlı ${used} soru/görev var` };
+        
+        tx.syllabus.removeById(node.id);
+        return { status: 200 };
+    });
+    
+    if (result.status !== 200) return res.status(result.status).json({ message: result.message });
+    res.json({ success: true });
+}));
+
+// ==================== SINAV TAKVİMİ ====================
+
+// Takvimdeki tüm oturumlar, tarihe göre
+app.get('/api/exam-calendar', route(async (req, res) => {
+    const now = new Date();
+    const entries = await db.calendar.all();
+    res.json(entries
+        .sort((a, b) => a.examDate.localeCompare(b.examDate))
+        .map(entry => ({ ...entry, countdown: calendar.countdown(entry, now, req.user.timezone) })));
+}));
+
+// Öğrencinin hedef sınavına kalan gün ve hazırlık dönemi
+app.get('/api/student/:id/countdown', route(async (req, res) => {
+    const student = await db.users.findById(req.params.id);
+    const countdown = await studentCountdown(student);
+    if (!countdown) return res.status(404).json({ message: 'Hedef sınav için takvimde yaklaşan oturum yok' });
+    res.json(countdown);
+}));
+
+// Admin: Takvime Oturum Ekle
+app.post('/api/admin/exam-calendar', route(async (req, res) => {
+    const { exam, examDate, applicationStart, applicationEnd, name } = req.body;
+    const year = Number(req.body.year) || (examDate ? Number(String(examDate).slice(0, 4)) : undefined);
+    
+    const entry = {
+        id: `${exam}-${year}`,
+        exam,
+        year,
+        name: name ? String(name).trim() : `${exam} ${year}`,
+        examDate,
+        applicationStart: applicationStart || null,
+        applicationEnd: applicationEnd || null,
+        tentative: Boolean(req.body.tentative),
+        createdAt: new Date().toISOString()
+    };
+    
+    const errors = calendar.validateEntry(entry);
+    if (errors.length > 0) return res.status(400).json({ message: errors.join(', '), errors });
+    
+    const created = await db.transaction(['calendar'], ({ calendar: tx }) => {
+        if (tx.findById(entry.id)) return false;
+        tx.insert(entry);
+        return true;
+    });
+    
+    if (!created) return res.status(409).json({ message: 'Bu sınav ve yıl için oturum zaten var' });
+    res.json({ success: true, entry });
+}));
+
+// Admin: Oturumu Düzenle (veli tarihleri doğruladığı için tahmini işareti kalkar)
+app.put('/api/admin/exam-calendar/:id', route(async (req, res) => {
+    const { name, examDate, applicationStart, applicationEnd, tentative } = req.body;
+    
+    const result = await db.transaction(['calendar'], ({ calendar: tx }) => {
+        const entry = tx.findById(req.params.id);
+        if (!entry) return { status: 404, errors: ['Oturum bulunamadı'] };
+        
+        const updated = { ...entry, tentative: Boolean(tentative) };
+        if (name !== undefined) updated.name = String(name).trim() || entry.name;
+        if (examDate !== undefined) updated.examDate = examDate;
+        if (applicationStart !== undefined) updated.applicationStart = applicationStart || null;
+        if (applicationEnd !== undefined) updated.applicationEnd = applicationEnd || null;
+        
+        const errors = calendar.validateEntry(updated);
+        if (errors.length > 0) return { status: 400, errors };
+        
+        return { entry: Object.assign(entry, updated, { updatedAt: new Date().toISOString() }) };
+    });
+    
+    if (result.errors) return res.status(result.status).json({ message: result.errors.join(', '), errors: result.errors });
+    res.json({ success: true, entry: result.entry });
+}));
+
+// Admin: Oturumu Sil (bu oturumu hedefleyen öğrenciler sınav türünün sıradaki oturumuna düşer)
+app.delete('/api/admin/exam-calendar/:id', route(async (req, res) => {
+    const removed = await db.transaction(['calendar', 'users'], ({ calendar: tx, users }) => {
+        if (!tx.removeById(req.params.id)) return false;
+        users.filter(u => u.targetExamId === req.params.id).forEach(u => { u.targetExamId = null; });
+        return true;
+    });
+    
+    if (!removed) return res.status(404).json({ message: 'Oturum bulunamadı' });
+    res.json({ success: true });
+}));
+
+// ==================== TEKRAR (ARALIKLI TEKRAR) ====================
+
+// Bugünkü tekrar kuyruğu
+app.get('/api/student/:id/review', route(async (req, res) => {
+    const limit = parseInt(req.query.limit) || 20;
+    const now = new Date();
+    const student = await db.users.findById(req.params.id);
+    
+    const cards = await db.reviews.filter(r => r.studentId === req.params.id);
+    const questions = await getQuestionsById(cards.map(c => c.questionId));
+    // Yayından kalkan soruların kartları kuyrukta gösterilmez
+    const active = cards.filter(c => questions[c.questionId] && questionBank.isServable(questions[c.questionId]));
+    const due = active
+        .filter(c => review.isDue(c, now, student.timezone))
+        .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+    
+    res.json({
+        dueCount: due.length,
+        totalCards: active.length,
+        forecast: review.forecast(active, 7, now, student.timezone),
+        cards: due.slice(0, limit).map(card => {
+            return {
+                cardId: card.id,
+                repetitions: card.repetitions,
+                lapses: card.lapses,
+                dueAt: card.dueAt,
+                question: publicQuestion(questions[card.questionId], req.user)
+            };
+        })
+    });
+}));
+
+// Tekrar kartını cevapla: kart yeniden planlanır, puan verilir
+app.post('/api/student/:id/review/:cardId', route(async (req, res) => {
+    const { answer, durationMs } = req.body;
+    
+    if (req.user.id !== req.params.id) {
+        return res.status(403).json({ message: 'Tekrarı sadece öğrenci çözebilir' });
+    }
+    if (!Number.isInteger(answer) || answer < 0 || answer > 3) {
+        return res.status(400).json({ message: 'Geçersiz cevap' });
+    }
+    
+    const card = await db.reviews.findById(req.params.cardId);
+    if (!card || card.studentId !== req.user.id) {
+        return res.status(404).json({ message: 'Kart bulunamadı' });
+    }
+    
+    const question = await db.questions.findById(card.questionId);
+    if (!question || !questionBank.isServable(question)) return res.status(404).json({ message: 'Soru bulunamadı' });
+    if (await isInOpenExam(req.user.id, question.id)) {
+        return res.status(409).json({ message: 'Bu soru devam eden denemende, cevabını deneme bitince görebilirsin' });
+    }
+    
+    const now = new Date();
+    const result = await db.transaction(['attempts', 'reviews', 'mastery', 'users', 'ledger', ...GAME_COLLECTIONS], tx => {
+        if (!review.isDue(tx.reviews.findById(card.id), now, req.user.timezone)) return null;
+        const before = character.snapshot(tx.users.findById(req.user.id));
+        
+        const { correct, card: updated, event } = recordAttempt(tx, req.user.id, question, {
+            answer,
+            durationMs: Number(durationMs) || null,
+            source: 'review'
+        }, now);
+        
+        let points = scoring.scoreReview(correct);
+        const remaining = tx.reviews.filter(r => r.studentId === req.user.id && review.isDue(r, now, req.user.timezone)).length;
+        
+        const user = tx.users.update(req.user.id, user => {
+            const source = { type: 'review', id: card.id };
+            postPoints(tx, user, 'earn', points, { reason: 'Tekrar kartı', source, subject: question.subject }, now);
+            
+            // Günün kuyruğu bitince bir kez bonus
+            const today = streaks.localDay(now, user.timezone);
+            if (remaining === 0 && user.lastReviewBonusDate !== today) {
+                const bonus = scoring.rules.review.sessionBonus;
+                postPoints(tx, user, 'earn', bonus, { reason: 'Günlük tekrar bonusu', source }, now);
+                points += bonus;
+                user.lastReviewBonusDate = today;
+            }
+            recordStudy(tx, user, { questions: 1 }, now);
+        });
+        const unlocked = emitEvents(tx, user, before, [event, { type: 'review' }], now);
+        
+        return { correct, points, remaining, nextDueAt: updated.dueAt, totalPoints: user.points, unlocked };
+    });
+    
+    if (!result) return res.status(409).json({ message: 'Bu kartın tekrar zamanı gelmedi' });
+    
+    res.json({
+        success: true,
+        ...result,
+        correctAnswer: question.correctIndex,
+        explanation: question.explanation,
+        formula: question.formula,
+        msuTip: question.msuTip
+    });
+}));
+
+// ==================== DENEME SINAVI ====================
+
+// Denemeyi son cevaplarla değerlendir; cevaplanan sorular tekrar kuyruğuna işlenir.
+// { exam, unlocked } döner (unlocked: açılan rozet/görevler, deneme zaten kapalıysa null)
+function finalizeExam(examId, questionsById, now = new Date()) {
+    const collections = ['exams', 'attempts', 'reviews', 'mastery', 'users', 'ledger', ...GAME_COLLECTIONS];
+    return db.transaction(collections, tx => {
+        const attempt = tx.exams.findById(examId);
+        if (attempt.status !== 'in_progress') return { exam: attempt, unlocked: null };
+
+        exams.recordActivity(attempt, now);
+        attempt.results = exams.gradeExam(attempt, questionsById, exams.BLUEPRINTS[attempt.blueprint]);
+        attempt.status = exams.isExpired(attempt, now) ? 'expired' : 'submitted';
+        attempt.submittedAt = now.toISOString();
+
+        const events = attempt.items
+            .filter(item => item.answer !== null && questionsById[item.questionId])
+            .map(item => recordAttempt(tx, attempt.studentId, questionsById[item.questionId], {
+                answer: item.answer,
+                durationMs: item.timeSpentMs,
+                source: 'exam'
+            }, now).event);
+        events.push({ type: 'exam', totalNet: attempt.results.totalNet });
+
+        const user = tx.users.findById(attempt.studentId);
+        if (!user) return { exam: attempt, unlocked: null };
+
+        const before = character.snapshot(user);
+        recordStudy(tx, user, {
+            questions: attempt.items.filter(item => item.answer !== null).length,
+            minutes: Math.floor(attempt.items.reduce((sum, item) => sum + (item.timeSpentMs || 0), 0) / 60000)
+        }, now);
+        return { exam: attempt, unlocked: emitEvents(tx, user, before, events, now) };
+    });
+}
+
+async function getQuestionsById(ids) {
+    const wanted = new Set(ids);
+    const questions = await db.questions.filter(q => wanted.has(q.id));
+    return Object.fromEntries(questions.map(q => [q.id, q]));
+}
+
+// Soru öğrencinin devam eden denemesinde mi (o sırada cevap/çözüm gösterilmez)
+async function isInOpenExam(studentId, questionId, now = new Date()) {
+    const open = await db.exams.find(e => e.studentId === studentId && e.status === 'in_progress');
+    return Boolean(open && !exams.isExpired(open, now) && open.items.some(item => item.questionId === questionId));
+}
+
+// Devam eden denemede cevaplar gizli; bitende tam çözüm gösterilir
+function examView(attempt, questionsById) {
+    const finished = attempt.status !== 'in_progress';
+
+    return {
+        id: attempt.id,
+        studentId: attempt.studentId,
+        name: attempt.name,
+        size: attempt.size,
+        status: attempt.status,
+        startedAt: attempt.startedAt,
+        expiresAt: attempt.expiresAt,
+        submittedAt: attempt.submittedAt,
+        durationMinutes: attempt.durationMinutes,
+        remainingSeconds: finished ? 0 : exams.remainingSeconds(attempt),
+        currentIndex: attempt.currentIndex,
+        sections: attempt.sections.map(({ key, name, questionIds }) => ({ key, name, count: questionIds.length })),
+        shortfall: attempt.shortfall,
+        results: attempt.results || null,
+        items: attempt.items.map((item, index) => {
+            const q = questionsById[item.questionId] || {};
+            const base = {
+                index,
+                section: item.section,
+                subject: item.subject,
+                topic: item.topic,
+                difficulty: item.difficulty,
+                question: q.question,
+                options: q.options,
+                answer: item.answer,
+                flagged: item.flagged,
+                timeSpentMs: item.timeSpentMs
+            };
+            if (!finished) return base;
+            return {
+                ...base,
+                result: item.result,
+                correctIndex: q.correctIndex,
+                explanation: q.explanation,
+                formula: q.formula,
+                msuTip: q.msuTip
+            };
+        })
+    };
+}
+
+// Denemeyi yükle, erişimi kontrol et, süresi dolmuşsa kapat
+async function loadExam(req, res) {
+    const attempt = await db.exams.findById(req.params.examId);
+    if (!attempt || !canAccessStudent(req.user, await db.users.findById(attempt.studentId))) {
+        res.status(404).json({ message: 'Deneme bulunamadı' });
+        return null;
+    }
+
+    if (attempt.status === 'in_progress' && exams.isExpired(attempt)) {
+        const questionsById = await getQuestionsById(attempt.items.map(i => i.questionId));
+        return (await finalizeExam(attempt.id, questionsById)).exam;
+    }
+
+    return attempt;
+}
+
+// Deneme Başlat (açık deneme varsa onu döndürür)
+app.post('/api/exams/start', route(async (req, res) => {
+    const { blueprint = 'msu', size = 'full' } = req.body;
+    
+    if (req.user.role !== 'student') {
+        return res.status(403).json({ message: 'Sadece öğrenciler deneme çözebilir' });
+    }
+    if (!exams.BLUEPRINTS[blueprint] || !exams.SIZES[size]) {
+        return res.status(400).json({ message: 'Geçersiz deneme türü' });
+    }
+    
+    const open = await db.exams.find(e => e.studentId === req.user.id && e.status === 'in_progress');
+    if (open) {
+        const questionsById = await getQuestionsById(open.items.map(i => i.questionId));
+        if (!exams.isExpired(open)) {
+            return res.json({ success: true, resumed: true, exam: examView(open, questionsById) });
+        }
+        // Süresi dolmuş açık denemeyi son cevaplarla kapat
+        await finalizeExam(open.id, questionsById);
+    }
+    
+    const bank = await db.questions.filter(questionBank.isServable);
+    const seenIds = (await db.exams.filter(e => e.studentId === req.user.id))
+        .flatMap(e => e.items.map(i => i.questionId));
+    
+    const topicWeights = mastery.topicWeights(await db.mastery.filter(m => m.studentId === req.user.id));
+    const assembled = exams.assembleExam(bank, exams.BLUEPRINTS[blueprint], { size, seenIds, topicWeights });
+    if (assembled.items.length === 0) {
+        return res.status(400).json({ message: 'Soru bankasında deneme için yeterli soru yok' });
+    }
+    
+    const now = new Date();
+    const attempt = {
+        id: uuidv4(),
+        studentId: req.user.id,
+        blueprint,
+        name: exams.BLUEPRINTS[blueprint].name,
+        size,
+        status: 'in_progress',
+        startedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + assembled.durationMinutes * 60 * 1000).toISOString(),
+        durationMinutes: assembled.durationMinutes,
+        lastActivityAt: now.toISOString(),
+        currentIndex: 0,
+        sections: assembled.sections,
+        items: assembled.items,
+        shortfall: assembled.shortfall
+    };
+    attempt.items[0].visits = 1;
+    
+    await db.exams.insert(attempt);
+    
+    const questionsById = Object.fromEntries(bank.map(q => [q.id, q]));
+    res.json({ success: true, exam: examView(attempt, questionsById) });
+}));
+
+// Deneme Durumu / Sonuç
+app.get('/api/exams/:examId', route(async (req, res) => {
+    const attempt = await loadExam(req, res);
+    if (!attempt) return;
+    
+    const questionsById = await getQuestionsById(attempt.items.map(i => i.questionId));
+    res.json(examView(attempt, questionsById));
+}));
+
+// Soruya Git / Cevapla / İşaretle
+app.post('/api/exams/:examId/answer', route(async (req, res) => {
+    const { index, answer, flagged } = req.body;
+    
+    const attempt = await loadExam(req, res);
+    if (!attempt) return;
+    
+    if (attempt.status !== 'in_progress') {
+        return res.status(409).json({ message: 'Deneme bitti' });
+    }
+    if (attempt.studentId !== req.user.id) {
+        return res.status(403).json({ message: 'Bu denemeyi sadece öğrenci çözebilir' });
+    }
+    if (!Number.isInteger(index) || index < 0 || index >= attempt.items.length) {
+        return res.status(400).json({ message: 'Geçersiz soru numarası' });
+    }
+    if (answer !== undefined && answer !== null && !(Number.isInteger(answer) && answer >= 0 && answer <= 3)) {
+        return res.status(400).json({ message: 'Geçersiz cevap' });
+    }
+    
+    const updated = await db.transaction(['exams'], ({ exams: tx }) => tx.update(attempt.id, a => {
+        if (a.currentIndex !== index) exams.navigate(a, index);
+        else exams.recordActivity(a);
+        
+        const item = a.items[index];
+        if (answer !== undefined) item.answer = answer;
+        if (flagged !== undefined) item.flagged = Boolean(flagged);
+    }));
+    
+    const item = updated.items[index];
+    res.json({
+        success: true,
+        remainingSeconds: exams.remainingSeconds(updated),
+        item: { index, answer: item.answer, flagged: item.flagged, timeSpentMs: item.timeSpentMs }
+    });
+}));
+
+// Denemeyi Bitir
+app.post('/api/exams/:examId/submit', route(async (req, res) => {
+    const attempt = await loadExam(req, res);
+    if (!attempt) return;
+    
+    if (attempt.studentId !== req.user.id) {
+        return res.status(403).json({ message: 'Bu denemeyi sadece öğrenci bitirebilir' });
+    }
+    
+    const questionsById = await getQuestionsById(attempt.items.map(i => i.questionId));
+    const { exam: finished, unlocked } = await finalizeExam(attempt.id, questionsById);
+    
+    res.json({ success: true, exam: examView(finished, questionsById), unlocked });
+}));
+
+// Deneme Geçmişi (grafik için özet)
+app.get('/api/student/:id/exams', route(async (req, res) => {
+    const attempts = await db.exams.filter(e => e.studentId === req.params.id);
+    
+    res.json(attempts
+        .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt))
+        .map(a => ({
+            id: a.id,
+            name: a.name,
+            size: a.size,
+            status: a.status,
+            startedAt: a.startedAt,
+            submittedAt: a.submittedAt,
+            questionCount: a.items.length,
+            totalNet: a.results?.totalNet ?? null,
+            estimatedScore: a.results?.estimatedScore ?? null,
+            sections: a.results?.sections || []
+        })));
+}));
+
+// Görevi Başlat (süre sunucuda ölçülür)
+app.post('/api/tasks/:taskId/start', route(async (req, res) => {
+    if (req.user.role !== 'student') {
+        return res.status(403).json({ message: 'Sadece öğrenciler görev başlatabilir' });
+    }
+    
+    const found = await findStudentTask(req.params.taskId, req.user.id);
+    if (!found) return res.status(404).json({ message: 'Görev bulunamadı' });
+    
+    const { task, enrollment } = found;
+    if (enrollment.status !== 'active') {
+        return res.status(409).json({ message: 'Program duraklatılmış ya da arşivlenmiş' });
+    }
+    
+    const completed = await completedTaskIds(req.user.id, task.programId);
+    const status = programs.taskStatus(task, enrollment, completed.has(task.id) ? 1 : 0, new Date(), req.user.timezone);
+    if (status === 'locked') {
+        return res.status(409).json({ message: `Bu görev ${programs.dateOfDay(enrollment, task.dayNumber)} tarihinde açılacak` });
+    }
+    if (!programs.canStart(status)) return res.status(409).json({ message: 'Bu görevin süresi geçti' });
+    
+    const run = await db.transaction(['completions', 'studySessions'], ({ completions, studySessions }) => {
+        const runs = completions.filter(c => c.taskId === task.id && c.studentId === req.user.id);
+        const open = runs.find(c => c.status === 'started');
+        if (open) return open;
+        
+        if (runs.filter(c => c.status === 'completed').length >= scoring.completionLimit(task)) return null;
+        
+        const started = completions.insert({
+            id: uuidv4(),
+            taskId: task.id,
+            programId: task.programId,
+            studentId: req.user.id,
+            status: 'started',
+            startedAt: new Date().toISOString()
+        });
+        // Görevden önce başlatılmış, göreve hedeflenmiş açık oturum bu çalışmaya bağlanır
+        const session = studySessions.find(s => s.studentId === req.user.id && s.status !== 'stopped' &&
+            s.target && s.target.type === 'task' && s.target.id === task.id && !s.completionId);
+        if (session) session.completionId = started.id;
+        return started;
+    });
+    
+    if (!run) return res.status(409).json({ message: 'Bu görev için tamamlama hakkın doldu' });
+    
+    res.json({ success: true, run });
+}));
+
+// Görev Tamamlama: puan istemciden değil, sunucunun bildiklerinden hesaplanır
+app.post('/api/tasks/complete', route(async (req, res) => {
+    const { taskId } = req.body;
+    
+    if (req.user.role !== 'student') {
+        return res.status(403).json({ message: 'Sadece öğrenciler görev tamamlayabilir' });
+    }
+    
+    const found = await findStudentTask(taskId, req.user.id);
+    if (!found) return res.status(404).json({ message: 'Görev bulunamadı' });
+    
+    const { task, program } = found;
+    const now = new Date();
+    // Aciliyet öğrencinin hedef sınavına kalan günden (sunucu takvimi)
+    const countdown = await studentCountdown(req.user, now);
+    const daysLeft = countdown ? countdown.daysLeft : null;
+    
+    const outcome = await db.transaction(['completions', 'attempts', 'users', 'ledger', 'books', 'bookSessions', 'studySessions', ...GAME_COLLECTIONS], tx => {
+        const run = tx.completions.find(c =>
+            c.taskId === task.id && c.studentId === req.user.id && c.status === 'started');
+        if (!run) return { error: 'Önce görevi başlatmalısın' };
+        
+        // Görev sırasında notlanan cevaplar; aynı soru bir kez sayılır
+        const seen = new Set();
+        const answers = tx.attempts
+            .filter(a => a.studentId === req.user.id && a.taskId === task.id && a.answeredAt >= run.startedAt)
+            .filter(a => !seen.has(a.questionId) && seen.add(a.questionId));
+        
+        // Göreve bağlı çalışma oturumu varsa süre oradan gelir (seri, toplam süre ve süre puanı orada verildi).
+        // Hâlâ açık olan bağlı oturum burada kapatılıp kredilendirilir; görev süresi ayrıca sayılmaz
+        const student = tx.users.findById(req.user.id);
+        const open = activeStudySession(tx, student, now);
+        let sessionUnlocked = null;
+        if (open && open.completionId === run.id) {
+            study.stop(open, scoring.rules.study, now);
+            sessionUnlocked = creditStudySession(tx, student, open, now);
+        }
+        const timed = tx.studySessions.filter(s => s.completionId === run.id && s.status === 'stopped');
+        const timeCredited = timed.length > 0;
+        const minutes = timeCredited
+            ? timed.reduce((sum, s) => sum + s.creditedMinutes, 0)
+            : scoring.studyMinutes(task, run.startedAt, now);
+        const score = scoring.scoreTask(task, { minutes, answers, daysLeft, timeCredited });
+        const success = score.correct >= score.wrong;
+        
+        Object.assign(run, {
+            status: 'completed',
+            completedAt: now.toISOString(),
+            minutes,
+            timeCredited,
+            correct: score.correct,
+            wrong: score.wrong,
+            points: score.points,
+            breakdown: score.breakdown
+        });
+        
+        const before = character.snapshot(tx.users.findById(req.user.id));
+        const user = tx.users.update(req.user.id, user => {
+            postPoints(tx, user, 'earn', score.points, {
+                reason: `Görev: ${task.title}`,
+                source: { type: 'task', id: task.id, completionId: run.id },
+                subject: program.subject
+            }, now);
+            if (!timeCredited) user.totalStudyTime += minutes;
+            user.completedTasks.push({
+                taskId: task.id,
+                programId: task.programId,
+                topic: task.topic || 'Genel',
+                correct: success,
+                points: score.points,
+                duration: minutes,
+                completedAt: now.toISOString()
+            });
+            if (!timeCredited) recordStudy(tx, user, { minutes }, now);
+            
+            // Kitaba bağlı görevin aralığı kitaba işlenir; puanı görev puanında, süresi seride sayıldı
+            const book = task.bookId && tx.books.findById(task.bookId);
+            if (book && book.studentId === user.id && task.bookRange) {
+                logBookSession(tx, user, book, books.sessionInput(task.bookRange), { taskId: task.id, awardPoints: false }, now);
+            }
+        });
+        // Rozet/görev bonusu da seviye atlatabilir
+        const unlocked = emitEvents(tx, user, before, [{ type: 'task', minutes: timeCredited ? 0 : minutes }], now);
+        if (sessionUnlocked) Object.keys(unlocked).forEach(key => unlocked[key].unshift(...sessionUnlocked[key]));
+        const leveledUp = user.level > before.level;
+        notify(tx, 'task.completed', user, {
+            taskId: task.id,
+            title: task.title,
+            program: program.name,
+            minutes,
+            correct: score.correct,
+            wrong: score.wrong,
+            points: score.points
+        }, user.id, now);
+        
+        return { user, score, minutes, leveledUp, success, unlocked };
+    });
+    
+    if (outcome.error) return res.status(409).json({ message: outcome.error });
+    
+    const { user, score, minutes, leveledUp, success, unlocked } = outcome;
+    const { streak } = userView(user);
+    const motivation = await getGeminiMotivation(user.name, user.level, streak, success, countdown);
+    
+    res.json({
+        success: true,
+        pointsEarned: score.points,
+        breakdown: score.breakdown,
+        minutes,
+        totalPoints: user.points,
+        newLevel: user.level,
+        leveledUp,
+        streak,
+        unlocked,
+        motivation
+    });
+}));
+
+// Ödül öğrenciye açık mı? (studentIds boşsa velinin tüm çocuklarına açık)
+function isRewardVisibleTo(reward, student) {
+    if (reward.parentId !== student.parentId) return false;
+    return !reward.studentIds || reward.studentIds.length === 0 || reward.studentIds.includes(student.id);
+}
+
+// Öğrenciye açık ödüller, şu an talep edilip edilemeyeceği ve nedeniyle
+app.get('/api/rewards', route(async (req, res) => {
+    if (req.user.role === 'admin') {
+        return res.json(await db.rewards.filter(r => r.parentId === req.user.id));
+    }
+    
+    const now = new Date();
+    const visible = await db.rewards.filter(r => isRewardVisibleTo(r, req.user) && rewards.isListed(r, now, req.user.timezone));
+    const claims = await db.claims.filter(c => c.userId === req.user.id);
+    const { spendable } = ledger.summarize(await db.ledger.filter(e => e.studentId === req.user.id));
+    
+    res.json(visible.map(reward => ({
+        ...reward,
+        ...rewards.eligibility(reward, req.user, {
+            claims: claims.filter(c => c.rewardId === reward.id),
+            spendable,
+            now
+        })
+    })));
+}));
+
+// Seçilen öğrenciler velinin çocukları mı (ödül ve veli görevleri için)
+async function validStudentTargets(user, studentIds) {
+    const users = await db.users.all();
+    return studentIds.every(id => canAccessStudent(user, users.find(u => u.id === id)));
+}
+
+app.post('/api/admin/rewards', route(async (req, res) => {
+    const reward = {
+        id: uuidv4(),
+        parentId: req.user.id,
+        studentIds: [],
+        description: '',
+        icon: '🎁',
+        ...rewards.DEFAULT_RULES,
+        ...rewards.pick(req.body),
+        createdAt: new Date().toISOString()
+    };
+    if (!reward.icon) reward.icon = '🎁';
+    
+    const errors = rewards.validateReward(reward);
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+    if (!await validStudentTargets(req.user, reward.studentIds)) {
+        return res.status(400).json({ message: 'Geçersiz öğrenci seçimi' });
+    }
+    
+    await db.rewards.insert(reward);
+    res.json({ success: true, reward });
+}));
+
+// Admin: Ödül Düzenle (kurallar, açma/kapama dahil; gönderilmeyen alan değişmez)
+app.put('/api/admin/rewards/:id', route(async (req, res) => {
+    const reward = await db.rewards.findById(req.params.id);
+    if (!reward || reward.parentId !== req.user.id) return res.status(404).json({ message: 'Ödül bulunamadı' });
+    
+    const changes = rewards.pick(req.body);
+    const errors = rewards.validateReward({ ...rewards.DEFAULT_RULES, ...reward, ...changes });
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+    if (changes.studentIds && !await validStudentTargets(req.user, changes.studentIds)) {
+        return res.status(400).json({ message: 'Geçersiz öğrenci seçimi' });
+    }
+    
+    const updated = await db.rewards.update(reward.id, { ...changes, updatedAt: new Date().toISOString() });
+    res.json({ success: true, reward: updated });
+}));
+
+// Talep bildirimlerinin içeriği (güncel bakiye rozet/sayaç için)
+function claimPayload(claim, user) {
+    return {
+        claimId: claim.id,
+        rewardName: claim.rewardName,
+        cost: claim.cost,
+        status: claim.status,
+        points: user.points,
+        heldPoints: user.heldPoints || 0
+    };
+}
+
+// Admin: Ödül Sil (bekleyen talepler reddedilir, blokeli puan serbest kalır)
+app.delete('/api/admin/rewards/:id', route(async (req, res) => {
+    const result = await db.transaction(['rewards', 'claims', 'users', 'ledger', 'notifications'], tx => {
+        const reward = tx.rewards.findById(req.params.id);
+        if (!reward || reward.parentId !== req.user.id) return { status: 404, message: 'Ödül bulunamadı' };
+        
+        const pending = tx.claims.filter(c => c.rewardId === reward.id && c.status === 'pending');
+        pending.forEach(claim => {
+            claim.status = 'rejected';
+            claim.processedAt = new Date().toISOString();
+            claim.processedBy = req.user.id;
+            
+            const user = tx.users.findById(claim.userId);
+            if (user) {
+                postPoints(tx, user, 'release', claim.cost, {
+                    reason: `Ödül kaldırıldı: ${claim.rewardName}`,
+                    claimId: claim.id,
+                    createdBy: req.user.id
+                });
+                notify(tx, 'claim.rejected', user, claimPayload(claim, user), req.user.id);
+            }
+        });
+        
+        tx.rewards.removeById(reward.id);
+        return { released: pending.length };
+    });
+    
+    if (result.message) return res.status(result.status).json({ message: result.message });
+    res.json({ success: true, released: result.released });
+}));
+
+// Ödül Talep
+app.post('/api/rewards/claim', route(async (req, res) => {
+    const { rewardId } = req.body;
+    const userId = req.user.id;
+    
+    if (req.user.role !== 'student') {
+        return res.status(403).json({ message: 'Sadece öğrenciler ödül talep edebilir' });
+    }
+    
+    // Kural ve bakiye kontrolü, talep, stok düşümü ve puan blokesi aynı transaction'da
+    const result = await db.transaction(['users', 'rewards', 'claims', 'ledger', 'notifications'], tx => {
+        const user = tx.users.findById(userId);
+        const reward = tx.rewards.findById(rewardId);
+        
+        if (!user || !reward || !isRewardVisibleTo(reward, user)) {
+            return { status: 404, message: 'Bulunamadı' };
+        }
+        
+        const { spendable } = ledger.summarize(tx.ledger.filter(e => e.studentId === userId));
+        const { canClaim, reasons } = rewards.eligibility(reward, user, {
+            claims: tx.claims.filter(c => c.userId === userId && c.rewardId === reward.id),
+            spendable
+        });
+        if (!canClaim) {
+            return { status: 400, message: reasons.join(', ') };
+        }
+        
+        const claim = {
+            id: uuidv4(),
+            userId,
+            rewardId,
+            rewardName: reward.name,
+            cost: reward.cost,
+            status: 'pending',
+            requestedAt: new Date().toISOString()
+        };
+        
+        tx.claims.insert(claim);
+        if (reward.stock !== null) reward.stock--;
+        postPoints(tx, user, 'hold', reward.cost, { reason: `Ödül talebi: ${reward.name}`, claimId: claim.id });
+        notify(tx, 'claim.requested', user, {
+            ...claimPayload(claim, user),
+            pendingClaims: tx.claims.filter(c => c.userId === userId && c.status === 'pending').length
+        }, user.id);
+        return { claim };
+    });
+    
+    if (!result.claim) return res.status(result.status).json({ message: result.message });
+    
+    res.json({ success: true, message: 'Talep gönderildi! Baban onaylayacak.', claim: result.claim });
+}));
+
+// Admin: Bekleyen Talepler
+app.get('/api/admin/claims', route(async (req, res) => {
+    const claims = await db.claims.all();
+    const children = await db.users.filter(u => canAccessStudent(req.user, u));
+    
+    const pending = claims
+        .filter(c => c.status === 'pending' && children.some(u => u.id === c.userId))
+        .map(c => {
+            const user = children.find(u => u.id === c.userId);
+            return {
                 ...c,
                 username: user?.name || 'Bilinmiyor',
-                userPoints: user?.points || 0
+                userPoints: user?.points || 0,
+                userHeldPoints: user?.heldPoints || 0
             };
         });
     
-    res.json(pending);
-});
+    res.json(pending);
+}));
+
+// Admin: Talep İşle (onayda bloke puan harcanır, redde serbest kalır)
+app.post('/api/admin/claims/:claimId', route(async (req, res) => {
+    const { claimId } = req.params;
+    const { status } = req.body;
+    
+    if (!['approved', 'rejected'].includes(status)) return res.status(400).json({ message: 'Geçersiz durum' });
+    if (!await snapshotBefore(res, 'claim')) return;
+    
+    const result = await db.transaction(['users', 'rewards', 'claims', 'ledger', 'notifications'], tx => {
+        const claim = tx.claims.findById(claimId);
+        const user = claim && tx.users.findById(claim.userId);
+        
+        if (!user || !claim) return { status: 404, message: 'Bulunamadı' };
+        
+        if (!canAccessStudent(req.user, user)) {
+            return { status: 403, message: 'Bu talebi işleme yetkiniz yok' };
+        }
+        if (claim.status !== 'pending') return { status: 409, message: 'Bu talep zaten işlendi' };
+        
+        claim.status = status;
+        claim.processedAt = new Date().toISOString();
+        claim.processedBy = req.user.id;
+        
+        // Reddedilen talebin stoğu geri verilir
+        const reward = tx.rewards.findById(claim.rewardId);
+        if (status === 'rejected' && reward && reward.stock !== null) reward.stock++;
+        
+        postPoints(tx, user, status === 'approved' ? 'spend' : 'release', claim.cost, {
+            reason: `${status === 'approved' ? 'Ödül' : 'Reddedilen talep'}: ${claim.rewardName}`,
+            claimId: claim.id,
+            createdBy: req.user.id
+        });
+        notify(tx, `claim.${status}`, user, claimPayload(claim, user), req.user.id);
+        return { ok: true };
+    });
+    
+    if (!result.ok) return res.status(result.status).json({ message: result.message });
+    
+    res.json({ success: true, message: status === 'approved' ? 'Onaylandı' : 'Reddedildi' });
+}));
+
+// ==================== PUAN DEFTERİ ====================
+
+// Bakiye özeti ve son puan hareketleri
+app.get('/api/student/:id/ledger', route(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const entries = await db.ledger.filter(e => e.studentId === req.params.id);
+    
+    res.json({
+        summary: ledger.summarize(entries),
+        entries: entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt)).slice(0, limit)
+    });
+}));
+
+// Admin: Elle Puan Ver / Düş (açıklamayla deftere yazılır)
+app.post('/api/admin/students/:id/points', route(async (req, res) => {
+    const { type, reason } = req.body;
+    const amount = Number(req.body.amount);
+    
+    const error = ledger.validateAdjustment({ type, amount, reason });
+    if (error) return res.status(400).json({ message: error });
+    
+    const result = await db.transaction(['users', 'ledger', 'notifications'], tx => {
+        const user = tx.users.findById(req.params.id);
+        if (!canAccessStudent(req.user, user)) return { status: 404, message: 'Öğrenci bulunamadı' };
+        
+        // Ceza bekleyen taleplerin blokesine dokunamaz
+        const { spendable } = ledger.summarize(tx.ledger.filter(e => e.studentId === user.id));
+        if (type === 'penalty' && amount > spendable) {
+            return { status: 400, message: `En fazla ${spendable} puan düşülebilir` };
+        }
+        
+        const before = character.snapshot(user);
+        postPoints(tx, user, type, amount, { reason: String(reason).trim(), createdBy: req.user.id });
+        const levelUps = character.levelUps(before, character.snapshot(user));
+        if (levelUps.length > 0) notify(tx, 'level.up', user, { levelUps, level: user.level, title: user.title }, req.user.id);
+        return { user };
+    });
+    
+    if (result.message) return res.status(result.status).json({ message: result.message });
+    res.json({ success: true, points: result.user.points, heldPoints: result.user.heldPoints });
+}));
+
+// ==================== VELİ RAPORU ====================
+
+const REPORT_FORMATS = ['json', 'csv', 'html'];
+
+// Haftalık (veya from/to ile seçilen aralık) öğrenci raporu: JSON, CSV indirme ya da yazdırılabilir sayfa.
+// ai=1 ile kısa AI yorumu eklenir
+app.get('/api/admin/students/:id/report', route(async (req, res) => {
+    const student = await db.users.findById(req.params.id);
+    if (!canAccessStudent(req.user, student)) {
+        return res.status(404).json({ message: 'Öğrenci bulunamadı' });
+    }
+    
+    const format = req.query.format || 'json';
+    if (!REPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ message: `Biçim ${REPORT_FORMATS.join(', ')} olmalı` });
+    }
+    
+    const now = new Date();
+    const range = studentReport.parseRange(req.query, student.timezone, now);
+    if (range.error) return res.status(400).json({ message: range.error });
+    
+    const ownPrograms = await db.programs.filter(p => p.studentId === student.id);
+    const programIds = new Set(ownPrograms.map(p => p.id));
+    const mine = item => item.studentId === student.id;
+    const data = {
+        programs: ownPrograms,
+        tasks: await db.tasks.filter(t => programIds.has(t.programId)),
+        enrollments: await db.enrollments.filter(mine),
+        completions: await db.completions.filter(mine),
+        studyDays: await db.studyDays.filter(mine),
+        studySessions: await db.studySessions.filter(mine),
+        attempts: await db.attempts.filter(mine),
+        exams: await db.exams.filter(mine),
+        ledger: await db.ledger.filter(mine),
+        claims: await db.claims.filter(c => c.userId === student.id)
+    };
+    const result = studentReport.buildReport(student, data, range, now);
+    
+    if (req.query.ai === '1') {
+        const { streak } = userView(student, now);
+        result.commentary = await getGeminiReportComment(result, streak, await studentCountdown(student, now));
+    }
+    
+    const fileName = `rapor-${student.username.replace(/[^\w-]/g, '')}-${range.from}-${range.to}`;
+    if (format === 'csv') {
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+        return res.send(studentReport.toCsv(result));
+    }
+    if (format === 'html') {
+        res.set('Content-Type', 'text/html; charset=utf-8');
+        return res.send(studentReport.toHtml(result));
+    }
+    res.json(result);
+}));
+
+// ==================== ÇALIŞMA OTURUMLARI ====================
+
+// Oturumun bağlandığı görev, konu ya da kitap; { target } veya { error } döner
+async function resolveStudyTarget(studentId, type, id) {
+    if (!type) return { target: null };
+    if (!study.TARGET_TYPES[type] || !id) return { error: 'Geçersiz çalışma hedefi' };
+    
+    if (type === 'task') {
+        const found = await findStudentTask(id, studentId);
+        if (!found) return { error: 'Görev bulunamadı' };
+        return { target: { type, id, label: found.task.title, subject: found.program.subject || null } };
+    }
+    if (type === 'topic') {
+        const nodes = await db.syllabus.all();
+        const topic = syllabus.resolveTopic(nodes, { topicId: id });
+        if (!topic) return { error: 'Konu müfredatta bulunamadı' };
+        const labels = syllabus.labelsOf(nodes, topic);
+        return { target: { type, id, label: `${labels.subject} • ${labels.topic}`, subject: labels.subject } };
+    }
+    const book = await findStudentBook(studentId, id);
+    if (!book) return { error: 'Kitap bulunamadı' };
+    return { target: { type, id, label: book.title, subject: book.subject || null } };
+}
+
+// Açık oturum (sayaç sayfa yenilense de sunucudaki zamanlardan devam eder)
+app.get('/api/student/:id/study-sessions/active', route(async (req, res) => {
+    const now = new Date();
+    const session = await db.transaction(['users', 'ledger', 'studySessions', ...GAME_COLLECTIONS], tx =>
+        activeStudySession(tx, tx.users.findById(req.params.id), now));
+    
+    res.json(session ? study.snapshot(session, scoring.rules.study, now) : null);
+}));
+
+// Son oturumlar + çalışma süresi özeti
+app.get('/api/student/:id/study-sessions', route(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const student = await db.users.findById(req.params.id);
+    const sessions = await db.studySessions.filter(s => s.studentId === student.id && s.status === 'stopped');
+    const week = streaks.history(await db.studyDays.filter(d => d.studentId === student.id), student, 7);
+    
+    res.json({
+        sessions: sessions
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+            .slice(0, limit)
+            .map(s => study.snapshot(s, scoring.rules.study)),
+        stats: {
+            todayMinutes: week[week.length - 1].minutes,
+            weekMinutes: week.reduce((sum, d) => sum + d.minutes, 0),
+            totalMinutes: student.totalStudyTime || 0
+        },
+        rules: scoring.rules.study
+    });
+}));
+
+// Oturum Başlat: { targetType, targetId, mode: 'free' | 'pomodoro', pomodoro }
+app.post('/api/student/:id/study-sessions', route(async (req, res) => {
+    if (req.user.id !== req.params.id) {
+        return res.status(403).json({ message: 'Oturumu sadece öğrenci başlatabilir' });
+    }
+    
+    const { targetType, targetId, mode = 'free' } = req.body;
+    if (!study.MODES[mode]) return res.status(400).json({ message: 'Geçersiz oturum türü' });
+    
+    const pomodoro = { ...scoring.rules.study.pomodoro };
+    Object.keys(pomodoro).filter(key => req.body.pomodoro && req.body.pomodoro[key] !== undefined)
+        .forEach(key => { pomodoro[key] = Number(req.body.pomodoro[key]); });
+    const pomodoroError = mode === 'pomodoro' ? study.validatePomodoro(pomodoro) : null;
+    if (pomodoroError) return res.status(400).json({ message: pomodoroError });
+    
+    const { target, error } = await resolveStudyTarget(req.user.id, targetType, targetId);
+    if (error) return res.status(400).json({ message: error });
+    
+    const now = new Date();
+    const result = await db.transaction(['users', 'ledger', 'completions', 'studySessions', ...GAME_COLLECTIONS], tx => {
+        const user = tx.users.findById(req.user.id);
+        if (activeStudySession(tx, user, now)) return { error: 'Önce açık oturumu bitir' };
+        const run = target && target.type === 'task'
+            ? tx.completions.find(c => c.taskId === target.id && c.studentId === user.id && c.status === 'started')
+            : null;
+        const completionId = run ? run.id : null;
+        return { session: tx.studySessions.insert(study.newSession(user.id, { target, mode, pomodoro, completionId }, now)) };
+    });
+    
+    if (result.error) return res.status(409).json({ message: result.error });
+    res.json({ success: true, session: study.snapshot(result.session, scoring.rules.study, now) });
+}));
 
-// Admin: Talep İşle
-app.post('/api/admin/claims/:claimId', async (req, res) => {
-    const { claimId } = req.params;
-    const { status, userId } = req.body;
+// Duraklat / Devam Et / Bitir; bitince doğrulanmış dakikalar kredilendirilir
+const STUDY_ACTIONS = {
+    pause: (session, now) => study.pause(session, now),
+    resume: (session, now) => study.resume(session, now),
+    stop: (session, now) => study.stop(session, scoring.rules.study, now)
+};
+
+app.post('/api/student/:id/study-sessions/:sessionId/:action', route(async (req, res) => {
+    const action = STUDY_ACTIONS[req.params.action];
+    if (!action) return res.status(404).json({ message: 'Geçersiz işlem' });
+    if (req.user.id !== req.params.id) {
+        return res.status(403).json({ message: 'Oturumu sadece öğrenci yönetebilir' });
+    }
+    
+    const now = new Date();
+    const result = await db.transaction(['users', 'ledger', 'studySessions', ...GAME_COLLECTIONS], tx => {
+        const user = tx.users.findById(req.user.id);
+        const active = activeStudySession(tx, user, now);
+        if (!active || active.id !== req.params.sessionId) {
+            return { status: 409, message: 'Oturum açık değil (süre sınırı dolduysa kendiliğinden bitmiştir)' };
+        }
+        
+        const error = action(active, now);
+        if (error) return { status: 409, message: error };
+        
+        const unlocked = active.status === 'stopped' ? creditStudySession(tx, user, active, now) : null;
+        return { session: active, user, unlocked };
+    });
+    
+    if (result.message) return res.status(result.status).json({ message: result.message });
+    res.json({
+        success: true,
+        session: study.snapshot(result.session, scoring.rules.study, now),
+        totalPoints: result.user.points,
+        unlocked: result.unlocked
+    });
+}));
+
+// ==================== SERİ ====================
+
+// Seri durumu: bugünkü ilerleme, dondurucular
+app.get('/api/student/:id/streak', route(async (req, res) => {
+    const student = await db.users.findById(req.params.id);
+    const today = streaks.localDay(new Date(), student.timezone);
+    const todayEntry = await db.studyDays.find(d => d.studentId === student.id && d.day === today);
+    
+    res.json({
+        ...streaks.status(student, todayEntry, scoring.rules.streak),
+        freezeCost: scoring.rules.streak.freezeCost,
+        maxFreezes: scoring.rules.streak.maxFreezes
+    });
+}));
+
+// Çalışma Takvimi (ısı haritası): son N günün dakika/soru özeti
+app.get('/api/student/:id/study-days', route(async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 182, 1), 730);
+    const student = await db.users.findById(req.params.id);
+    const entries = await db.studyDays.filter(d => d.studentId === student.id);
     
-    const users = await readFile(DB.users);
-    const claims = await readFile(DB.claims);
+    res.json(streaks.history(entries, student, days));
+}));
+
+// Seri Dondurucu Al (puanla, veli onayı gerekmez)
+app.post('/api/student/:id/streak/freeze', route(async (req, res) => {
+    if (req.user.id !== req.params.id) {
+        return res.status(403).json({ message: 'Dondurucuyu sadece öğrenci alabilir' });
+    }
     
-    const userIdx = users.findIndex(u => u.id === userId);
-    const claimIdx = claims.findIndex(c => c.id === claimId);
+    const rules = scoring.rules.streak;
+    const result = await db.transaction(['users', 'ledger'], tx => {
+        const user = tx.users.findById(req.user.id);
+        const { spendable } = ledger.summarize(tx.ledger.filter(e => e.studentId === user.id));
+        
+        const error = streaks.validateFreezePurchase(user, spendable, rules);
+        if (error) return { error };
+        
+        postPoints(tx, user, 'purchase', rules.freezeCost, { reason: 'Seri dondurucu' });
+        user.streakFreezes = (user.streakFreezes || 0) + 1;
+        return { user };
+    });
     
-    if (userIdx === -1 || claimIdx === -1) {
-        return res.status(404).json({ message: 'Bulunamadı' });
+    if (result.error) return res.status(400).json({ message: result.error });
+    res.json({ success: true, freezes: result.user.streakFreezes, points: result.user.points });
+}));
+
+// ==================== YEDEKLEME ====================
+
+// Yedek dosyaları ham gövdeyle yüklenir (gzip'li ya da düz JSON)
+const archiveBody = bodyParser.raw({ type: () => true, limit: '200mb' });
+
+// Yedeklenecek veri: koleksiyonlar ve sorularda kullanılan şekiller
+async function archiveData() {
+    const data = await db.dump();
+    const names = new Set(data.collections.questions.flatMap(questionBank.figuresOf));
+    return { ...data, figures: await figureStore.encodeAll(names) };
+}
+
+async function takeSnapshot(reason) {
+    return snapshots.save(backup.fullArchive(await archiveData()), reason);
+}
+
+// Riskli işlemden önce anlık görüntü; alınamazsa işlem yapılmaz. Devam edilebilirse true
+async function snapshotBefore(res, operation) {
+    try {
+        await takeSnapshot(`before-${operation}`);
+        return true;
+    } catch (error) {
+        console.error('Anlık görüntü alınamadı:', error.message);
+        res.status(500).json({ message: 'Yedek alınamadı, işlem yapılmadı' });
+        return false;
     }
+}
+
+async function runScheduledSnapshot(now = new Date()) {
+    if (backup.isScheduleDue(await snapshots.list(), now)) await takeSnapshot('scheduled');
+}
+
+// Arşivi doğrula, eski sürümse migration'lardan geçir; { collections, schemaVersion, figures } veya { error }
+async function prepareArchive(buffer, kind) {
+    const { archive, error } = backup.decode(buffer);
+    if (error) return { error };
+    
+    const invalid = backup.validate(archive, kind, { names: db.collections, schemaVersion: await db.schemaVersion() });
+    if (invalid) return { error: invalid };
     
-    const claim = claims[claimIdx];
-    claim.status = status;
-    claim.processedAt = new Date().toISOString();
+    const data = { ...archive.collections };
+    if (kind === 'student') data.questions = archive.shared ? archive.shared.questions : [];
+    return { ...await db.migrateData(data, archive.schemaVersion, migrations), figures: archive.figures || {} };
+}
+
+// Tam yedekten dön: önce mevcut hal görüntülenir; oturumlar korunur (geri yüklenen kullanıcılarınkiler)
+async function restoreArchive(req, res, buffer) {
+    const prepared = await prepareArchive(buffer, 'full');
+    if (prepared.error) return res.status(400).json({ message: prepared.error });
     
-    if (status === 'approved') {
-        users[userIdx].points -= claim.cost;
-        users[userIdx].pendingRewards = users[userIdx].pendingRewards.filter(p => p.id !== claimId);
+    const users = prepared.collections.users;
+    if (!users.some(u => u.id === req.user.id && u.role === 'admin')) {
+        return res.status(400).json({ message: 'Arşivde kendi veli hesabınız yok; dönünce giriş yapamazsınız' });
     }
+    if (!await snapshotBefore(res, 'restore')) return;
     
-    await writeFile(DB.users, users);
-    await writeFile(DB.claims, claims);
+    const userIds = new Set(users.map(u => u.id));
+    const sessions = await db.sessions.filter(s => userIds.has(s.userId));
+    await figureStore.writeAll(prepared.figures);
+    await db.replaceAll({ ...prepared.collections, sessions }, prepared.schemaVersion);
+    hub.init(prepared.collections.notifications);
     
-    res.json({ success: true, message: status === 'approved' ? 'Onaylandı' : 'Reddedildi' });
-});
+    res.json({
+        success: true,
+        message: `Yedek geri yüklendi (${users.filter(u => u.role === 'student').length} öğrenci)`
+    });
+}
 
-// Zayıf Konular
-app.get('/api/student/:id/weak-topics', async (req, res) => {
-    const users = await readFile(DB.users);
-    const user = users.find(u => u.id === req.params.id);
+function sendArchive(res, archive, fileName) {
+    res.set('Content-Type', 'application/gzip');
+    res.set('Content-Disposition', `attachment; filename="${fileName}.json.gz"`);
+    res.send(backup.encode(archive));
+}
+
+// Admin: Tam Yedek İndir (tüm kurulum, oturumlar hariç)
+app.get('/api/admin/backup', route(async (req, res) => {
+    const archive = backup.fullArchive(await archiveData());
+    sendArchive(res, archive, `msu-yedek-${archive.createdAt.slice(0, 10)}`);
+}));
+
+// Admin: Yedekten Dön (yüklenen arşiv)
+app.post('/api/admin/restore', archiveBody, route(async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ message: 'Yedek dosyası gerekli' });
+    }
+    await restoreArchive(req, res, req.body);
+}));
+
+// Admin: Anlık Görüntüler
+app.get('/api/admin/snapshots', route(async (req, res) => {
+    res.json(await snapshots.list());
+}));
+
+app.post('/api/admin/snapshots', route(async (req, res) => {
+    const snapshot = await takeSnapshot('manual');
+    res.json({ success: true, snapshot });
+}));
+
+app.get('/api/admin/snapshots/:name', route(async (req, res) => {
+    const buffer = await snapshots.read(req.params.name);
+    if (!buffer) return res.status(404).json({ message: 'Anlık görüntü bulunamadı' });
     
-    if (!user) return res.status(404).json({ message: 'Kullanıcı bulunamadı' });
+    res.set('Content-Type', 'application/gzip');
+    res.set('Content-Disposition', `attachment; filename="${req.params.name}"`);
+    res.send(buffer);
+}));
+
+app.post('/api/admin/snapshots/:name/restore', route(async (req, res) => {
+    const buffer = await snapshots.read(req.params.name);
+    if (!buffer) return res.status(404).json({ message: 'Anlık görüntü bulunamadı' });
+    await restoreArchive(req, res, buffer);
+}));
+
+// Admin: Öğrenciyi Dışa Aktar (başka kuruluma taşımak için)
+app.get('/api/admin/students/:id/export', route(async (req, res) => {
+    const student = await db.users.findById(req.params.id);
+    if (!canAccessStudent(req.user, student)) {
+        return res.status(404).json({ message: 'Öğrenci bulunamadı' });
+    }
+    
+    const archive = backup.studentArchive(await archiveData(), student.id);
+    sendArchive(res, archive, `msu-ogrenci-${student.username.replace(/[^\w-]/g, '')}-${archive.createdAt.slice(0, 10)}`);
+}));
+
+// Admin: Öğrenciyi İçe Aktar. Öğrenci velinin hesabına bağlanır; aynı öğrenci zaten bu velideyse
+// kayıtları arşivdekilerle değiştirilir. Arşivdeki sorular bu kurulumda yoksa eklenir
+app.post('/api/admin/students/import', archiveBody, route(async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ message: 'Öğrenci arşivi gerekli' });
+    }
+    
+    const prepared = await prepareArchive(req.body, 'student');
+    if (prepared.error) return res.status(400).json({ message: prepared.error });
+    if (!await snapshotBefore(res, 'student-import')) return;
+    await figureStore.writeAll(prepared.figures);
+    
+    const { questions, ...records } = prepared.collections;
+    const [student] = records.users;
+    const result = await db.transaction([...Object.keys(backup.STUDENT_RECORDS), 'questions'], tx => {
+        const existing = tx.users.findById(student.id);
+        if (existing && !canAccessStudent(req.user, existing)) {
+            return { status: 409, message: 'Bu öğrenci başka bir hesaba ait' };
+        }
+        if (tx.users.find(u => u.username === student.username && u.id !== student.id)) {
+            return { status: 409, message: `"${student.username}" kullanıcı adı bu kurulumda kullanılıyor` };
+        }
+        
+        if (existing) backup.removeStudent(tx, student.id);
+        Object.keys(backup.STUDENT_RECORDS).forEach(name => (records[name] || []).forEach(item => tx[name].insert(item)));
+        tx.users.findById(student.id).parentId = req.user.id;
+        questions.filter(q => !tx.questions.findById(q.id)).forEach(q => tx.questions.insert(q));
+        return { replaced: Boolean(existing) };
+    });
+    
+    if (result.message) return res.status(result.status).json({ message: result.message });
+    res.json({
+        success: true,
+        message: `${student.name} ${result.replaced ? 'arşivdeki haliyle güncellendi' : 'içe aktarıldı'}`
+    });
+}));
+
+// ==================== BİLDİRİMLER ====================
+
+// Saklama süresi dolan bildirimleri sil
+async function pruneNotifications(now = new Date()) {
+    await db.notifications.remove(event => notifications.isExpired(event, now));
+}
+
+// Akşam saatinde (öğrencinin saat dilimi) bugün henüz çalışmamış ve serisi süren öğrenciyi uyar; günde bir kez
+async function checkStreaksAtRisk(now = new Date()) {
+    const rules = scoring.rules.streak;
+    await db.transaction(['users', 'notifications'], tx => {
+        tx.users.filter(u => u.role === 'student' && u.active !== false).forEach(user => {
+            const status = streaks.status(user, null, rules, now);
+            if (status.streak === 0 || status.studiedToday) return;
+            if (streaks.localHour(now, user.timezone) < rules.warnHour) return;
+            const warned = tx.notifications.find(n =>
+                n.type === 'streak.at_risk' && n.studentId === user.id && n.payload.day === status.today);
+            if (warned) return;
+            
+            notify(tx, 'streak.at_risk', user, {
+                day: status.today,
+                streak: status.streak,
+                freezes: status.freezes,
+                freezesAtRisk: status.freezesAtRisk
+            }, null, now);
+        });
+    });
+}
+
+// Canlı bildirim akışı (SSE). Tarayıcı yeniden bağlanırken Last-Event-ID gönderir; sayfa yeniden
+// açıldığında istemci son gördüğü seq'i ?cursor= ile verir. Cursor yoksa sadece yeni olaylar gelir
+app.get('/api/notifications/stream', route(async (req, res) => {
+    const requested = Number(req.get('Last-Event-ID') || req.query.cursor);
+    const cursor = Number.isInteger(requested) && requested >= 0 ? requested : hub.lastSeq();
     
-    const stats = {};
-    (user.completedTasks || []).forEach(task => {
-        if (!task.topic) return;
-        if (!stats[task.topic]) stats[task.topic] = { correct: 0, total: 0 };
-        stats[task.topic].total++;
-        if (task.correct) stats[task.topic].correct++;
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
     });
+    res.flushHeaders();
+    res.write(`retry: ${notifications.RETRY_MS}\n\n`);
     
-    const weak = Object.entries(stats)
-        .filter(([_, s]) => s.total > 0 && (s.correct / s.total) < 0.6)
-        .map(([topic]) => topic);
+    // Kaçırılanlar okunurken gelen olaylar sıraya alınır; seq ile aynı olay iki kez gönderilmez
+    let lastSent = cursor;
+    let queued = [];
+    const send = event => {
+        if (event.seq <= lastSent) return;
+        res.write(notifications.format(event));
+        lastSent = event.seq;
+    };
+    const unsubscribe = hub.subscribe(req.user.id, event => (queued ? queued.push(event) : send(event)));
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), notifications.HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
     
-    res.json({ weakTopics: weak });
-});
+    notifications.missed(await db.notifications.all(), req.user.id, cursor).forEach(send);
+    queued.forEach(send);
+    queued = null;
+    res.write(`event: ready\ndata: ${JSON.stringify({ cursor: lastSent })}\n\n`);
+}));
+
+// ==================== BAŞARIMLAR VE GÖREV PANOSU ====================
+
+// Karakter Sayfası: genel seviye/unvan ve ders bazında beceri çubukları
+app.get('/api/student/:id/character', route(async (req, res) => {
+    const student = await db.users.findById(req.params.id);
+    const entries = await db.ledger.filter(e => e.studentId === student.id);
+    const subjects = (await db.syllabus.filter(n => n.type === 'subject'))
+        .sort((a, b) => a.order - b.order)
+        .map(n => n.name);
+    
+    res.json({
+        name: student.name,
+        ...character.sheet(entries, ledger.summarize(entries).earned, subjects, scoring)
+    });
+}));
+
+// Kupa Odası: tüm rozetler, açılanlar ve kilitlilerin ilerlemesi
+app.get('/api/student/:id/achievements', route(async (req, res) => {
+    const profile = await db.achievements.findById(req.params.id);
+    const badges = achievements.trophyRoom(profile);
+    
+    res.json({
+        unlocked: badges.filter(b => b.unlockedAt).length,
+        total: badges.length,
+        badges
+    });
+}));
+
+// Görev Panosu: bu günün ve haftanın görevleri
+app.get('/api/student/:id/quests', route(async (req, res) => {
+    const student = await db.users.findById(req.params.id);
+    const quests = achievements.activeQuests(student, await db.quests.filter(q => isQuestFor(q, student)));
+    const progress = await db.questProgress.filter(p => p.studentId === student.id);
+    
+    res.json(achievements.questBoard(student.id, quests, progress));
+}));
+
+// Veli görevi alanları (gönderilmeyen alan dokunulmaz)
+function pickQuest(body) {
+    const changes = {};
+    ['title', 'period', 'metric', 'subject', 'studentIds', 'active']
+        .filter(field => body[field] !== undefined)
+        .forEach(field => { changes[field] = body[field]; });
+    if (body.target !== undefined) changes.target = Number(body.target);
+    if (body.points !== undefined) changes.points = Number(body.points);
+    if (changes.subject !== undefined) changes.subject = changes.subject || null;
+    if (changes.active !== undefined) changes.active = Boolean(changes.active);
+    return changes;
+}
+
+// Admin: Veli Görevleri
+app.get('/api/admin/quests', route(async (req, res) => {
+    res.json(await db.quests.filter(q => q.parentId === req.user.id));
+}));
+
+app.post('/api/admin/quests', route(async (req, res) => {
+    const quest = {
+        id: uuidv4(),
+        parentId: req.user.id,
+        studentIds: [],
+        title: null,
+        subject: null,
+        active: true,
+        ...pickQuest(req.body),
+        createdAt: new Date().toISOString()
+    };
+    
+    const errors = achievements.validateQuest(quest);
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+    if (!await validStudentTargets(req.user, quest.studentIds)) {
+        return res.status(400).json({ message: 'Geçersiz öğrenci seçimi' });
+    }
+    
+    await db.quests.insert(quest);
+    res.json({ success: true, quest });
+}));
+
+// Admin: Veli Görevi Düzenle (bu dönem başlamış ilerleme eski hedef ve puanla devam eder)
+app.put('/api/admin/quests/:id', route(async (req, res) => {
+    const quest = await db.quests.findById(req.params.id);
+    if (!quest || quest.parentId !== req.user.id) return res.status(404).json({ message: 'Görev bulunamadı' });
+    
+    const changes = pickQuest(req.body);
+    const errors = achievements.validateQuest({ ...quest, ...changes });
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+    if (changes.studentIds && !await validStudentTargets(req.user, changes.studentIds)) {
+        return res.status(400).json({ message: 'Geçersiz öğrenci seçimi' });
+    }
+    
+    res.json({ success: true, quest: await db.quests.update(quest.id, changes) });
+}));
+
+app.delete('/api/admin/quests/:id', route(async (req, res) => {
+    const quest = await db.quests.findById(req.params.id);
+    if (!quest || quest.parentId !== req.user.id) return res.status(404).json({ message: 'Görev bulunamadı' });
+    
+    await db.quests.removeById(quest.id);
+    res.json({ success: true });
+}));
+
+// Zayıf Konular
+app.get('/api/student/:id/weak-topics', route(async (req, res) => {
+    const student = await db.users.findById(req.params.id);
+    const records = await db.mastery.filter(m => m.studentId === req.params.id);
+    
+    res.json({
+        weakTopics: mastery.weakTopics(records),
+        focusTopics: student.weakTopics || []
+    });
+}));
+
+// Konu Hakimiyeti (zayıftan güçlüye)
+app.get('/api/student/:id/mastery', route(async (req, res) => {
+    const { subject } = req.query;
+    const records = await db.mastery.filter(m => m.studentId === req.params.id && (!subject || m.subject === subject));
+    res.json(mastery.summarizeAll(records));
+}));
 
 // Admin: Program Ekle
-app.post('/api/admin/programs', async (req, res) => {
-    const { name, subject, description, useAI, weakTopics, dailyHours, daysLeft } = req.body;
+app.post('/api/admin/programs', route(async (req, res) => {
+    const { name, subject, description, useAI, weakTopics, dailyHours, studentId, startDate, bookId } = req.body;
+    
+    const student = await db.users.findById(studentId);
+    if (!canAccessStudent(req.user, student)) {
+        return res.status(400).json({ message: 'Öğrenci seçilmedi' });
+    }
+    if (bookId && !await findStudentBook(studentId, bookId)) {
+        return res.status(400).json({ message: 'Kitap bu öğrenciye ait değil' });
+    }
+    if (startDate !== undefined && !programs.isDay(startDate)) {
+        return res.status(400).json({ message: 'Başlangıç tarihi YYYY-AA-GG olmalı' });
+    }
     
     if (useAI) {
-        const aiData = await generateMSUProgram(subject, weakTopics || [], dailyHours || 4, daysLeft || 7);
-        if (!aiData) return res.status(500).json({ message: 'AI hatası' });
-        
-        const programs = await readFile(DB.programs);
-        const program = {
-            id: uuidv4(),
-            name: aiData.programName,
+        const countdown = await studentCountdown(student);
+        const aiData = await generateMSUProgram(
             subject,
-            description: aiData.description,
-            strategy: aiData.strategy,
-            isActive: true,
-            aiGenerated: true,
-            examType: 'MSÜ',
-            daysLeft: daysLeft || 7,
-            schedule: aiData.schedule,
-            totalPoints: aiData.totalPoints,
-            examTips: aiData.examTips,
-            createdAt: new Date().toISOString()
-        };
-        programs.push(program);
-        await writeFile(DB.programs, programs);
+            weakTopics || await programWeakTopics(student, subject),
+            dailyHours || student.dailyHours || 4,
+            countdown
+        );
+        if (!aiData) return res.status(500).json({ message: 'AI hatası' });
         
-        // Görevleri kaydet
-        const tasks = await readFile(DB.tasks);
-        aiData.schedule.forEach((day, idx) => {
-            day.tasks.forEach(task => {
-                tasks.push({
-                    id: uuidv4(),
-                    programId: program.id,
-                    title: task.title,
-                    type: task.type,
-                    topic: task.topic,
-                    duration: task.duration,
-                    basePoints: task.points,
-                    day: day.day,
-                    dayNumber: idx + 1,
-                    resource: task.resource,
-                    createdAt: new Date().toISOString()
-                });
-            });
-        });
-        await writeFile(DB.tasks, tasks);
+        const program = await saveAIProgram(studentId, subject, aiData, countdown, { startDate, actorId: req.user.id });
         
         return res.json({ success: true, program, aiGenerated: true });
     }
     
     // Manuel
-    const programs = await readFile(DB.programs);
+    const subjectNode = syllabus.findSubject(await db.syllabus.all(), subject);
     const program = {
         id: uuidv4(),
+        studentId,
         name,
         subject,
+        subjectId: subjectNode ? subjectNode.id : null,
         description,
-        isActive: true,
+        bookId: bookId || null,
         aiGenerated: false,
         createdAt: new Date().toISOString()
     };
-    programs.push(program);
-    await writeFile(DB.programs, programs);
+    await db.transaction(['programs', 'enrollments', 'users', 'notifications'], tx => {
+        tx.programs.insert(program);
+        tx.enrollments.insert(programs.newEnrollment(studentId, program.id, { startDate, timezone: student.timezone }));
+        notify(tx, 'program.assigned', student, programPayload(program), req.user.id);
+    });
     
     res.json({ success: true, program });
-});
+}));
+
+// Admin: Programı Düzenle / Duraklat / Devam Ettir / Arşivle
+app.put('/api/admin/programs/:id', route(async (req, res) => {
+    const { name, description, startDate, status, bookId } = req.body;
+    
+    const program = await db.programs.findById(req.params.id);
+    const student = program && await db.users.findById(program.studentId);
+    if (!program || !canAccessStudent(req.user, student)) {
+        return res.status(404).json({ message: 'Program bulunamadı' });
+    }
+    if (bookId && !await findStudentBook(program.studentId, bookId)) {
+        return res.status(400).json({ message: 'Kitap bu öğrenciye ait değil' });
+    }
+    if (startDate !== undefined && !programs.isDay(startDate)) {
+        return res.status(400).json({ message: 'Başlangıç tarihi YYYY-AA-GG olmalı' });
+    }
+    
+    const result = await db.transaction(['programs', 'enrollments'], tx => {
+        const enrollment = tx.enrollments.findById(programs.enrollmentId(program.studentId, program.id));
+        if (!enrollment) return { status: 404, message: 'Program kaydı bulunamadı' };
+        
+        if (status !== undefined) {
+            const error = programs.transition(enrollment, status, new Date(), student.timezone);
+            if (error) return { status: 409, message: error };
+        }
+        // Başlangıç değişirse takvim yeniden kurulur
+        if (startDate !== undefined) Object.assign(enrollment, { startDate, shiftDays: 0 });
+        
+        const updated = tx.programs.update(program.id, p => {
+            if (name !== undefined && String(name).trim()) p.name = String(name).trim();
+            if (description !== undefined) p.description = description;
+            if (bookId !== undefined) p.bookId = bookId || null;
+            p.updatedAt = new Date().toISOString();
+        });
+        return { program: updated, enrollment };
+    });
+    
+    if (result.message) return res.status(result.status).json({ message: result.message });
+    res.json({ success: true, ...result });
+}));
+
+// Admin: Programı Yeniden Planla (öneri onaylanana kadar görevler değişmez)
+app.post('/api/admin/programs/:id/replan', route(async (req, res) => {
+    const program = await db.programs.findById(req.params.id);
+    if (!program || !canAccessStudent(req.user, await db.users.findById(program.studentId))) {
+        return res.status(404).json({ message: 'Program bulunamadı' });
+    }
+    
+    const enrollment = await db.enrollments.findById(programs.enrollmentId(program.studentId, program.id));
+    if (!enrollment || enrollment.status !== 'active') {
+        return res.status(409).json({ message: 'Sadece devam eden programlar yeniden planlanabilir' });
+    }
+    
+    const proposal = await createReplan(enrollment, 'manual');
+    res.json({ success: true, proposal: await replanView(proposal) });
+}));
+
+// Admin: Planlama Önerileri (varsayılan: bekleyenler)
+app.get('/api/admin/replans', route(async (req, res) => {
+    const { studentId, status = 'pending' } = req.query;
+    const children = new Set((await db.users.filter(u => u.parentId === req.user.id)).map(u => u.id));
+    
+    const proposals = await db.replans.filter(r =>
+        children.has(r.studentId) && (!studentId || r.studentId === studentId) && (status === 'all' || r.status === status));
+    const views = await Promise.all(proposals.map(replanView));
+    res.json(views.sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+}));
+
+// Admin: Öneriyi Onayla / Reddet. Onaylanınca görevler değişir; bu arada başlatılan
+// ya da tamamlanan görevlere dokunulmaz
+app.post('/api/admin/replans/:id', route(async (req, res) => {
+    const { status } = req.body;
+    if (!['approved', 'rejected'].includes(status)) return res.status(400).json({ message: 'Geçersiz durum' });
+    if (status === 'approved' && !await snapshotBefore(res, 'replan')) return;
+    
+    const now = new Date();
+    const result = await db.transaction(['replans', 'tasks', 'completions', 'programs', 'enrollments', 'users'], tx => {
+        const proposal = tx.replans.findById(req.params.id);
+        if (!proposal || !canAccessStudent(req.user, tx.users.findById(proposal.studentId))) {
+            return { status: 404, message: 'Öneri bulunamadı' };
+        }
+        if (proposal.status !== 'pending') return { status: 409, message: 'Bu öneri zaten sonuçlandı' };
+        
+        Object.assign(proposal, { decidedAt: now.toISOString(), decidedBy: req.user.id });
+        if (status === 'rejected') {
+            proposal.status = 'rejected';
+            return { proposal };
+        }
+        
+        // Öneri hazırlandıktan sonra gün değiştiyse taşınan görevler geçmişe düşebilir
+        const enrollment = tx.enrollments.findById(programs.enrollmentId(proposal.studentId, proposal.programId));
+        const timezone = tx.users.findById(proposal.studentId).timezone;
+        if (!enrollment || enrollment.status !== 'active' || programs.currentDay(enrollment, now, timezone) !== proposal.changes.startDay) {
+            proposal.status = 'superseded';
+            return { status: 409, message: 'Öneri güncelliğini yitirdi, yeniden planlayın' };
+        }
+        
+        const touched = new Set(tx.completions
+            .filter(c => c.programId === proposal.programId && c.studentId === proposal.studentId)
+            .map(c => c.taskId));
+        const { added, removed, moved } = proposal.changes;
+        let skipped = 0;
+        
+        removed.forEach(r => {
+            if (touched.has(r.taskId)) skipped++;
+            else tx.tasks.removeById(r.taskId);
+        });
+        moved.forEach(m => {
+            const task = tx.tasks.findById(m.taskId);
+            if (!task || touched.has(m.taskId)) return skipped++;
+            Object.assign(task, { dayNumber: m.to, day: `Gün ${m.to}`, updatedAt: now.toISOString() });
+        });
+        added.forEach(task => tx.tasks.insert({
+            id: uuidv4(),
+            programId: proposal.programId,
+            ...task,
+            day: `Gün ${task.dayNumber}`,
+            replanId: proposal.id,
+            createdAt: now.toISOString()
+        }));
+        
+        tx.programs.update(proposal.programId, { replannedAt: now.toISOString() });
+        Object.assign(proposal, { status: 'approved', skipped });
+        return { proposal };
+    });
+    
+    if (result.message) return res.status(result.status).json({ message: result.message });
+    res.json({ success: true, proposal: result.proposal });
+}));
 
 // Admin: Görev Ekle
-app.post('/api/admin/tasks', async (req, res) => {
-    const { title, type, duration, basePoints, difficulty } = req.body;
+app.post('/api/admin/tasks', route(async (req, res) => {
+    const { title, type, duration, basePoints, difficulty, programId, topicId, dayNumber, resource, bookRange } = req.body;
+    
+    const program = await db.programs.findById(programId);
+    if (!program || !canAccessStudent(req.user, await db.users.findById(program.studentId))) {
+        return res.status(400).json({ message: 'Program seçilmedi' });
+    }
+    // Kitap verilmezse programın kitabı
+    const bookId = req.body.bookId !== undefined ? req.body.bookId || null : program.bookId || null;
+    const bookError = await validateTaskBook(program, bookId, bookRange);
+    if (bookError) return res.status(400).json({ message: bookError });
+    
+    const nodes = await db.syllabus.all();
+    const topicNode = topicId ? syllabus.resolveTopic(nodes, { topicId }) : null;
+    if (topicId && !topicNode) return res.status(400).json({ message: 'Konu müfredatta bulunamadı' });
+    if (dayNumber && !(Number.isInteger(Number(dayNumber)) && Number(dayNumber) > 0)) {
+        return res.status(400).json({ message: 'Gün numarası pozitif tam sayı olmalı' });
+    }
     
-    const tasks = await readFile(DB.tasks);
-    tasks.push({
+    const task = await db.tasks.insert({
         id: uuidv4(),
+        programId,
         title,
+        topicId: topicNode ? topicNode.id : null,
+        topic: topicNode ? topicNode.name : null,
         type,
         duration,
         basePoints,
         difficulty: difficulty || 1,
+        day: dayNumber ? `Gün ${dayNumber}` : null,
+        dayNumber: dayNumber ? Number(dayNumber) : null,
+        resource: resource || null,
+        bookId,
+        bookRange: bookId && bookRange ? taskBookRange(bookRange) : null,
         createdAt: new Date().toISOString()
     });
     
-    await writeFile(DB.tasks, tasks);
+    res.json({ success: true, task });
+}));
+
+// Admin: Görevi Düzenle
+app.put('/api/admin/tasks/:id', route(async (req, res) => {
+    const { title, type, duration, basePoints, difficulty, topicId, dayNumber, resource, bookId, bookRange } = req.body;
+    
+    const task = await findAdminTask(req.user, req.params.id);
+    if (!task) return res.status(404).json({ message: 'Görev bulunamadı' });
+    
+    const bookError = await validateTaskBook(
+        await db.programs.findById(task.programId),
+        bookId !== undefined ? bookId : task.bookId,
+        bookRange !== undefined ? bookRange : task.bookRange
+    );
+    if (bookError) return res.status(400).json({ message: bookError });
+    
+    const nodes = await db.syllabus.all();
+    const topicNode = topicId ? syllabus.resolveTopic(nodes, { topicId }) : null;
+    if (topicId && !topicNode) return res.status(400).json({ message: 'Konu müfredatta bulunamadı' });
+    if (dayNumber && !(Number.isInteger(Number(dayNumber)) && Number(dayNumber) > 0)) {
+        return res.status(400).json({ message: 'Gün numarası pozitif tam sayı olmalı' });
+    }
+    
+    const updated = await db.tasks.update(task.id, t => {
+        if (title !== undefined && String(title).trim()) t.title = String(title).trim();
+        if (type !== undefined) t.type = type;
+        if (duration !== undefined) t.duration = Number(duration) || 0;
+        if (basePoints !== undefined) t.basePoints = Number(basePoints) || 0;
+        if (difficulty !== undefined) t.difficulty = Number(difficulty) || 1;
+        if (resource !== undefined) t.resource = resource || null;
+        if (bookId !== undefined) t.bookId = bookId || null;
+        if (bookRange !== undefined) t.bookRange = bookRange ? taskBookRange(bookRange) : null;
+        if (!t.bookId) t.bookRange = null;
+        if (topicId !== undefined) {
+            t.topicId = topicNode ? topicNode.id : null;
+            t.topic = topicNode ? topicNode.name : null;
+        }
+        if (dayNumber !== undefined) {
+            t.dayNumber = dayNumber ? Number(dayNumber) : null;
+            t.day = dayNumber ? `Gün ${dayNumber}` : null;
+        }
+        t.updatedAt = new Date().toISOString();
+    });
+    
+    res.json({ success: true, task: updated });
+}));
+
+// Admin: Görevi Sil (yapılmış tamamlamalar puan geçmişi olarak kalır)
+app.delete('/api/admin/tasks/:id', route(async (req, res) => {
+    const task = await findAdminTask(req.user, req.params.id);
+    if (!task) return res.status(404).json({ message: 'Görev bulunamadı' });
+    
+    await db.transaction(['tasks', 'completions'], tx => {
+        tx.tasks.removeById(task.id);
+        tx.completions.remove(c => c.taskId === task.id && c.status === 'started');
+    });
     res.json({ success: true });
-});
+}));
+
+// ==================== KİTAPLAR ====================
+
+async function findStudentBook(studentId, bookId) {
+    const book = await db.books.findById(bookId);
+    return book && book.studentId === studentId ? book : null;
+}
+
+function taskBookRange({ unit, from, to }) {
+    return { unit, from: Number(from), to: Number(to) };
+}
 
-// Kitap Ekle
-app.post('/api/admin/books', async (req, res) => {
-    const { title, author, subject, totalPages } = req.body;
+// Görevin kitabı programın öğrencisine ait olmalı, aralık kitabın sınırları içinde kalmalı
+async function validateTaskBook(program, bookId, bookRange) {
+    if (!bookId) return null;
+    const book = await findStudentBook(program.studentId, bookId);
+    if (!book) return 'Kitap bu öğrenciye ait değil';
+    return bookRange ? books.validateRange(book, taskBookRange(bookRange)) : null;
+}
+
+// Kitaplar ilerleme özeti ve tahmini bitişle
+async function bookViews(list, now = new Date()) {
+    const ids = new Set(list.map(b => b.id));
+    const sessions = await db.bookSessions.filter(s => ids.has(s.bookId));
+    return list
+        .map(book => ({ ...book, ...books.progress(book, sessions.filter(s => s.bookId === book.id), now) }))
+        .sort((a, b) => (a.finishedAt ? 1 : 0) - (b.finishedAt ? 1 : 0) || a.title.localeCompare(b.title, 'tr'));
+}
+
+// Öğrencinin Kitapları
+app.get('/api/student/:id/books', route(async (req, res) => {
+    res.json(await bookViews(await db.books.filter(b => b.studentId === req.params.id)));
+}));
+
+// Kitabın Oturum Geçmişi (yeniden eskiye)
+app.get('/api/student/:id/books/:bookId/sessions', route(async (req, res) => {
+    const book = await findStudentBook(req.params.id, req.params.bookId);
+    if (!book) return res.status(404).json({ message: 'Kitap bulunamadı' });
+    
+    const sessions = await db.bookSessions.filter(s => s.bookId === book.id);
+    res.json(sessions.sort((a, b) => b.loggedAt.localeCompare(a.loggedAt)));
+}));
+
+// Kitap Oturumu Kaydet (okunan sayfa / çözülen test)
+app.post('/api/student/:id/books/:bookId/sessions', route(async (req, res) => {
+    if (req.user.id !== req.params.id) {
+        return res.status(403).json({ message: 'Oturumu sadece öğrenci kaydedebilir' });
+    }
+    
+    const now = new Date();
+    const { studySessionId } = req.body;
+    const result = await db.transaction(['users', 'ledger', 'books', 'bookSessions', 'studySessions', ...GAME_COLLECTIONS], tx => {
+        const book = tx.books.findById(req.params.bookId);
+        if (!book || book.studentId !== req.user.id) return { status: 404, message: 'Kitap bulunamadı' };
+        
+        // Süre sadece bu kitaba bağlı, bitmiş ve henüz kullanılmamış çalışma oturumundan alınır
+        const studySession = studySessionId ? tx.studySessions.findById(studySessionId) : null;
+        if (studySessionId && !(studySession && studySession.studentId === req.user.id && studySession.status === 'stopped' &&
+            studySession.target && studySession.target.type === 'book' && studySession.target.id === book.id)) {
+            return { status: 400, message: 'Çalışma oturumu bu kitaba ait değil' };
+        }
+        if (studySession && tx.bookSessions.find(s => s.studySessionId === studySession.id)) {
+            return { status: 409, message: 'Bu çalışma oturumu zaten kaydedildi' };
+        }
+        
+        const user = tx.users.findById(req.user.id);
+        const before = character.snapshot(user);
+        const { session, error } = logBookSession(tx, user, book, req.body, { studySession }, now);
+        if (error) return { status: 400, message: error };
+        
+        const unlocked = emitEvents(tx, user, before, [], now);
+        return { session, book, user, unlocked };
+    });
+    
+    if (result.message) return res.status(result.status).json({ message: result.message });
     
-    const books = await readFile(DB.books);
-    books.push({
+    const { session, book, user, unlocked } = result;
+    res.json({
+        success: true,
+        session,
+        book: (await bookViews([book], now))[0],
+        totalPoints: user.points,
+        unlocked
+    });
+}));
+
+// Admin: Çocukların Kitapları
+app.get('/api/admin/books', route(async (req, res) => {
+    res.json(await bookViews(await db.books.filter(b => b.parentId === req.user.id)));
+}));
+
+// Admin: Kitap Ekle
+app.post('/api/admin/books', route(async (req, res) => {
+    const book = {
         id: uuidv4(),
-        title,
-        author,
-        subject,
-        totalPages: parseInt(totalPages),
-        currentPage: 0,
-        addedAt: new Date().toISOString()
+        parentId: req.user.id,
+        ...books.DEFAULT_FIELDS,
+        ...books.pick(req.body),
+        createdAt: new Date().toISOString()
+    };
+    
+    const errors = books.validateBook(book);
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+    if (!canAccessStudent(req.user, await db.users.findById(book.studentId))) {
+        return res.status(400).json({ message: 'Öğrenci seçilmedi' });
+    }
+    
+    await db.books.insert(book);
+    res.json({ success: true, book });
+}));
+
+// Admin: Kitabı Düzenle (ilerleme elle düzeltilebilir; puan verilmez)
+app.put('/api/admin/books/:id', route(async (req, res) => {
+    const book = await db.books.findById(req.params.id);
+    if (!book || book.parentId !== req.user.id) return res.status(404).json({ message: 'Kitap bulunamadı' });
+    
+    const changes = books.pick(req.body);
+    // Öğrencisi değişen kitabın oturumları ve görev bağlantıları karışmasın
+    delete changes.studentId;
+    
+    const updated = { ...book, ...changes };
+    const errors = books.validateBook(updated);
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+    
+    const saved = await db.books.update(book.id, b => {
+        Object.assign(b, changes);
+        books.updateFinished(b);
+        b.updatedAt = new Date().toISOString();
     });
+    res.json({ success: true, book: saved });
+}));
+
+// Admin: Kitabı Sil (kazanılan puanlar defterde kalır, görevlerin kitap bağlantısı kalkar)
+app.delete('/api/admin/books/:id', route(async (req, res) => {
+    const book = await db.books.findById(req.params.id);
+    if (!book || book.parentId !== req.user.id) return res.status(404).json({ message: 'Kitap bulunamadı' });
     
-    await writeFile(DB.books, books);
+    await db.transaction(['books', 'bookSessions', 'tasks', 'programs'], tx => {
+        tx.books.removeById(book.id);
+        tx.bookSessions.remove(s => s.bookId === book.id);
+        tx.tasks.filter(t => t.bookId === book.id).forEach(t => Object.assign(t, { bookId: null, bookRange: null }));
+        tx.programs.filter(p => p.bookId === book.id).forEach(p => { p.bookId = null; });
+    });
     res.json({ success: true });
-});
+}));
 
 // Statik Dosyalar
 app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'public', 'login.html')));
 app.get('/student', (req, res) => res.sendFile(path.join(__dirname, 'public', 'student.html')));
 app.get('/admin', (req, res) => res.sendFile(path.join(__dirname, 'public', 'admin.html')));
+// Soru işaretlemesi tarayıcıda sunucudakiyle aynı kodla gösterilir
+app.get('/notation.js', (req, res) => res.sendFile(path.join(__dirname, 'lib', 'notation.js')));
+
+// Soru şekilleri: <img> ile yüklendiği için oturum istemez; adlar içerikten üretilir, dosya değişmez
+app.get('/figures/:name', route(async (req, res) => {
+    const buffer = await figureStore.read(req.params.name);
+    if (!buffer) return res.status(404).end();
+    
+    res.set({
+        'Content-Type': figures.mimeTypeOf(req.params.name),
+        'Cache-Control': 'public, max-age=31536000, immutable',
+        'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(buffer);
+}));
+
+// Hata yakalayıcı (en sonda): bozuk/çok büyük gövde istemci hatası, gerisi loglanıp JSON 500 döner
+app.use((error, req, res, next) => {
+    if (res.headersSent) return next(error);
+    if (error.type === 'entity.too.large') return res.status(413).json({ message: 'İstek gövdesi çok büyük' });
+    if (error.status >= 400 && error.status < 500) return res.status(error.status).json({ message: 'Geçersiz istek' });
+    
+    console.error(`${req.method} ${req.originalUrl}:`, error);
+    res.status(500).json({ message: 'Sunucu hatası' });
+});
 
-// Sunucuyu Başlat
-app.listen(PORT, '0.0.0.0', async () => {
-    await initDB();
-    console.log(`
+// Sunucuyu Başlat (veritabanı hazır olmadan istek kabul etme)
+initDB()
+    .then(() => {
+        // Haftalık yeniden planlama önerilerini saatte bir kontrol et
+        setInterval(() => runScheduledReplans().catch(error => console.error('Planlama hatası:', error.message)),
+            60 * 60 * 1000).unref();
+        // Günlük anlık görüntü (saatte bir kontrol, açılışta da)
+        runScheduledSnapshot().catch(error => console.error('Anlık görüntü hatası:', error.message));
+        setInterval(() => runScheduledSnapshot().catch(error => console.error('Anlık görüntü hatası:', error.message)),
+            60 * 60 * 1000).unref();
+        // Seri uyarıları çeyrek saatte bir, eski bildirimlerin temizliği saatte bir
+        setInterval(() => checkStreaksAtRisk().catch(error => console.error('Seri kontrolü hatası:', error.message)),
+            15 * 60 * 1000).unref();
+        setInterval(() => pruneNotifications().catch(error => console.error('Bildirim temizliği hatası:', error.message)),
+            60 * 60 * 1000).unref();
+        
+        app.listen(PORT, '0.0.0.0', async () => {
+            const defaults = (await db.users.filter(u => u.mustChangePassword)).map(u => u.username);
+            console.log(`
     🎯 MSÜ HAZIRLIK - STUDY RPG BAŞLADI!
     =====================================
     🌐 Bilgisayarın: http://localhost:${PORT}
     📱 Aynı WiFi'den: http://${getLocalIP()}:${PORT}
     
-    🔑 Giriş Bilgileri:
-    Admin (Baba):  baba / admin123
-    Öğrenci:       ogrenci / 123456
-    
-    🤖 Gemini AI Aktif!
+    🤖 AI: ${ai.enabled ? `${ai.provider} (${ai.model})` : 'kapalı (GEMINI_API_KEY veya AI_PROVIDER tanımlı değil)'}
     🎯 MSÜ Odaklı!
     
     📱 Babanın Erişimi:
     Aynı WiFi'ye bağlı telefondan:
     http://${getLocalIP()}:${PORT}
     adresine girsin, "Admin" seçeneğini seçip
-    baba / admin123 ile giriş yapsın.
+    kendi kullanıcı adı ve şifresiyle giriş yapsın.
     `);
-});
\ No newline at end of file
+            
+            if (defaults.length > 0) {
+                console.warn(`    ⚠️  Varsayılan şifre hâlâ kullanılıyor: ${defaults.join(', ')}
+    İlk girişte şifrenizi değiştirin!
+    `);
+            }
+        });
+    })
+    .catch(error => {
+        console.error('Veritabanı hatası:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,226 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAIClient, createProviderFromEnv, AIError, schemas } = require('../lib/ai');
+const { createMockProvider } = require('../lib/ai/providers/mock');
+const { createGeminiProvider } = require('../lib/ai/providers/gemini');
+
+const realSetTimeout = setTimeout;
+const realFetch = global.fetch;
+
+// Sırayla verilen cevapları döndüren (veya hata fırlatan) sağlayıcı; çağrıları kaydeder
+function scriptedProvider(steps) {
+    const calls = [];
+    return {
+        name: 'script',
+        defaultModel: 'test',
+        calls,
+        async complete(prompt, options) {
+            calls.push({ prompt, options });
+            const step = steps[Math.min(calls.length - 1, steps.length - 1)];
+            if (step instanceof Error) throw step;
+            return step;
+        }
+    };
+}
+
+function jsonResponse(status, body) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => body
+    };
+}
+
+const geminiText = text => jsonResponse(200, { candidates: [{ content: { parts: [{ text }] } }] });
+
+const validQuestion = {
+    question: 'İki kere iki kaçtır?',
+    options: ['2', '3', '4', '5'],
+    correctIndex: 2,
+    explanation: '2 × 2 = 4'
+};
+
+beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    global.fetch = realFetch;
+});
+
+describe('createProviderFromEnv', () => {
+    test('anahtar veya sağlayıcı yoksa AI kapalıdır', () => {
+        assert.equal(createProviderFromEnv({}), null);
+    });
+
+    test('mock sadece açıkça seçilince kullanılır', () => {
+        assert.equal(createProviderFromEnv({ AI_PROVIDER: 'mock' }).name, 'mock');
+        assert.equal(createProviderFromEnv({ GEMINI_API_KEY: 'k' }).name, 'gemini');
+    });
+
+    test('bilinmeyen sağlayıcıda config hatası verir', () => {
+        assert.throws(() => createProviderFromEnv({ AI_PROVIDER: 'yok' }), err => err instanceof AIError && err.code === 'config');
+    });
+
+    test('sağlayıcı yokken istemci kapalıdır ve istekler config hatası verir', async () => {
+        const saved = { AI_PROVIDER: process.env.AI_PROVIDER, GEMINI_API_KEY: process.env.GEMINI_API_KEY };
+        delete process.env.AI_PROVIDER;
+        delete process.env.GEMINI_API_KEY;
+        try {
+            const ai = createAIClient();
+            assert.equal(ai.enabled, false);
+            assert.equal(ai.provider, null);
+            await assert.rejects(ai.generateText('merhaba'), err => err.code === 'config');
+        } finally {
+            for (const [key, value] of Object.entries(saved)) {
+                if (value !== undefined) process.env[key] = value;
+            }
+        }
+    });
+});
+
+describe('mock sağlayıcı', () => {
+    test('aynı prompt için hep aynı cevabı verir', async () => {
+        const provider = createMockProvider();
+        const first = await provider.complete('soru üret: Hareket', { task: 'question', context: { topic: 'Hareket' } });
+        const second = await provider.complete('soru üret: Hareket', { task: 'question', context: { topic: 'Hareket' } });
+        assert.equal(first, second);
+    });
+
+    test('yer tutucuları context ile doldurur ve şemaya uyan JSON döndürür', async () => {
+        const ai = createAIClient({ provider: createMockProvider() });
+        const question = await ai.generateJSON('soru üret', schemas.question, { task: 'question', context: { topic: 'Olasılık "zor"' } });
+
+        assert.ok(question.question.startsWith('Olasılık "zor" konusunda'));
+        assert.equal(question.options.length, 4);
+    });
+
+    test('fixture yoksa config hatası verir', async () => {
+        await assert.rejects(createMockProvider().complete('x', { task: 'olmayan' }), err => err.code === 'config');
+    });
+});
+
+describe('generateText yeniden deneme', () => {
+    let delays;
+
+    beforeEach(() => {
+        delays = [];
+        mock.method(Math, 'random', () => 0);
+        mock.method(global, 'setTimeout', (fn, ms) => {
+            delays.push(ms);
+            return realSetTimeout(fn, 0);
+        });
+    });
+
+    test('yeniden denenebilir hatalarda üstel bekleyerek tekrar dener', async () => {
+        const retryable = new AIError('HTTP 503', 'http', { retryable: true });
+        const provider = scriptedProvider([retryable, retryable, 'tamam']);
+        const ai = createAIClient({ provider, retries: 2, backoffMs: 100 });
+
+        assert.equal(await ai.generateText('merhaba'), 'tamam');
+        assert.equal(provider.calls.length, 3);
+        assert.deepEqual(delays, [100, 200]);
+    });
+
+    test('deneme hakkı bitince son hatayı fırlatır', async () => {
+        const provider = scriptedProvider([new AIError('HTTP 429', 'http', { retryable: true })]);
+        const ai = createAIClient({ provider, retries: 1, backoffMs: 10 });
+
+        await assert.rejects(ai.generateText('merhaba'), err => err.code === 'http');
+        assert.equal(provider.calls.length, 2);
+    });
+
+    test('yeniden denenemez hatada hemen vazgeçer', async () => {
+        const provider = scriptedProvider([new AIError('HTTP 400', 'http', { retryable: false })]);
+        const ai = createAIClient({ provider, retries: 3, backoffMs: 10 });
+
+        await assert.rejects(ai.generateText('merhaba'), err => err.code === 'http');
+        assert.equal(provider.calls.length, 1);
+        assert.deepEqual(delays, []);
+    });
+
+    test('bilinmeyen hataları yeniden denenemez provider hatasına çevirir', async () => {
+        const provider = scriptedProvider([new Error('patladı')]);
+        const ai = createAIClient({ provider, retries: 3, backoffMs: 10 });
+
+        await assert.rejects(ai.generateText('merhaba'), err => err instanceof AIError && err.code === 'provider');
+        assert.equal(provider.calls.length, 1);
+    });
+});
+
+describe('HTTP sağlayıcı (stub fetch)', () => {
+    test('zaman aşımında isteği iptal edip timeout hatası verir', async () => {
+        global.fetch = (url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => {
+                const error = new Error('aborted');
+                error.name = 'AbortError';
+                reject(error);
+            });
+        });
+        const ai = createAIClient({ provider: createGeminiProvider({ apiKey: 'k' }), timeoutMs: 20, retries: 0 });
+
+        await assert.rejects(ai.generateText('merhaba'), err => err.code === 'timeout' && err.retryable);
+    });
+
+    test('5xx yanıtından sonra tekrar dener, istek gövdesini doğru kurar', async () => {
+        const requests = [];
+        const responses = [jsonResponse(503, { error: { message: 'meşgul' } }), geminiText('cevap')];
+        global.fetch = async (url, init) => {
+            requests.push({ url, body: JSON.parse(init.body) });
+            return responses.shift();
+        };
+        const ai = createAIClient({ provider: createGeminiProvider({ apiKey: 'k' }), retries: 2, backoffMs: 1 });
+
+        assert.equal(await ai.generateText('merhaba', { temperature: 0.2 }), 'cevap');
+        assert.equal(requests.length, 2);
+        assert.match(requests[0].url, /:generateContent\?key=k$/);
+        assert.equal(requests[0].body.contents[0].parts[0].text, 'merhaba');
+        assert.equal(requests[0].body.generationConfig.temperature, 0.2);
+    });
+
+    test('4xx yanıtını yeniden denemez ve durum kodunu taşır', async () => {
+        let count = 0;
+        global.fetch = async () => {
+            count++;
+            return jsonResponse(400, { error: { message: 'geçersiz anahtar' } });
+        };
+        const ai = createAIClient({ provider: createGeminiProvider({ apiKey: 'k' }), retries: 2, backoffMs: 1 });
+
+        await assert.rejects(ai.generateText('merhaba'), err => err.message === 'geçersiz anahtar' && err.details.status === 400);
+        assert.equal(count, 1);
+    });
+});
+
+describe('generateJSON şema doğrulaması', () => {
+    test('geçerli çıktıyı kod bloğundan ayıklayıp döndürür', async () => {
+        const provider = scriptedProvider(['```json\n' + JSON.stringify(validQuestion) + '\n```']);
+        const ai = createAIClient({ provider });
+
+        assert.deepEqual(await ai.generateJSON('soru', schemas.question), validQuestion);
+        assert.equal(provider.calls.length, 1);
+    });
+
+    test('şemaya uymayan çıktı için hatalarla bir kez düzeltme ister', async () => {
+        const invalid = { ...validQuestion, correctIndex: 7 };
+        const provider = scriptedProvider([JSON.stringify(invalid), JSON.stringify(validQuestion)]);
+        const ai = createAIClient({ provider });
+
+        assert.deepEqual(await ai.generateJSON('soru', schemas.question), validQuestion);
+        assert.equal(provider.calls.length, 2);
+
+        const repair = provider.calls[1];
+        assert.equal(repair.options.temperature, 0);
+        assert.ok(repair.prompt.startsWith('soru'));
+        assert.match(repair.prompt, /ÖNCEKİ CEVABIN GEÇERSİZDİ/);
+        assert.match(repair.prompt, /correctIndex/);
+    });
+
+    test('düzeltme de geçersizse validation hatası verir ve tekrar denemez', async () => {
+        const provider = scriptedProvider(['bu JSON değil']);
+        const ai = createAIClient({ provider });
+
+        await assert.rejects(ai.generateJSON('soru', schemas.question), err => err.code === 'validation' && err.details.length > 0);
+        assert.equal(provider.calls.length, 2);
+    });
+});
@@ -0,0 +1,92 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const backup = require('../lib/backup');
+
+const NAMES = ['users', 'questions', 'attempts', 'sessions'];
+const OPTIONS = { names: NAMES, schemaVersion: 13 };
+const FIGURE = 'abcdef0123456789.png';
+
+function fullArchive(overrides = {}) {
+    return {
+        ...backup.fullArchive({
+            schemaVersion: 13,
+            collections: {
+                users: [{ id: 'p1', role: 'admin' }, { id: 's1', role: 'student', parentId: 'p1' }],
+                questions: [{ id: 'q1', question: `![şekil](${FIGURE})` }],
+                attempts: [{ id: 'a1', studentId: 's1', questionId: 'q1' }],
+                sessions: [{ token: 'gizli', userId: 'p1' }]
+            },
+            figures: { [FIGURE]: 'iVBORw0KGgo=' }
+        }),
+        ...overrides
+    };
+}
+
+function studentArchive(overrides = {}) {
+    return {
+        ...backup.studentArchive({
+            schemaVersion: 13,
+            collections: {
+                ...Object.fromEntries(Object.keys(backup.STUDENT_RECORDS).map(name => [name, []])),
+                users: [{ id: 's1', role: 'student' }],
+                questions: []
+            },
+            figures: {}
+        }, 's1'),
+        ...overrides
+    };
+}
+
+describe('backup.validate', () => {
+    test('tam yedek geçerlidir, oturumlar arşive girmez', () => {
+        const archive = fullArchive();
+        assert.equal(archive.collections.sessions, undefined);
+        assert.equal(backup.validate(archive, 'full', OPTIONS), null);
+    });
+
+    test('gzip ile kodlanan arşiv aynen geri okunur', () => {
+        const archive = fullArchive();
+        assert.deepEqual(backup.decode(backup.encode(archive)), { archive });
+        assert.deepEqual(backup.decode(Buffer.from('bozuk')), { error: 'Yedek dosyası okunamadı' });
+    });
+
+    test('biçim, sürüm ve tür kontrolleri', () => {
+        assert.equal(backup.validate(null, 'full', OPTIONS), 'Bu dosya bir yedek arşivi değil');
+        assert.equal(backup.validate(fullArchive({ format: 'baska' }), 'full', OPTIONS), 'Bu dosya bir yedek arşivi değil');
+        assert.equal(backup.validate(fullArchive({ version: 2 }), 'full', OPTIONS), 'Arşiv biçimi desteklenmiyor');
+        assert.equal(backup.validate(fullArchive(), 'student', OPTIONS), 'Öğrenci arşivi bekleniyordu');
+        assert.equal(backup.validate(fullArchive({ schemaVersion: '13' }), 'full', OPTIONS), 'Arşivin şema sürümü geçersiz');
+        assert.equal(backup.validate(fullArchive({ schemaVersion: 14 }), 'full', OPTIONS), 'Arşiv bu kurulumdan daha yeni bir sürümle alınmış');
+        assert.equal(backup.validate(fullArchive({ schemaVersion: 5 }), 'full', OPTIONS), null);
+    });
+
+    test('koleksiyon kontrolleri', () => {
+        const withCollections = collections => fullArchive({ collections });
+        const { users } = fullArchive().collections;
+
+        assert.equal(backup.validate(fullArchive({ collections: [] }), 'full', OPTIONS), 'Arşivde koleksiyon yok');
+        assert.equal(backup.validate(withCollections({ users, rockets: [] }), 'full', OPTIONS), 'Bilinmeyen koleksiyon: rockets');
+        assert.equal(backup.validate(withCollections({ users, sessions: [] }), 'full', OPTIONS), 'Bilinmeyen koleksiyon: sessions');
+        assert.equal(backup.validate(withCollections({ users, attempts: {} }), 'full', OPTIONS), 'attempts koleksiyonu bozuk');
+        assert.equal(backup.validate(withCollections({ users, attempts: [1] }), 'full', OPTIONS), 'attempts koleksiyonu bozuk');
+        assert.equal(backup.validate(withCollections({ users: [{ id: 's1', role: 'student' }] }), 'full', OPTIONS), 'Arşivde veli hesabı yok');
+    });
+
+    test('şekil adları ve içerikleri doğrulanır', () => {
+        assert.equal(backup.validate(fullArchive({ figures: { '../server.js': 'x' } }), 'full', OPTIONS), 'Arşivdeki şekiller bozuk');
+        assert.equal(backup.validate(fullArchive({ figures: { [FIGURE]: 1 } }), 'full', OPTIONS), 'Arşivdeki şekiller bozuk');
+        assert.equal(backup.validate(fullArchive({ figures: undefined }), 'full', OPTIONS), null);
+    });
+
+    test('öğrenci arşivi tek öğrenci ve ortak sorular içerir', () => {
+        const names = Object.keys(backup.STUDENT_RECORDS).concat('questions');
+        const options = { names, schemaVersion: 13 };
+        const withUsers = users => studentArchive({ collections: { ...studentArchive().collections, users } });
+
+        assert.equal(backup.validate(studentArchive(), 'student', options), null);
+        assert.equal(backup.validate(withUsers([]), 'student', options), 'Öğrenci arşivi tek bir öğrenci içermeli');
+        assert.equal(backup.validate(withUsers([{ id: 's2', role: 'student' }]), 'student', options), 'Öğrenci arşivi tek bir öğrenci içermeli');
+        assert.equal(backup.validate(withUsers([{ id: 's1', role: 'admin' }]), 'student', options), 'Öğrenci arşivi tek bir öğrenci içermeli');
+        assert.equal(backup.validate(studentArchive({ shared: { questions: {} } }), 'student', options), 'Arşivdeki ortak sorular bozuk');
+    });
+});
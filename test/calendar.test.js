@@ -0,0 +1,60 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const calendar = require('../lib/calendar');
+
+const entry = {
+    id: 'MSÜ-2027',
+    exam: 'MSÜ',
+    name: 'MSÜ 2027',
+    year: 2027,
+    examDate: '2027-03-07',
+    applicationStart: '2027-01-05',
+    applicationEnd: '2027-01-14'
+};
+
+describe('calendar.countdown', () => {
+    test('kalan gün öğrencinin yerel gününden sayılır', () => {
+        // 6 Mart 22:30 UTC: İstanbul'da sınav günü, New York'ta bir gün önce
+        const now = new Date('2027-03-06T22:30:00Z');
+
+        const istanbul = calendar.countdown(entry, now, 'Europe/Istanbul');
+        assert.equal(istanbul.daysLeft, 0);
+        assert.equal(istanbul.phase.key, 'examDay');
+
+        const newYork = calendar.countdown(entry, now, 'America/New_York');
+        assert.equal(newYork.daysLeft, 1);
+        assert.equal(newYork.phase.key, 'finalWeek');
+    });
+
+    test('başvuru durumu yerel güne göre açılır ve kapanır', () => {
+        const opening = new Date('2027-01-04T21:30:00Z');
+        assert.equal(calendar.countdown(entry, opening, 'Europe/Istanbul').applicationStatus, 'open');
+        assert.equal(calendar.countdown(entry, opening, 'America/New_York').applicationStatus, 'upcoming');
+
+        const closing = new Date('2027-01-14T22:30:00Z');
+        assert.equal(calendar.countdown(entry, closing, 'Europe/Istanbul').applicationStatus, 'closed');
+        assert.equal(calendar.countdown(entry, closing, 'America/New_York').daysToApplicationEnd, 0);
+    });
+
+    test('saat dilimi verilmezse varsayılan saat dilimi kullanılır', () => {
+        const now = new Date('2027-03-06T22:30:00Z');
+        assert.deepEqual(calendar.countdown(entry, now), calendar.countdown(entry, now, 'Europe/Istanbul'));
+    });
+});
+
+describe('calendar.targetFor', () => {
+    const entries = [entry, { ...entry, id: 'MSÜ-2028', name: 'MSÜ 2028', year: 2028, examDate: '2028-03-05' }];
+
+    test('sınav günü geçen oturum yerine sıradaki seçilir', () => {
+        // 7 Mart 21:30 UTC: İstanbul'da 8 Mart, 2027 oturumu geçti; New York'ta hâlâ sınav günü
+        const now = new Date('2027-03-07T21:30:00Z');
+        const student = timezone => ({ targetExam: 'MSÜ', targetExamId: 'MSÜ-2027', timezone });
+
+        assert.equal(calendar.targetFor(entries, student('Europe/Istanbul'), now).id, 'MSÜ-2028');
+        assert.equal(calendar.targetFor(entries, student('America/New_York'), now).id, 'MSÜ-2027');
+    });
+
+    test('takvimde yaklaşan oturum yoksa null döner', () => {
+        assert.equal(calendar.nextEntry(entries, 'TYT', new Date('2027-01-01T09:00:00Z')), null);
+    });
+});
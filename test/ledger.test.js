@@ -0,0 +1,59 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const ledger = require('../lib/ledger');
+
+const entry = (type, amount) => ledger.newEntry('s1', type, amount, { reason: 'test' });
+
+describe('ledger.newEntry', () => {
+    test('hareketi kimlik ve zamanla oluşturur', () => {
+        const now = new Date('2026-10-19T10:00:00Z');
+        const created = ledger.newEntry('s1', 'earn', 15, { reason: 'Görev', subject: 'Fizik' }, now);
+
+        assert.equal(typeof created.id, 'string');
+        assert.equal(created.studentId, 's1');
+        assert.equal(created.amount, 15);
+        assert.equal(created.subject, 'Fizik');
+        assert.equal(created.claimId, null);
+        assert.equal(created.createdAt, now.toISOString());
+    });
+
+    test('bilinmeyen hareket türünde hata fırlatır', () => {
+        assert.throws(() => ledger.newEntry('s1', 'gift', 5), /Bilinmeyen puan hareketi/);
+    });
+});
+
+describe('ledger.summarize', () => {
+    test('boş defter sıfırdır', () => {
+        assert.deepEqual(ledger.summarize([]), { balance: 0, held: 0, spendable: 0, earned: 0 });
+    });
+
+    test('kazanç, ceza ve alım bakiyeye işlenir', () => {
+        const summary = ledger.summarize([entry('opening', 40), entry('earn', 30), entry('bonus', 10), entry('penalty', 5), entry('purchase', 20)]);
+
+        assert.equal(summary.balance, 55);
+        assert.equal(summary.earned, 75);
+        assert.equal(summary.spendable, 55);
+    });
+
+    test('bloke puan harcanabilir puandan düşer, onayda harcanır, redde serbest kalır', () => {
+        const held = [entry('earn', 100), entry('hold', 30), entry('hold', 20)];
+        assert.deepEqual(ledger.summarize(held), { balance: 100, held: 50, spendable: 50, earned: 100 });
+
+        const settled = [...held, entry('spend', 30), entry('release', 20)];
+        assert.deepEqual(ledger.summarize(settled), { balance: 70, held: 0, spendable: 70, earned: 100 });
+    });
+});
+
+describe('ledger.validateAdjustment', () => {
+    test('geçerli bonus ve ceza kabul edilir', () => {
+        assert.equal(ledger.validateAdjustment({ type: 'bonus', amount: 10, reason: 'Karne' }), null);
+        assert.equal(ledger.validateAdjustment({ type: 'penalty', amount: 5, reason: 'Geç kalma' }), null);
+    });
+
+    test('elle girilemeyen tür, geçersiz tutar ve boş açıklama reddedilir', () => {
+        assert.equal(ledger.validateAdjustment({ type: 'earn', amount: 10, reason: 'x' }), 'Geçersiz işlem');
+        assert.equal(ledger.validateAdjustment({ type: 'bonus', amount: 0, reason: 'x' }), 'Puan pozitif tam sayı olmalı');
+        assert.equal(ledger.validateAdjustment({ type: 'bonus', amount: 2.5, reason: 'x' }), 'Puan pozitif tam sayı olmalı');
+        assert.equal(ledger.validateAdjustment({ type: 'bonus', amount: 10, reason: '  ' }), 'Açıklama gerekli');
+    });
+});
@@ -0,0 +1,88 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const migrations = require('../lib/migrations');
+const auth = require('../lib/auth');
+const { createStorage } = require('../lib/storage');
+const { COLLECTIONS } = require('../lib/collections');
+
+// migrateData bellekte çalışır, klasöre dokunmaz
+const db = createStorage(path.join(os.tmpdir(), 'msu-migrations-test'), COLLECTIONS);
+
+// İlk sürümdeki (şemasız) veri
+function legacyData() {
+    return {
+        users: [
+            { id: 'p1', username: 'baba', password: 'admin123', role: 'admin', name: 'Baba', createdAt: '2026-02-21T23:04:19.894Z' },
+            {
+                id: 's1', username: 'ogrenci', password: 'gizli-sifre', role: 'student', name: 'Öğrenci',
+                points: 120, level: 1, totalStudyTime: 0, streak: 0, lastStudyDate: null,
+                completedTasks: [], pendingRewards: [], weakTopics: [], createdAt: '2026-02-21T23:04:19.902Z'
+            }
+        ],
+        rewards: [{ id: 'r1', name: 'Sinema', cost: 50 }],
+        claims: [{ id: 'c1', userId: 's1', rewardId: 'r1', rewardName: 'Sinema', cost: 50, status: 'pending', requestedAt: '2026-03-01T10:00:00.000Z' }],
+        programs: [{ id: 'pr1', name: 'Matematik', subject: 'Matematik', createdAt: '2026-03-01T10:00:00.000Z' }]
+    };
+}
+
+describe('migrations', () => {
+    test('sürümler benzersiz ve artan sırada', () => {
+        const versions = migrations.map(m => m.version);
+        assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+        assert.equal(new Set(versions).size, versions.length);
+        migrations.forEach(m => assert.ok(m.description, `${m.version} açıklamasız`));
+    });
+
+    test('ilk sürüm verisi son şemaya taşınır', async () => {
+        const { schemaVersion, collections } = await db.migrateData(legacyData(), 0, migrations);
+        assert.equal(schemaVersion, migrations[migrations.length - 1].version);
+
+        const [parent, student] = collections.users;
+        assert.equal(parent.password, undefined);
+        assert.ok(await auth.verifyPassword('admin123', parent.passwordHash));
+        assert.equal(parent.mustChangePassword, true);
+        assert.ok(await auth.verifyPassword('gizli-sifre', student.passwordHash));
+        assert.equal(student.mustChangePassword, false);
+
+        assert.equal(student.parentId, 'p1');
+        assert.equal(student.timezone, 'Europe/Istanbul');
+        assert.equal(collections.programs[0].studentId, 's1');
+        assert.deepEqual(collections.rewards[0].studentIds, []);
+        assert.equal(collections.rewards[0].parentId, 'p1');
+        assert.equal(collections.enrollments.length, 1);
+        assert.ok(collections.syllabus.length > 0);
+        assert.ok(collections.calendar.length > 0);
+    });
+
+    test('puanlar deftere taşınır, bekleyen talep bloke edilir', async () => {
+        const { collections } = await db.migrateData(legacyData(), 0, migrations);
+        const student = collections.users.find(u => u.id === 's1');
+
+        assert.deepEqual(collections.ledger.map(e => [e.type, e.amount]), [['opening', 120], ['hold', 50]]);
+        assert.equal(collections.ledger[1].claimId, 'c1');
+        assert.equal(student.points, 120);
+        assert.equal(student.heldPoints, 50);
+        assert.equal(student.pendingRewards, undefined);
+    });
+
+    test('güncel veride tekrar çalışmak bir şey değiştirmez', async () => {
+        const migrated = await db.migrateData(legacyData(), 0, migrations);
+        const again = await db.migrateData(structuredClone(migrated.collections), 0, migrations.filter(m => m.version > 1));
+        assert.deepEqual(again.collections, migrated.collections);
+    });
+
+    test('başarım sayaçları geçmişten kurulurken her sorunun ilk denemesi sayılır', async () => {
+        const data = legacyData();
+        const attempt = (id, questionId, correct) => ({
+            id, studentId: 's1', questionId, subject: 'Matematik', topic: 'Sayılar', correct, source: 'practice', answeredAt: `2026-03-0${id}T10:00:00.000Z`
+        });
+        data.attempts = [attempt(1, 'q1', false), attempt(2, 'q1', true), attempt(3, 'q1', true), attempt(4, 'q2', true)];
+
+        const { collections } = await db.migrateData(data, 0, migrations);
+        const { counters } = collections.achievements.find(a => a.id === 's1');
+        assert.equal(counters.answered, 2);
+        assert.equal(counters.correct, 1);
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const programs = require('../lib/programs');
+
+const enrollment = changes => ({ ...programs.newEnrollment('s1', 'p1', { startDate: '2026-10-19' }), ...changes });
+
+describe('programs.isDay', () => {
+    test('sadece takvimde olan YYYY-AA-GG günleri kabul eder', () => {
+        assert.equal(programs.isDay('2026-10-19'), true);
+        assert.equal(programs.isDay('2028-02-29'), true);
+        ['2026-02-30', '2026-13-01', '19.10.2026', '', null].forEach(value => assert.equal(programs.isDay(value), false));
+    });
+});
+
+describe('programs.currentDay', () => {
+    test('gün öğrencinin saat diliminde gece yarısı ilerler', () => {
+        // 20 Ekim 00:30 İstanbul = 19 Ekim 21:30 UTC; New York'ta hâlâ 19 Ekim
+        const now = new Date('2026-10-19T21:30:00Z');
+        assert.equal(programs.currentDay(enrollment(), now, 'Europe/Istanbul'), 2);
+        assert.equal(programs.currentDay(enrollment(), now, 'America/New_York'), 1);
+    });
+
+    test('başlamamış program sıfır veya negatif gün verir', () => {
+        const now = new Date('2026-10-17T09:00:00Z');
+        assert.equal(programs.currentDay(enrollment(), now, 'Europe/Istanbul'), -1);
+    });
+
+    test('yeni kayıt varsayılan olarak öğrencinin bugününden başlar', () => {
+        const now = new Date('2026-10-19T21:30:00Z');
+        assert.equal(programs.newEnrollment('s1', 'p1', { now, timezone: 'Europe/Istanbul' }).startDate, '2026-10-20');
+        assert.equal(programs.newEnrollment('s1', 'p1', { now, timezone: 'America/New_York' }).startDate, '2026-10-19');
+    });
+});
+
+describe('programs.taskStatus', () => {
+    const task = dayNumber => ({ id: `t${dayNumber}`, dayNumber });
+
+    test('görevler yerel güne göre açılır, gecikir ve kaçırılır', () => {
+        const now = new Date('2026-10-22T21:30:00Z'); // İstanbul'da 23 Ekim, gün 5
+        const statuses = [1, 3, 4, 5, 6].map(n => programs.taskStatus(task(n), enrollment(), 0, now, 'Europe/Istanbul'));
+        assert.deepEqual(statuses, ['missed', 'overdue', 'overdue', 'available', 'locked']);
+
+        assert.equal(programs.taskStatus(task(5), enrollment(), 0, now, 'America/New_York'), 'locked');
+        assert.equal(programs.taskStatus(task(5), enrollment(), 1, now, 'America/New_York'), 'completed');
+    });
+
+    test('görev tarihi kaydırmalarla birlikte hesaplanır', () => {
+        assert.equal(programs.dateOfDay(enrollment({ shiftDays: 2 }), 12), '2026-11-01');
+    });
+});
+
+describe('programs.transition', () => {
+    test('duraklatılan günler yerel takvimle sayılıp takvimi kaydırır', () => {
+        const item = enrollment();
+        // İstanbul'da 20 Ekim 23:30'da duraklatıldı, 21 Ekim 00:30'da devam edildi: bir gün kayar
+        assert.equal(programs.transition(item, 'paused', new Date('2026-10-20T20:30:00Z'), 'Europe/Istanbul'), null);
+        assert.equal(programs.currentDay(item, new Date('2026-10-25T09:00:00Z'), 'Europe/Istanbul'), 2);
+        assert.equal(programs.transition(item, 'active', new Date('2026-10-20T21:30:00Z'), 'Europe/Istanbul'), null);
+
+        assert.equal(item.shiftDays, 1);
+        assert.equal(item.pausedAt, null);
+        assert.equal(programs.currentDay(item, new Date('2026-10-20T21:30:00Z'), 'Europe/Istanbul'), 2);
+    });
+
+    test('arşivlenen program yeniden açılamaz', () => {
+        const item = enrollment();
+        programs.transition(item, 'archived', new Date('2026-10-20T09:00:00Z'));
+        assert.equal(programs.transition(item, 'active'), 'Arşivlenmiş program yeniden açılamaz');
+        assert.equal(programs.transition(item, 'draft'), 'Geçersiz durum');
+    });
+});
@@ -0,0 +1,104 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseImport, isServable, validateReview, validateReport } = require('../lib/questions');
+
+const HEADER = 'question,optionA,optionB,optionC,optionD,correct,explanation';
+
+describe('questions.parseImport', () => {
+    test('CSV satırları şık dizisiyle kayda dönüşür, satır numarası başlıktan sayılır', () => {
+        const csv = `${HEADER}\n2+2?,3,4,5,6,B,Toplama\n"Hangisi ""asal""?","1","2",4,6,B,"İki; tek çift asal"\n`;
+        const { records, error } = parseImport('csv', csv);
+
+        assert.equal(error, undefined);
+        assert.deepEqual(records.map(r => r.row), [2, 3]);
+        assert.deepEqual(records[0].data, { question: '2+2?', correct: 'B', explanation: 'Toplama', options: ['3', '4', '5', '6'] });
+        assert.equal(records[1].data.question, 'Hangisi "asal"?');
+        assert.equal(records[1].data.explanation, 'İki; tek çift asal');
+    });
+
+    test('Türkçe Excel çıktısı: BOM, noktalı virgül ve CRLF', () => {
+        const csv = `\uFEFF${HEADER.replace(/,/g, ';')}\r\nKaç?;1,5;2;3;4;A;Ondalık\r\n`;
+        const { records } = parseImport('csv', csv);
+
+        assert.equal(records.length, 1);
+        assert.deepEqual(records[0].data.options, ['1,5', '2', '3', '4']);
+    });
+
+    test('tırnak içinde satır sonu aynı alanda kalır', () => {
+        const { records } = parseImport('csv', `${HEADER}\n"Birinci satır\nikinci satır",a,b,c,d,A,\n`);
+        assert.equal(records.length, 1);
+        assert.equal(records[0].data.question, 'Birinci satır\nikinci satır');
+    });
+
+    test('CSV başlık hataları', () => {
+        assert.deepEqual(parseImport('csv', ''), { error: 'Dosya boş' });
+        assert.deepEqual(parseImport('csv', `${HEADER},renk\n`), { error: 'Bilinmeyen sütun: renk' });
+        assert.deepEqual(parseImport('csv', 'question,optionA,optionB\n'), { error: 'Eksik sütun: optionC, optionD, correct' });
+        assert.deepEqual(parseImport('csv', `${HEADER}\n`), { error: 'Dosyada soru yok' });
+    });
+
+    test('JSON dizi ya da { questions } kabul edilir', () => {
+        const question = { question: 'x?', options: ['a', 'b', 'c', 'd'], correctIndex: 0 };
+        assert.deepEqual(parseImport('json', JSON.stringify([question])), { records: [{ row: 1, data: question }] });
+        assert.deepEqual(parseImport('json', `\uFEFF${JSON.stringify({ questions: [question, question] })}`).records.map(r => r.row), [1, 2]);
+    });
+
+    test('JSON hataları', () => {
+        assert.deepEqual(parseImport('json', '[{'), { error: 'JSON okunamadı' });
+        assert.deepEqual(parseImport('json', '{"items":[]}'), { error: 'JSON bir soru dizisi (ya da { questions: [...] }) olmalı' });
+        assert.deepEqual(parseImport('json', '[]'), { error: 'Dosyada soru yok' });
+    });
+
+    test('bilinmeyen biçim ve satır sınırı', () => {
+        assert.deepEqual(parseImport('xlsx', 'x'), { error: 'Biçim csv veya json olmalı' });
+        const many = JSON.stringify(Array.from({ length: 501 }, () => ({})));
+        assert.match(parseImport('json', many).error, /en fazla 500 soru/);
+    });
+});
+
+describe('questions.isServable', () => {
+    test('öğrenciye sadece onaylı sorular gösterilir', () => {
+        assert.equal(isServable({ status: 'approved' }), true);
+        ['draft', 'flagged', 'rejected', undefined].forEach(status => assert.equal(isServable({ status }), false));
+    });
+});
+
+describe('questions.validateReview', () => {
+    const question = { options: ['1', '2', '3', '4'], correctIndex: 1 };
+
+    test('geçerli onay ve ret kabul edilir', () => {
+        assert.deepEqual(validateReview(question, { status: 'approved', correctIndex: 3 }), []);
+        assert.deepEqual(validateReview(question, { status: 'rejected', correctIndex: 1, explanation: 'Düzeltildi' }), []);
+    });
+
+    test('cevap anahtarı her durumda zorunlu ve şık aralığında olmalı', () => {
+        for (const status of ['approved', 'rejected']) {
+            [undefined, null, -1, 4, 1.5, '2'].forEach(correctIndex => {
+                assert.equal(validateReview(question, { status, correctIndex }).length, 1, `${status} ${correctIndex}`);
+            });
+        }
+    });
+
+    test('bilinmeyen durum ve metin olmayan açıklama reddedilir', () => {
+        assert.equal(validateReview(question, { status: 'draft', correctIndex: 1 }).length, 1);
+        assert.equal(validateReview(question, { status: 'approved', correctIndex: 1, explanation: 5 }).length, 1);
+    });
+});
+
+describe('questions.validateReport', () => {
+    const question = { options: ['1', '2', '3', '4'] };
+
+    test('neden boş olmayan kısa bir metin olmalı', () => {
+        assert.deepEqual(validateReport(question, { reason: 'wrong-answer' }), []);
+        [undefined, '', '   ', 5, ['x'], 'x'.repeat(101)].forEach(reason => {
+            assert.equal(validateReport(question, { reason }).length, 1, String(reason));
+        });
+    });
+
+    test('önerilen şık ve not kontrol edilir', () => {
+        assert.deepEqual(validateReport(question, { reason: 'other', suggestedIndex: null, note: '' }), []);
+        assert.equal(validateReport(question, { reason: 'other', suggestedIndex: 4 }).length, 1);
+        assert.equal(validateReport(question, { reason: 'other', note: 'x'.repeat(501) }).length, 1);
+        assert.equal(validateReport(question, { reason: 'other', note: {} }).length, 1);
+    });
+});
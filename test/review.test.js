@@ -0,0 +1,54 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const review = require('../lib/review');
+
+const card = dueAt => ({ dueAt });
+
+describe('review.isDue', () => {
+    test('öğrencinin yerel günü bitene kadar gelen kartlar bugündür', () => {
+        // İstanbul'da 19 Ekim 23:30; 20 Ekim 00:30'da gelen kart yarına kalır
+        const now = new Date('2026-10-19T20:30:00Z');
+        assert.equal(review.isDue(card('2026-10-19T20:59:00Z'), now, 'Europe/Istanbul'), true);
+        assert.equal(review.isDue(card('2026-10-19T21:30:00Z'), now, 'Europe/Istanbul'), false);
+    });
+
+    test('aynı an farklı saat diliminde farklı güne düşer', () => {
+        // New York'ta 19 Ekim 16:30; gün sonuna (04:00 UTC) kadar gelenler bugündür
+        const now = new Date('2026-10-19T20:30:00Z');
+        assert.equal(review.isDue(card('2026-10-20T03:30:00Z'), now, 'America/New_York'), true);
+        assert.equal(review.isDue(card('2026-10-20T04:30:00Z'), now, 'America/New_York'), false);
+    });
+});
+
+describe('review.forecast', () => {
+    test('kartları öğrencinin takvim günlerine dağıtır, gecikenler bugüne sayılır', () => {
+        const now = new Date('2026-10-19T20:30:00Z');
+        const cards = [
+            card('2026-10-10T08:00:00Z'),
+            card('2026-10-19T20:00:00Z'),
+            card('2026-10-19T21:30:00Z'),
+            card('2026-10-21T09:00:00Z'),
+            card('2026-11-30T09:00:00Z')
+        ];
+
+        assert.deepEqual(review.forecast(cards, 4, now, 'Europe/Istanbul'), [2, 1, 1, 0]);
+        assert.deepEqual(review.forecast(cards, 4, now, 'America/New_York'), [3, 0, 1, 0]);
+    });
+});
+
+describe('review.schedule', () => {
+    test('yanlış cevap kartı ertesi güne atar, doğrular aralığı büyütür', () => {
+        const now = new Date('2026-10-19T09:00:00Z');
+        const question = { id: 'q1', subject: 'Matematik', topic: 'Sayılar' };
+        const item = review.newCard('s1', question, now);
+
+        review.schedule(item, 1, now);
+        assert.equal(item.interval, 1);
+        assert.equal(item.lapses, 1);
+        assert.equal(item.dueAt, '2026-10-20T09:00:00.000Z');
+
+        review.schedule(item, 5, now);
+        review.schedule(item, 5, now);
+        assert.equal(item.interval, 6);
+    });
+});
@@ -0,0 +1,67 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const rewards = require('../lib/rewards');
+
+const reward = rules => ({ ...rewards.DEFAULT_RULES, name: 'Sinema', cost: 10, ...rules });
+const claim = requestedAt => ({ status: 'approved', requestedAt });
+const istanbul = { level: 1, timezone: 'Europe/Istanbul' };
+const newYork = { level: 1, timezone: 'America/New_York' };
+
+describe('rewards.isListed', () => {
+    // 2026-10-19 22:30 UTC: İstanbul'da 20 Ekim, New York'ta hâlâ 19 Ekim
+    const now = new Date('2026-10-19T22:30:00Z');
+
+    test('bitiş günü öğrencinin saat dilimine göre geçer', () => {
+        const ending = reward({ availableUntil: '2026-10-19' });
+        assert.equal(rewards.isListed(ending, now, 'Europe/Istanbul'), false);
+        assert.equal(rewards.isListed(ending, now, 'America/New_York'), true);
+    });
+});
+
+describe('rewards.eligibility', () => {
+    test('başlangıç günü öğrencinin yerel gününe göre açılır', () => {
+        const starting = reward({ availableFrom: '2026-10-20' });
+        const now = new Date('2026-10-19T22:30:00Z');
+
+        assert.equal(rewards.eligibility(starting, istanbul, { claims: [], spendable: 50, now }).canClaim, true);
+        assert.deepEqual(rewards.eligibility(starting, newYork, { claims: [], spendable: 50, now }).reasons, ['2026-10-20 tarihinden itibaren']);
+    });
+
+    test('bekleme süresi yerel takvim günüyle sayılır', () => {
+        const cooldown = reward({ cooldownDays: 1 });
+        // İstanbul'da 19 Ekim 23:00'te alındı; ertesi gün 00:30'da tekrar alınabilir
+        const claims = [claim('2026-10-19T20:00:00Z')];
+
+        const sameDay = rewards.eligibility(cooldown, istanbul, { claims, spendable: 50, now: new Date('2026-10-19T20:50:00Z') });
+        assert.deepEqual(sameDay.reasons, ['1 gün sonra tekrar alınabilir']);
+
+        const nextDay = rewards.eligibility(cooldown, istanbul, { claims, spendable: 50, now: new Date('2026-10-19T21:30:00Z') });
+        assert.equal(nextDay.canClaim, true);
+    });
+
+    test('haftalık sınır öğrencinin pazartesi gece yarısından itibaren sayılır', () => {
+        const weekly = reward({ limit: { count: 1, period: 'week' } });
+        // Pazar 18 Ekim 23:30 İstanbul (20:30 UTC): önceki haftaya sayılır
+        const claims = [claim('2026-10-18T20:30:00Z')];
+        const monday = new Date('2026-10-19T09:00:00Z');
+
+        assert.equal(rewards.eligibility(weekly, istanbul, { claims, spendable: 50, now: monday }).canClaim, true);
+        // New York'ta aynı an hâlâ pazar öğleden sonra, sınır bu haftaya sayılır
+        assert.equal(rewards.eligibility(weekly, newYork, { claims, spendable: 50, now: new Date('2026-10-18T21:00:00Z') }).canClaim, false);
+    });
+
+    test('aylık sınır ayın biri yerel gece yarısında sıfırlanır', () => {
+        const monthly = reward({ limit: { count: 1, period: 'month' } });
+        // 31 Ekim 23:30 İstanbul (20:30 UTC)
+        const claims = [claim('2026-10-31T20:30:00Z')];
+
+        const november = new Date('2026-10-31T22:00:00Z');
+        assert.equal(rewards.eligibility(monthly, istanbul, { claims, spendable: 50, now: november }).canClaim, true);
+        assert.deepEqual(rewards.eligibility(monthly, newYork, { claims, spendable: 50, now: november }).reasons, ['Bu ay en fazla 1 kez alınabilir']);
+    });
+
+    test('puan eksikse nedeni söyler', () => {
+        const result = rewards.eligibility(reward(), istanbul, { claims: [], spendable: 4, now: new Date('2026-10-19T09:00:00Z') });
+        assert.deepEqual(result, { canClaim: false, reasons: ['6 puan eksik'] });
+    });
+});